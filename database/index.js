@@ -2,16 +2,18 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrations');
+
+// DATABASE_PATH overrides the default file (the tests use ':memory:')
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/whatsapp_shopify.db');
 
 // Create database directory if it doesn't exist
-const dbDir = path.join(__dirname, '../data');
-if (!fs.existsSync(dbDir)) {
+const dbDir = path.dirname(dbPath);
+if (dbPath !== ':memory:' && !fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
 // Create or open database
-const dbPath = path.join(dbDir, 'whatsapp_shopify.db');
-
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('❌ Error opening database:', err);
@@ -21,14 +23,24 @@ const db = new sqlite3.Database(dbPath, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
+// Tables whose absence triggers the CREATE TABLE IF NOT EXISTS pass below.
+// Add new tables here so they are also created on existing databases.
+const REQUIRED_TABLES = [
+  'shops', 'automation_settings', 'whatsapp_flows', 'whatsapp_widget_settings', 'script_tags',
+  'message_queue', 'whatsapp_senders', 'inbound_routes', 'provider_credentials',
+  'conversation_notes', 'flow_revisions', 'flow_experiments', 'experiment_variants',
+  'experiment_assignments', 'discount_codes', 'tracked_links', 'link_clicks', 'cart_sequence_steps',
+  'order_attributions', 'reminder_suppressions'
+];
+
 // Initialize all tables (only if needed)
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
     // Check if all required tables exist
     db.all(`
       SELECT name FROM sqlite_master 
-      WHERE type='table' AND name IN ('shops', 'automation_settings', 'whatsapp_flows', 'whatsapp_widget_settings', 'script_tags')
-    `, (err, rows) => {
+      WHERE type='table' AND name IN (${REQUIRED_TABLES.map(() => '?').join(', ')})
+    `, REQUIRED_TABLES, (err, rows) => {
       if (err) {
         reject(err);
         return;
@@ -36,13 +48,12 @@ function initializeDatabase() {
       
       // Get list of existing tables
       const existingTables = rows.map(row => row.name);
-      const requiredTables = ['shops', 'automation_settings', 'whatsapp_flows', 'whatsapp_widget_settings', 'script_tags'];
-      const missingTables = requiredTables.filter(table => !existingTables.includes(table));
+      const missingTables = REQUIRED_TABLES.filter(table => !existingTables.includes(table));
       
       // If all tables exist, skip initialization
       if (missingTables.length === 0) {
         console.log('✅ All database tables already exist');
-        resolve();
+        runMigrations(db).then(resolve).catch(reject);
         return;
       }
       
@@ -440,6 +451,347 @@ function initializeDatabase() {
         
       });
 
+      // 17. MESSAGE QUEUE TABLE - Outbound sends waiting for the queue worker
+      db.run(`
+        CREATE TABLE IF NOT EXISTS message_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          message_id INTEGER,
+          customer_phone TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          priority INTEGER DEFAULT 0,
+          status TEXT DEFAULT 'queued',
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 5,
+          available_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          leased_until DATETIME,
+          last_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating message_queue table:', err);
+        
+      });
+
+      // 18. WHATSAPP SENDERS TABLE - WhatsApp numbers owned by each shop
+      db.run(`
+        CREATE TABLE IF NOT EXISTS whatsapp_senders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          phone_number TEXT UNIQUE NOT NULL,
+          label TEXT,
+          is_default INTEGER DEFAULT 0,
+          is_active INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating whatsapp_senders table:', err);
+        
+      });
+
+      // 19. INBOUND ROUTES TABLE - Which shop a customer is talking to on a shared number
+      db.run(`
+        CREATE TABLE IF NOT EXISTS inbound_routes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          customer_phone TEXT NOT NULL,
+          sender_number TEXT NOT NULL,
+          shop_domain TEXT,
+          status TEXT DEFAULT 'pending',
+          options TEXT,
+          pending_message TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(customer_phone, sender_number)
+        )
+      `, (err) => {
+        if (err) console.error('Error creating inbound_routes table:', err);
+        
+      });
+
+      // 20. PROVIDER CREDENTIALS TABLE - Per-shop WhatsApp provider account (secrets encrypted)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS provider_credentials (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT UNIQUE NOT NULL,
+          provider TEXT DEFAULT 'twilio',
+          account_id TEXT NOT NULL,
+          encrypted_secrets TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating provider_credentials table:', err);
+        
+      });
+
+      // 21. CONVERSATION NOTES TABLE - Internal team notes on inbox threads
+      db.run(`
+        CREATE TABLE IF NOT EXISTS conversation_notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          shop_domain TEXT NOT NULL,
+          author TEXT,
+          body TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating conversation_notes table:', err);
+        
+      });
+
+      // 22. FLOW REVISIONS TABLE - Immutable copy of a flow after every create,
+      // update and restore. Kept when the flow is deleted so sent messages
+      // (messages.flow_revision_id) can still be traced to their copy.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS flow_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          flow_id INTEGER NOT NULL,
+          shop_domain TEXT NOT NULL,
+          revision_number INTEGER NOT NULL,
+          change_type TEXT NOT NULL,
+          restored_from_revision_id INTEGER,
+          flow_name TEXT,
+          flow_type TEXT,
+          flow_example TEXT,
+          language TEXT,
+          trigger_delay_minutes INTEGER,
+          message_content TEXT,
+          footer_text TEXT,
+          discount_code TEXT,
+          image_type TEXT,
+          image_url TEXT,
+          button_text TEXT,
+          quick_replies TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (flow_id, revision_number),
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating flow_revisions table:', err);
+        
+      });
+
+      // 23. FLOW EXPERIMENTS TABLE - A/B tests between flows of one type and language
+      db.run(`
+        CREATE TABLE IF NOT EXISTS flow_experiments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          name TEXT NOT NULL,
+          flow_type TEXT NOT NULL,
+          language TEXT DEFAULT 'en',
+          status TEXT DEFAULT 'running',
+          auto_promote BOOLEAN DEFAULT 0,
+          min_sample_size INTEGER DEFAULT 200,
+          confidence_level REAL DEFAULT 0.95,
+          attribution_days INTEGER DEFAULT 7,
+          winner_variant_id INTEGER,
+          conclusion TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating flow_experiments table:', err);
+        
+      });
+
+      // 24. EXPERIMENT VARIANTS TABLE - The flows an experiment splits traffic between
+      db.run(`
+        CREATE TABLE IF NOT EXISTS experiment_variants (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          experiment_id INTEGER NOT NULL,
+          flow_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          weight INTEGER DEFAULT 1,
+          is_control BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (experiment_id) REFERENCES flow_experiments(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating experiment_variants table:', err);
+        
+      });
+
+      // 25. EXPERIMENT ASSIGNMENTS TABLE - Sticky variant per customer, first
+      // send and the conversion attributed to it
+      db.run(`
+        CREATE TABLE IF NOT EXISTS experiment_assignments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          experiment_id INTEGER NOT NULL,
+          variant_id INTEGER NOT NULL,
+          shop_domain TEXT NOT NULL,
+          customer_phone TEXT NOT NULL,
+          assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          message_id INTEGER,
+          exposed_at DATETIME,
+          converted_at DATETIME,
+          conversion_source TEXT,
+          conversion_order_id TEXT,
+          conversion_value REAL DEFAULT 0,
+          UNIQUE (experiment_id, customer_phone),
+          FOREIGN KEY (experiment_id) REFERENCES flow_experiments(id) ON DELETE CASCADE,
+          FOREIGN KEY (variant_id) REFERENCES experiment_variants(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating experiment_assignments table:', err);
+        
+      });
+
+      // 26. DISCOUNT CODES TABLE - Single-use Shopify codes issued to one
+      // recipient, the message that carried them and the order that used them
+      db.run(`
+        CREATE TABLE IF NOT EXISTS discount_codes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          code TEXT NOT NULL,
+          customer_phone TEXT,
+          flow_id INTEGER,
+          notification_type TEXT,
+          message_id INTEGER,
+          shopify_discount_id TEXT,
+          discount_type TEXT NOT NULL,
+          discount_value REAL NOT NULL,
+          minimum_subtotal REAL,
+          expires_at DATETIME,
+          used_at DATETIME,
+          order_id TEXT,
+          order_value REAL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (shop_domain, code),
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating discount_codes table:', err);
+        
+      });
+
+      // 27. TRACKED LINKS TABLE - Short redirect links that replace the URLs
+      // in an outbound message; destination_url already carries the UTM tags
+      db.run(`
+        CREATE TABLE IF NOT EXISTS tracked_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          token TEXT NOT NULL UNIQUE,
+          message_id INTEGER,
+          customer_phone TEXT,
+          flow_id INTEGER,
+          campaign_id INTEGER,
+          message_type TEXT,
+          destination_url TEXT NOT NULL,
+          click_count INTEGER DEFAULT 0,
+          first_clicked_at DATETIME,
+          last_clicked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating tracked_links table:', err);
+        
+      });
+
+      // 28. LINK CLICKS TABLE - One row per redirect. Link preview fetches by
+      // WhatsApp and other crawlers are kept but flagged, and not counted.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS link_clicks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          link_id INTEGER NOT NULL,
+          user_agent TEXT,
+          is_bot BOOLEAN DEFAULT 0,
+          clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (link_id) REFERENCES tracked_links(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating link_clicks table:', err);
+        
+      });
+
+      // 29. CART SEQUENCE STEPS TABLE - A shop's abandoned cart reminders.
+      // delay_minutes counts from the abandonment; flow_id pins a flow, else
+      // the shop's abandoned cart flow or the default notification_type
+      // template is sent.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS cart_sequence_steps (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          step_number INTEGER NOT NULL,
+          delay_minutes INTEGER NOT NULL,
+          flow_id INTEGER,
+          notification_type TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (shop_domain, step_number),
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating cart_sequence_steps table:', err);
+        
+      });
+
+      // 30. ORDER ATTRIBUTIONS TABLE - Orders credited to a WhatsApp message
+      // or link click within the shop's attribution window. touch_type is
+      // 'message' or 'click'; model is the rule that picked the touch
+      // (last_touch or first_touch). cart_id is the abandoned cart the order
+      // completed, if any.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS order_attributions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          order_id TEXT NOT NULL,
+          order_number TEXT,
+          order_value REAL DEFAULT 0,
+          currency TEXT,
+          customer_phone TEXT,
+          model TEXT NOT NULL,
+          touch_type TEXT NOT NULL,
+          touched_at DATETIME NOT NULL,
+          message_id INTEGER,
+          link_id INTEGER,
+          flow_id INTEGER,
+          campaign_id INTEGER,
+          message_type TEXT,
+          cart_id INTEGER,
+          ordered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (shop_domain, order_id),
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating order_attributions table:', err);
+        
+      });
+
+      // 31. REMINDER SUPPRESSIONS TABLE - Automated sends that were called
+      // off before they went out. trigger_type/trigger_id is what scheduled
+      // them: 'abandoned_cart' (abandoned_carts.id) or 'review_request'
+      // (orders.id). reason is order_placed, opted_out, customer_replied,
+      // stop_requested or manual; the first suppression of a trigger is kept.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS reminder_suppressions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop_domain TEXT NOT NULL,
+          trigger_type TEXT NOT NULL,
+          trigger_id INTEGER NOT NULL,
+          customer_phone TEXT,
+          reason TEXT NOT NULL,
+          detail TEXT,
+          cancelled_messages INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (trigger_type, trigger_id),
+          FOREIGN KEY (shop_domain) REFERENCES shops(shop_domain) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) console.error('Error creating reminder_suppressions table:', err);
+        
+      });
+
       // Create indexes for better performance
       db.run('CREATE INDEX IF NOT EXISTS idx_messages_shop ON messages(shop_domain)');
       db.run('CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(customer_phone)');
@@ -448,9 +800,20 @@ function initializeDatabase() {
       db.run('CREATE INDEX IF NOT EXISTS idx_orders_shop ON orders(shop_domain)');
       db.run('CREATE INDEX IF NOT EXISTS idx_customers_shop_phone ON customers(shop_domain, customer_phone)');
       db.run('CREATE INDEX IF NOT EXISTS idx_analytics_shop_date ON analytics(shop_domain, date)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_message_queue_status ON message_queue(status, available_at)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_whatsapp_senders_shop ON whatsapp_senders(shop_domain)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_provider_credentials_account ON provider_credentials(provider, account_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_conversation_notes_conversation ON conversation_notes(conversation_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_flow_experiments_shop ON flow_experiments(shop_domain, status)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_tracked_links_message ON tracked_links(message_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_tracked_links_shop ON tracked_links(shop_domain, created_at)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_link_clicks_link ON link_clicks(link_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_experiment_assignments_phone ON experiment_assignments(shop_domain, customer_phone)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_discount_codes_message ON discount_codes(message_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_order_attributions_shop ON order_attributions(shop_domain, ordered_at)');
 
         console.log(`✅ Database initialized (${Date.now() - initStart}ms)`);
-        resolve();
+        runMigrations(db).then(resolve).catch(reject);
       });
     });
   });
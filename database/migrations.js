@@ -0,0 +1,175 @@
+// database/migrations.js
+// Column additions for tables that already exist in deployed databases.
+// CREATE TABLE IF NOT EXISTS never alters an existing table, so new columns
+// are listed here and added with ALTER TABLE when they are missing.
+
+const COLUMN_MIGRATIONS = [
+  // Campaign attribution for messages sent by the campaign runner
+  { table: 'messages', column: 'campaign_id', definition: 'INTEGER' },
+  // Media attached to a message (flow images, inbound photos)
+  { table: 'messages', column: 'media_url', definition: 'TEXT' },
+  { table: 'messages', column: 'media_type', definition: 'TEXT' },
+  // Interactive buttons sent with a message (JSON: quick replies and call-to-action link)
+  { table: 'messages', column: 'buttons', definition: 'TEXT' },
+  // Provider-side sender ID (Meta phone number ID) for each WhatsApp number
+  { table: 'whatsapp_senders', column: 'external_id', definition: 'TEXT' },
+  // Approved WhatsApp templates (HSM): Twilio content SID, provider approval state
+  { table: 'templates', column: 'provider_template_id', definition: 'TEXT' },
+  { table: 'templates', column: 'approval_status', definition: "TEXT DEFAULT 'unsubmitted'" },
+  { table: 'templates', column: 'rejection_reason', definition: 'TEXT' },
+  { table: 'templates', column: 'last_synced_at', definition: 'DATETIME' },
+  // Start of the customer's 24-hour service window
+  { table: 'conversations', column: 'last_inbound_at', definition: 'DATETIME' },
+  // Team inbox
+  { table: 'conversations', column: 'unread_count', definition: 'INTEGER DEFAULT 0' },
+  { table: 'conversations', column: 'customer_name', definition: 'TEXT' },
+  { table: 'conversations', column: 'updated_at', definition: 'DATETIME' },
+  // Storefront language of the checkout, used to pick the reminder language
+  { table: 'abandoned_carts', column: 'customer_locale', definition: 'TEXT' },
+  // Shop currency, money format, timezone and country from Shopify, used to
+  // format notification amounts, dates and addresses
+  { table: 'shops', column: 'currency', definition: 'TEXT' },
+  { table: 'shops', column: 'money_format', definition: 'TEXT' },
+  { table: 'shops', column: 'iana_timezone', definition: 'TEXT' },
+  { table: 'shops', column: 'country_code', definition: 'TEXT' },
+  { table: 'shops', column: 'locale_synced_at', definition: 'DATETIME' },
+  // Shop values quoted in notifications (free shipping offer, delivery estimate)
+  { table: 'automation_settings', column: 'free_shipping_threshold', definition: 'REAL' },
+  { table: 'automation_settings', column: 'delivery_min_days', definition: 'INTEGER DEFAULT 3' },
+  { table: 'automation_settings', column: 'delivery_max_days', definition: 'INTEGER DEFAULT 5' },
+  // Flow version history: the revision a flow currently sends, and the
+  // revision each flow message was rendered from
+  { table: 'whatsapp_flows', column: 'current_revision_id', definition: 'INTEGER' },
+  { table: 'messages', column: 'flow_revision_id', definition: 'INTEGER' },
+  // Unique per-recipient discount codes (JSON: type, value, minimumSubtotal,
+  // expiresInHours, prefix); null when the flow uses discount_code or none
+  { table: 'whatsapp_flows', column: 'discount_settings', definition: 'TEXT' },
+  { table: 'flow_revisions', column: 'discount_settings', definition: 'TEXT' },
+  // Set when the customer asked for no more reminders about a cart; now
+  // recorded in reminder_suppressions (see the backfill below)
+  { table: 'abandoned_carts', column: 'reminders_stopped_at', definition: 'DATETIME' },
+  // Storefront cart token of the checkout, matched against orders/create
+  { table: 'abandoned_carts', column: 'cart_token', definition: 'TEXT' },
+  // Revenue attribution: how many days after a message or click an order
+  // still counts, and whether the last or first touch in that window gets it
+  { table: 'automation_settings', column: 'attribution_window_days', definition: 'INTEGER DEFAULT 7' },
+  { table: 'automation_settings', column: 'attribution_model', definition: "TEXT DEFAULT 'last_touch'" },
+  // What scheduled an automated message (abandoned_cart / review_request and
+  // the cart or order id), so a suppression can cancel it while still queued
+  { table: 'message_queue', column: 'trigger_type', definition: 'TEXT' },
+  { table: 'message_queue', column: 'trigger_id', definition: 'INTEGER' },
+  // Quiet hours ('HH:MM', customer's local time) and the weekdays automated
+  // follow-ups go out on (comma-separated, 0 = Sunday). Off until the shop
+  // turns them on, so existing automations keep their timing.
+  { table: 'automation_settings', column: 'quiet_hours_enabled', definition: 'BOOLEAN DEFAULT 0' },
+  { table: 'automation_settings', column: 'quiet_hours_start', definition: "TEXT DEFAULT '21:00'" },
+  { table: 'automation_settings', column: 'quiet_hours_end', definition: "TEXT DEFAULT '09:00'" },
+  { table: 'automation_settings', column: 'sending_days', definition: "TEXT DEFAULT '0,1,2,3,4,5,6'" },
+  // Timezone of the checkout's shipping address, used for quiet hours
+  { table: 'abandoned_carts', column: 'customer_timezone', definition: 'TEXT' },
+  // When a discount code becomes valid; codes are reserved when the message
+  // is queued and created in Shopify when it is sent
+  { table: 'discount_codes', column: 'starts_at', definition: 'DATETIME' },
+  // Why Shopify would not create a reserved code (its message went out without it)
+  { table: 'discount_codes', column: 'error_message', definition: 'TEXT' },
+  // Campaign recipients outside the session window with no approved template to send
+  { table: 'campaigns', column: 'skipped_count', definition: 'INTEGER DEFAULT 0' }
+];
+
+// Indexes on migrated columns can only be created once the column exists
+const INDEX_MIGRATIONS = [
+  'CREATE INDEX IF NOT EXISTS idx_messages_campaign ON messages(campaign_id)',
+  // One row per Shopify delivery so retried webhooks are not processed twice
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_webhooks_webhook_id ON webhooks(webhook_id) WHERE webhook_id IS NOT NULL',
+  // One registered template per notification type and language
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_templates_shop_type_language ON templates(shop_domain, template_type, language)',
+  // One conversation per customer and shop
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_shop_phone ON conversations(shop_domain, customer_phone)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_shop_status ON conversations(shop_domain, status, last_message_at)',
+  'CREATE INDEX IF NOT EXISTS idx_messages_flow_revision ON messages(flow_revision_id)',
+  'CREATE INDEX IF NOT EXISTS idx_message_queue_trigger ON message_queue(trigger_type, trigger_id)'
+];
+
+// Idempotent backfills that run after the columns and indexes above exist
+const DATA_MIGRATIONS = [
+  // Inbox threads for customers messaged before conversations were recorded
+  `INSERT OR IGNORE INTO conversations (
+     shop_domain, customer_phone, customer_name, status, last_message_at, messages_count, last_inbound_at
+   )
+   SELECT m.shop_domain, m.customer_phone, MAX(m.customer_name), 'open', MAX(m.created_at), COUNT(*),
+          MAX(CASE WHEN m.direction = 'inbound' THEN m.created_at END)
+   FROM messages m
+   JOIN shops s ON m.shop_domain = s.shop_domain
+   GROUP BY m.shop_domain, m.customer_phone`,
+  // First revision for flows created before revisions were kept
+  `INSERT INTO flow_revisions (
+     flow_id, shop_domain, revision_number, change_type, flow_name, flow_type, flow_example, language,
+     trigger_delay_minutes, message_content, footer_text, discount_code, image_type, image_url,
+     button_text, quick_replies, created_at
+   )
+   SELECT f.id, f.shop_domain, 1, 'create', f.flow_name, f.flow_type, f.flow_example, f.language,
+          f.trigger_delay_minutes, f.message_content, f.footer_text, f.discount_code, f.image_type, f.image_url,
+          f.button_text, f.quick_replies, COALESCE(f.updated_at, f.created_at)
+   FROM whatsapp_flows f
+   WHERE NOT EXISTS (SELECT 1 FROM flow_revisions r WHERE r.flow_id = f.id)`,
+  `UPDATE whatsapp_flows
+   SET current_revision_id = (SELECT MAX(r.id) FROM flow_revisions r WHERE r.flow_id = whatsapp_flows.id)
+   WHERE current_revision_id IS NULL`,
+  // Carts whose reminders the customer stopped before suppressions were recorded
+  `INSERT OR IGNORE INTO reminder_suppressions (
+     shop_domain, trigger_type, trigger_id, customer_phone, reason, created_at
+   )
+   SELECT shop_domain, 'abandoned_cart', id, customer_phone, 'stop_requested', reminders_stopped_at
+   FROM abandoned_carts
+   WHERE reminders_stopped_at IS NOT NULL`
+];
+
+function getTableColumns(db, table) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.name));
+    });
+  });
+}
+
+function runStatement(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function addColumn(db, table, column, definition) {
+  return runStatement(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+async function runMigrations(db) {
+  const columnsByTable = {};
+
+  for (const migration of COLUMN_MIGRATIONS) {
+    if (!columnsByTable[migration.table]) {
+      columnsByTable[migration.table] = await getTableColumns(db, migration.table);
+    }
+
+    if (!columnsByTable[migration.table].includes(migration.column)) {
+      await addColumn(db, migration.table, migration.column, migration.definition);
+      columnsByTable[migration.table].push(migration.column);
+      console.log(`🔧 Added column ${migration.table}.${migration.column}`);
+    }
+  }
+
+  for (const sql of INDEX_MIGRATIONS) {
+    await runStatement(db, sql);
+  }
+
+  for (const sql of DATA_MIGRATIONS) {
+    await runStatement(db, sql);
+  }
+}
+
+module.exports = {
+  runMigrations
+};
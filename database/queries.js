@@ -1,6 +1,20 @@
 // database/queries.js
 const { db } = require('./index');
 
+// whatsapp_flows / flow_revisions row with its JSON columns parsed
+function parseFlowRow(row) {
+  return {
+    ...row,
+    quick_replies: JSON.parse(row.quick_replies || '[]'),
+    discount_settings: row.discount_settings ? JSON.parse(row.discount_settings) : null
+  };
+}
+
+// Digits of a stored phone number, so '+1 (555) 010-0000' and '+15550100000' match
+function phoneDigitsSql(column) {
+  return `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(${column}, '+', ''), ' ', ''), '-', ''), '(', ''), ')', '')`;
+}
+
 class DatabaseQueries {
   // ========== SHOP OPERATIONS ==========
 
@@ -12,9 +26,28 @@ class DatabaseQueries {
         INSERT OR REPLACE INTO automation_settings (
           shop_domain, abandoned_cart_enabled, order_confirmation_enabled,
           shipping_updates_enabled, welcome_message_enabled, review_request_enabled,
-          birthday_messages_enabled, back_in_stock_enabled, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          birthday_messages_enabled, back_in_stock_enabled, free_shipping_threshold,
+          delivery_min_days, delivery_max_days, attribution_window_days, attribution_model,
+          quiet_hours_enabled, quiet_hours_start, quiet_hours_end, sending_days, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
       `;
+      // No threshold means no free shipping offer; the delivery estimate is
+      // a range of business days (3-5 unless set)
+      const threshold = parseFloat(settings.freeShippingThreshold);
+      const minDays = parseInt(settings.deliveryMinDays ?? 3, 10);
+      const maxDays = parseInt(settings.deliveryMaxDays ?? 5, 10);
+      const deliveryMinDays = minDays >= 0 ? minDays : 3;
+      const deliveryMaxDays = maxDays >= deliveryMinDays ? maxDays : Math.max(deliveryMinDays, 5);
+      // Orders are credited to WhatsApp for 1-90 days after a message (7 unless set)
+      const windowDays = parseInt(settings.attributionWindowDays ?? 7, 10);
+      const attributionWindowDays = windowDays >= 1 && windowDays <= 90 ? windowDays : 7;
+      const attributionModel = settings.attributionModel === 'first_touch' ? 'first_touch' : 'last_touch';
+      // Quiet hours are opt-in (21:00-09:00, every day unless set); a shop
+      // has to send on at least one day
+      const isTime = value => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value || ''));
+      const sendingDays = [...new Set((settings.sendingDays || []).map(day => parseInt(day, 10)))]
+        .filter(day => day >= 0 && day <= 6)
+        .sort();
       
       db.run(query, [
         shop_domain,
@@ -24,7 +57,16 @@ class DatabaseQueries {
         settings.welcomeMessage ? 1 : 0,
         settings.reviewRequest ? 1 : 0,
         settings.birthdayMessages ? 1 : 0,
-        settings.backInStock ? 1 : 0
+        settings.backInStock ? 1 : 0,
+        threshold > 0 ? threshold : null,
+        deliveryMinDays,
+        deliveryMaxDays,
+        attributionWindowDays,
+        attributionModel,
+        settings.quietHoursEnabled ? 1 : 0,
+        isTime(settings.quietHoursStart) ? settings.quietHoursStart : '21:00',
+        isTime(settings.quietHoursEnd) ? settings.quietHoursEnd : '09:00',
+        (sendingDays.length > 0 ? sendingDays : [0, 1, 2, 3, 4, 5, 6]).join(',')
       ], function(err) {
         if (err) {
           reject(err);
@@ -53,7 +95,16 @@ class DatabaseQueries {
             welcomeMessage: Boolean(row.welcome_message_enabled),
             reviewRequest: Boolean(row.review_request_enabled),
             birthdayMessages: Boolean(row.birthday_messages_enabled),
-            backInStock: Boolean(row.back_in_stock_enabled)
+            backInStock: Boolean(row.back_in_stock_enabled),
+            freeShippingThreshold: row.free_shipping_threshold,
+            deliveryMinDays: row.delivery_min_days ?? 3,
+            deliveryMaxDays: row.delivery_max_days ?? 5,
+            attributionWindowDays: row.attribution_window_days ?? 7,
+            attributionModel: row.attribution_model || 'last_touch',
+            quietHoursEnabled: Boolean(row.quiet_hours_enabled),
+            quietHoursStart: row.quiet_hours_start || '21:00',
+            quietHoursEnd: row.quiet_hours_end || '09:00',
+            sendingDays: String(row.sending_days ?? '0,1,2,3,4,5,6').split(',').filter(Boolean).map(Number)
           } : {
             abandonedCart: true,
             orderConfirmation: true,
@@ -61,7 +112,16 @@ class DatabaseQueries {
             welcomeMessage: true,
             reviewRequest: false,
             birthdayMessages: false,
-            backInStock: false
+            backInStock: false,
+            freeShippingThreshold: null,
+            deliveryMinDays: 3,
+            deliveryMaxDays: 5,
+            attributionWindowDays: 7,
+            attributionModel: 'last_touch',
+            quietHoursEnabled: false,
+            quietHoursStart: '21:00',
+            quietHoursEnd: '09:00',
+            sendingDays: [0, 1, 2, 3, 4, 5, 6]
           };
           resolve(settings);
         }
@@ -77,8 +137,8 @@ class DatabaseQueries {
         INSERT INTO whatsapp_flows (
           shop_domain, flow_name, flow_type, flow_example, language,
           trigger_delay_minutes, message_content, footer_text, discount_code,
-          image_type, image_url, button_text, quick_replies
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          image_type, image_url, button_text, quick_replies, discount_settings
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       db.run(query, [
@@ -94,12 +154,16 @@ class DatabaseQueries {
         flowData.imageType,
         flowData.imageUrl,
         flowData.buttonText,
-        JSON.stringify(flowData.quickReplies || [])
+        JSON.stringify(flowData.quickReplies || []),
+        flowData.discountSettings ? JSON.stringify(flowData.discountSettings) : null
       ], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve({ success: true, id: this.lastID });
+          const flowId = this.lastID;
+          DatabaseQueries.saveFlowRevision(flowId, shop_domain, 'create')
+            .then(revisionId => resolve({ success: true, id: flowId, revisionId }))
+            .catch(reject);
         }
       });
     });
@@ -116,24 +180,37 @@ class DatabaseQueries {
         if (err) {
           reject(err);
         } else {
-          const flows = rows.map(row => ({
-            ...row,
-            quick_replies: JSON.parse(row.quick_replies || '[]')
-          }));
-          resolve(flows);
+          resolve(rows.map(parseFlowRow));
         }
       });
     });
   }
 
-  static updateWhatsAppFlow(flowId, shop_domain, flowData) {
+  static getWhatsAppFlow(flowId, shop_domain) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM whatsapp_flows WHERE id = ? AND shop_domain = ?',
+        [flowId, shop_domain],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? parseFlowRow(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  // revision: { changeType: 'update' | 'restore', restoredFromRevisionId }
+  static updateWhatsAppFlow(flowId, shop_domain, flowData, revision = {}) {
     return new Promise((resolve, reject) => {
       const query = `
         UPDATE whatsapp_flows SET
           flow_name = ?, flow_type = ?, flow_example = ?, language = ?,
           trigger_delay_minutes = ?, message_content = ?, footer_text = ?,
           discount_code = ?, image_type = ?, image_url = ?, button_text = ?,
-          quick_replies = ?, updated_at = CURRENT_TIMESTAMP
+          quick_replies = ?, discount_settings = ?, updated_at = CURRENT_TIMESTAMP
         WHERE id = ? AND shop_domain = ?
       `;
       
@@ -150,18 +227,100 @@ class DatabaseQueries {
         flowData.imageUrl,
         flowData.buttonText,
         JSON.stringify(flowData.quickReplies || []),
+        flowData.discountSettings ? JSON.stringify(flowData.discountSettings) : null,
         flowId,
         shop_domain
       ], function(err) {
         if (err) {
           reject(err);
+        } else if (this.changes === 0) {
+          resolve({ success: true, changes: 0 });
         } else {
-          resolve({ success: true, changes: this.changes });
+          const changes = this.changes;
+          DatabaseQueries.saveFlowRevision(
+            flowId, shop_domain, revision.changeType || 'update', revision.restoredFromRevisionId || null
+          )
+            .then(revisionId => resolve({ success: true, changes, revisionId }))
+            .catch(reject);
+        }
+      });
+    });
+  }
+
+  // Copy the flow as it is now into a new revision and make it the revision
+  // the flow sends. Revisions are never updated or deleted.
+  static saveFlowRevision(flowId, shop_domain, changeType, restoredFromRevisionId = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO flow_revisions (
+          flow_id, shop_domain, revision_number, change_type, restored_from_revision_id,
+          flow_name, flow_type, flow_example, language, trigger_delay_minutes,
+          message_content, footer_text, discount_code, image_type, image_url,
+          button_text, quick_replies, discount_settings
+        )
+        SELECT id, shop_domain,
+          COALESCE((SELECT MAX(revision_number) FROM flow_revisions WHERE flow_id = ?), 0) + 1,
+          ?, ?, flow_name, flow_type, flow_example, language, trigger_delay_minutes,
+          message_content, footer_text, discount_code, image_type, image_url,
+          button_text, quick_replies, discount_settings
+        FROM whatsapp_flows WHERE id = ? AND shop_domain = ?
+      `;
+
+      db.run(query, [flowId, changeType, restoredFromRevisionId, flowId, shop_domain], function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const revisionId = this.lastID;
+        db.run(
+          'UPDATE whatsapp_flows SET current_revision_id = ? WHERE id = ? AND shop_domain = ?',
+          [revisionId, flowId, shop_domain],
+          (updateErr) => {
+            if (updateErr) reject(updateErr);
+            else resolve(revisionId);
+          }
+        );
+      });
+    });
+  }
+
+  // Newest first, with the number of messages each revision produced
+  static getFlowRevisions(flowId, shop_domain) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT r.*,
+          (SELECT COUNT(*) FROM messages m WHERE m.flow_revision_id = r.id) as messages_sent
+        FROM flow_revisions r
+        WHERE r.flow_id = ? AND r.shop_domain = ?
+        ORDER BY r.revision_number DESC
+      `;
+
+      db.all(query, [flowId, shop_domain], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(parseFlowRow));
         }
       });
     });
   }
 
+  static getFlowRevision(revisionId, flowId, shop_domain) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM flow_revisions WHERE id = ? AND flow_id = ? AND shop_domain = ?',
+        [revisionId, flowId, shop_domain],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? parseFlowRow(row) : null);
+          }
+        }
+      );
+    });
+  }
+
   static toggleWhatsAppFlow(flowId, shop_domain) {
     return new Promise((resolve, reject) => {
       const query = `
@@ -181,6 +340,19 @@ class DatabaseQueries {
     });
   }
 
+  static setWhatsAppFlowActive(flowId, shop_domain, active) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE whatsapp_flows SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND shop_domain = ?',
+        [active ? 1 : 0, flowId, shop_domain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
   static deleteWhatsAppFlow(flowId, shop_domain) {
     return new Promise((resolve, reject) => {
       const query = `
@@ -241,6 +413,21 @@ static getOrder(orderId) {
   });
 }
 
+static getRecentOrders(shopDomain, limit = 20) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT order_id, order_number, customer_name, total_price, currency, created_at
+       FROM orders WHERE shop_domain = ?
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [shopDomain, limit],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
 static updateOrderStatus(orderId, status, financialStatus) {
   return new Promise((resolve, reject) => {
     db.run(
@@ -597,6 +784,29 @@ static disableCustomer(customerId) {
     });
   }
 
+  // Formatting details from the Shopify shop resource
+  static updateShopLocale(shopDomain, shopLocale) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE shops
+         SET currency = ?, money_format = ?, iana_timezone = ?, country_code = ?,
+             locale_synced_at = CURRENT_TIMESTAMP
+         WHERE shop_domain = ?`,
+        [
+          shopLocale.currency || null,
+          shopLocale.money_format || null,
+          shopLocale.iana_timezone || null,
+          shopLocale.country_code || null,
+          shopDomain
+        ],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
   static updateShopPlan(shopDomain, plan, messageLimit) {
     return new Promise((resolve, reject) => {
       db.run(
@@ -619,8 +829,9 @@ static disableCustomer(customerId) {
       const query = `
         INSERT INTO messages (
           shop_domain, customer_phone, customer_name, message_type,
-          message_body, twilio_sid, twilio_status, direction, cost
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          message_body, twilio_sid, twilio_status, direction, cost, campaign_id,
+          media_url, media_type, buttons, flow_revision_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       db.run(query, [
@@ -632,7 +843,12 @@ static disableCustomer(customerId) {
         messageData.twilio_sid || null,
         messageData.twilio_status || 'pending',
         messageData.direction || 'outbound',
-        messageData.cost || 0
+        messageData.cost || 0,
+        messageData.campaign_id || null,
+        messageData.media_url || null,
+        messageData.media_type || null,
+        messageData.buttons ? JSON.stringify(messageData.buttons) : null,
+        messageData.flow_revision_id || null
       ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
@@ -708,6 +924,46 @@ static disableCustomer(customerId) {
     });
   }
 
+  // Most recent message the customer sent to the shop (UTC), or null
+  static getLastInboundMessageAt(shopDomain, customerPhone) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT MAX(created_at) as last_inbound_at FROM messages
+         WHERE shop_domain = ? AND customer_phone = ? AND direction = 'inbound'`,
+        [shopDomain, customerPhone],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row?.last_inbound_at || null);
+        }
+      );
+    });
+  }
+
+  // Call-to-action link of the latest outbound message that had one, as
+  // { text, url }, or null
+  static getLastCallToAction(shopDomain, customerPhone) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT buttons FROM messages
+         WHERE shop_domain = ? AND customer_phone = ? AND direction = 'outbound'
+         AND buttons LIKE '%"cta":{%'
+         ORDER BY created_at DESC, id DESC LIMIT 1`,
+        [shopDomain, customerPhone],
+        (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          try {
+            resolve(row ? JSON.parse(row.buttons).cta || null : null);
+          } catch (parseError) {
+            resolve(null);
+          }
+        }
+      );
+    });
+  }
+
   static getMessageStats(shopDomain, days = 30) {
     return new Promise((resolve, reject) => {
       const query = `
@@ -731,6 +987,249 @@ static disableCustomer(customerId) {
     });
   }
 
+  // ========== MESSAGE QUEUE OPERATIONS ==========
+
+  static enqueueMessageJob(jobData) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO message_queue (
+          shop_domain, message_id, customer_phone, payload, priority,
+          max_attempts, available_at, trigger_type, trigger_id
+        ) VALUES (?, ?, ?, ?, ?, ?, COALESCE(datetime(?), CURRENT_TIMESTAMP), ?, ?)
+      `;
+
+      db.run(query, [
+        jobData.shop_domain,
+        jobData.message_id || null,
+        jobData.customer_phone,
+        JSON.stringify(jobData.payload || {}),
+        jobData.priority || 0,
+        jobData.max_attempts || 5,
+        jobData.available_at || null,
+        jobData.trigger_type || null,
+        jobData.trigger_id || null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  // Lease the next runnable job: queued and due, or 'sending' with an expired lease
+  // (the worker that held it crashed). Resolves null when nothing is runnable.
+  static leaseMessageJob(leaseSeconds) {
+    const runnable = `(
+      (status = 'queued' AND available_at <= CURRENT_TIMESTAMP)
+      OR (status = 'sending' AND leased_until < CURRENT_TIMESTAMP)
+    )`;
+
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM message_queue WHERE ${runnable}
+         ORDER BY priority ASC, available_at ASC, id ASC
+         LIMIT 1`,
+        (err, job) => {
+          if (err) return reject(err);
+          if (!job) return resolve(null);
+
+          db.run(
+            `UPDATE message_queue 
+             SET status = 'sending', leased_until = datetime('now', '+' || ? || ' seconds'),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND ${runnable}`,
+            [leaseSeconds, job.id],
+            function(updateErr) {
+              if (updateErr) return reject(updateErr);
+              // Another worker won the race; the caller simply asks again
+              if (this.changes !== 1) return resolve(DatabaseQueries.leaseMessageJob(leaseSeconds));
+
+              resolve({ ...job, payload: JSON.parse(job.payload || '{}') });
+            }
+          );
+        }
+      );
+    });
+  }
+
+  static completeMessageJob(jobId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE message_queue 
+         SET status = 'sent', attempts = attempts + 1, leased_until = NULL,
+             last_error = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [jobId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  static retryMessageJob(jobId, delaySeconds, errorMessage) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE message_queue 
+         SET status = 'queued', attempts = attempts + 1, leased_until = NULL,
+             available_at = datetime('now', '+' || ? || ' seconds'),
+             last_error = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [delaySeconds, errorMessage, jobId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  static updateMessageJobPayload(jobId, payload) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE message_queue SET payload = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(payload), jobId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Push a job back without counting an attempt (nothing was sent)
+  static deferMessageJob(jobId, delaySeconds, reason) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE message_queue 
+         SET status = 'queued', leased_until = NULL,
+             available_at = datetime('now', '+' || ? || ' seconds'),
+             last_error = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [delaySeconds, reason, jobId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Dead-letter a job that exhausted its attempts or failed permanently
+  static deadLetterMessageJob(jobId, errorMessage) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE message_queue 
+         SET status = 'dead', attempts = attempts + 1, leased_until = NULL,
+             last_error = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [errorMessage, jobId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Put a dead-lettered job back in the queue with a fresh attempt budget
+  static requeueDeadMessageJob(shopDomain, jobId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE message_queue 
+         SET status = 'queued', attempts = 0, available_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND shop_domain = ? AND status = 'dead'`,
+        [jobId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static getMessageQueueSummary(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT status, COUNT(*) as count FROM message_queue 
+         WHERE shop_domain = ? GROUP BY status`,
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve((rows || []).reduce((summary, row) => {
+            summary[row.status] = row.count;
+            return summary;
+          }, { queued: 0, sending: 0, sent: 0, dead: 0, cancelled: 0 }));
+        }
+      );
+    });
+  }
+
+  static getDeadMessageJobs(shopDomain, limit = 50) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT q.id, q.customer_phone, q.attempts, q.last_error, q.updated_at,
+                m.message_type, m.message_body
+         FROM message_queue q
+         LEFT JOIN messages m ON m.id = q.message_id
+         WHERE q.shop_domain = ? AND q.status = 'dead'
+         ORDER BY q.updated_at DESC
+         LIMIT ?`,
+        [shopDomain, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Reflect queue progress on the messages row (queued/sending/sent/failed)
+  static updateQueuedMessage(messageId, updates) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE messages 
+         SET twilio_status = ?, twilio_sid = COALESCE(?, twilio_sid), error_message = ?
+         WHERE id = ?`,
+        [updates.twilio_status, updates.twilio_sid || null, updates.error_message || null, messageId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Text the queue worker sent instead of the queued one (a message without
+  // the discount code it could not create)
+  static updateMessageBody(messageId, body) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE messages SET message_body = ? WHERE id = ?',
+        [body, messageId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Image the queue worker attached to a message at delivery
+  static updateMessageMedia(messageId, mediaUrl, mediaType) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE messages SET media_url = ?, media_type = ? WHERE id = ?',
+        [mediaUrl, mediaType, messageId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
   // ========== ABANDONED CART OPERATIONS ==========
   
   static saveAbandonedCart(cartData) {
@@ -739,8 +1238,9 @@ static disableCustomer(customerId) {
         INSERT OR REPLACE INTO abandoned_carts (
           shop_domain, checkout_id, checkout_token, customer_email,
           customer_phone, customer_name, cart_value, currency,
-          items_count, line_items, checkout_url
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          items_count, line_items, checkout_url, customer_locale, cart_token,
+          customer_timezone
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       db.run(query, [
@@ -751,10 +1251,13 @@ static disableCustomer(customerId) {
         cartData.customer_phone || null,
         cartData.customer_name || null,
         cartData.cart_value || 0,
-        cartData.currency || 'USD',
+        cartData.currency || null,
         cartData.items_count || 0,
         JSON.stringify(cartData.line_items || []),
-        cartData.checkout_url || null
+        cartData.checkout_url || null,
+        cartData.customer_locale || null,
+        cartData.cart_token || null,
+        cartData.customer_timezone || null
       ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
@@ -780,6 +1283,34 @@ static disableCustomer(customerId) {
     });
   }
 
+  static getRecentAbandonedCarts(shopDomain, limit = 20) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, checkout_id, customer_name, cart_value, currency, items_count, created_at
+         FROM abandoned_carts WHERE shop_domain = ?
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [shopDomain, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getAbandonedCartByCheckoutId(shopDomain, checkoutId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM abandoned_carts WHERE shop_domain = ? AND checkout_id = ?',
+        [shopDomain, checkoutId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
   static markCartRecovered(checkoutId, recoveryValue) {
     return new Promise((resolve, reject) => {
       db.run(
@@ -858,9 +1389,52 @@ static disableCustomer(customerId) {
     });
   }
 
-  static updateCustomerLastInteraction(shopDomain, customerPhone) {
+  static getCustomerByPhone(shopDomain, customerPhone) {
     return new Promise((resolve, reject) => {
-      db.run(
+      db.get(
+        'SELECT * FROM customers WHERE shop_domain = ? AND customer_phone = ?',
+        [shopDomain, customerPhone],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static updateCustomerLanguage(shopDomain, customerPhone, language) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE customers
+         SET language = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE shop_domain = ? AND customer_phone = ?`,
+        [language, shopDomain, customerPhone],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  static updateCustomerTimezone(shopDomain, customerPhone, timezone) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE customers
+         SET timezone = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE shop_domain = ? AND customer_phone = ?`,
+        [timezone, shopDomain, customerPhone],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  static updateCustomerLastInteraction(shopDomain, customerPhone) {
+    return new Promise((resolve, reject) => {
+      db.run(
         `UPDATE customers 
          SET last_interaction = CURRENT_TIMESTAMP 
          WHERE shop_domain = ? AND customer_phone = ?`,
@@ -967,7 +1541,7 @@ static disableCustomer(customerId) {
         INSERT INTO campaigns (
           shop_domain, campaign_name, campaign_type, message_template,
           target_audience, scheduled_at, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, datetime(?), ?)
       `;
       
       db.run(query, [
@@ -1008,6 +1582,356 @@ static disableCustomer(customerId) {
     });
   }
 
+  static getCampaigns(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM campaigns WHERE shop_domain = ? ORDER BY created_at DESC',
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getCampaign(shopDomain, campaignId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM campaigns WHERE id = ? AND shop_domain = ?',
+        [campaignId, shopDomain],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  // Only draft and scheduled campaigns can still be edited
+  static updateCampaign(shopDomain, campaignId, campaignData) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE campaigns SET
+          campaign_name = ?, campaign_type = ?, message_template = ?,
+          target_audience = ?, scheduled_at = datetime(?), status = ?
+        WHERE id = ? AND shop_domain = ? AND status IN ('draft', 'scheduled')
+      `;
+
+      db.run(query, [
+        campaignData.campaign_name,
+        campaignData.campaign_type || 'manual',
+        campaignData.message_template,
+        campaignData.target_audience || 'all',
+        campaignData.scheduled_at || null,
+        campaignData.status || 'draft',
+        campaignId,
+        shopDomain
+      ], function(err) {
+        if (err) reject(err);
+        else resolve({ success: true, changes: this.changes });
+      });
+    });
+  }
+
+  static scheduleCampaign(shopDomain, campaignId, scheduledAt) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE campaigns 
+         SET status = 'scheduled', scheduled_at = COALESCE(datetime(?), CURRENT_TIMESTAMP)
+         WHERE id = ? AND shop_domain = ? AND status IN ('draft', 'scheduled')`,
+        [scheduledAt || null, campaignId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static unscheduleCampaign(shopDomain, campaignId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE campaigns SET status = 'draft'
+         WHERE id = ? AND shop_domain = ? AND status = 'scheduled'`,
+        [campaignId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static deleteCampaign(shopDomain, campaignId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM campaigns 
+         WHERE id = ? AND shop_domain = ? AND status != 'sending'`,
+        [campaignId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // Scheduled campaigns whose time has come, plus interrupted runs to resume
+  static getDueCampaigns() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT c.* FROM campaigns c
+         JOIN shops s ON c.shop_domain = s.shop_domain
+         WHERE s.is_active = 1
+         AND (
+           (c.status = 'scheduled' AND c.scheduled_at <= CURRENT_TIMESTAMP)
+           OR c.status = 'sending'
+         )
+         ORDER BY c.scheduled_at ASC`,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Move a campaign into 'sending'. Resolves false if it is no longer runnable.
+  static claimCampaign(campaignId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE campaigns 
+         SET status = 'sending', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+         WHERE id = ? AND status IN ('scheduled', 'sending')`,
+        [campaignId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes === 1);
+        }
+      );
+    });
+  }
+
+  static buildAudienceFilter(targetAudience) {
+    const audience = targetAudience || 'all';
+
+    if (audience.startsWith('tag:')) {
+      const tag = audience.slice(4).trim().toLowerCase();
+      return {
+        clause: `AND (',' || LOWER(REPLACE(COALESCE(c.tags, ''), ', ', ',')) || ',') LIKE ?`,
+        params: [`%,${tag},%`]
+      };
+    }
+
+    const segments = {
+      all: '',
+      vip: 'AND (c.total_spent > 500 OR c.vip_status = 1)',
+      repeat: 'AND c.total_orders >= 2',
+      one_time: 'AND c.total_orders = 1',
+      at_risk: "AND c.last_order_date < datetime('now', '-60 days')"
+    };
+
+    if (!(audience in segments)) {
+      throw new Error(`Unknown target audience: ${audience}`);
+    }
+
+    return { clause: segments[audience], params: [] };
+  }
+
+  // Opted-in customers in the campaign audience who have not been sent this campaign yet
+  static getPendingCampaignRecipients(campaign) {
+    return new Promise((resolve, reject) => {
+      let filter;
+      try {
+        filter = DatabaseQueries.buildAudienceFilter(campaign.target_audience);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const query = `
+        SELECT c.* FROM customers c
+        WHERE c.shop_domain = ?
+        AND c.opted_in = 1
+        AND c.customer_phone IS NOT NULL
+        AND c.customer_phone != ''
+        ${filter.clause}
+        AND NOT EXISTS (
+          SELECT 1 FROM messages m
+          WHERE m.campaign_id = ? AND m.customer_phone = c.customer_phone
+        )
+        ORDER BY c.id ASC
+      `;
+
+      db.all(query, [campaign.shop_domain, ...filter.params, campaign.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  static countCampaignAudience(shopDomain, targetAudience) {
+    return new Promise((resolve, reject) => {
+      let filter;
+      try {
+        filter = DatabaseQueries.buildAudienceFilter(targetAudience);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      db.get(
+        `SELECT COUNT(*) as count FROM customers c
+         WHERE c.shop_domain = ?
+         AND c.opted_in = 1
+         AND c.customer_phone IS NOT NULL
+         AND c.customer_phone != ''
+         ${filter.clause}`,
+        [shopDomain, ...filter.params],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row?.count || 0);
+        }
+      );
+    });
+  }
+
+  static setCampaignRecipients(campaignId, totalRecipients) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE campaigns SET total_recipients = ? WHERE id = ?',
+        [totalRecipients, campaignId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Recipients left out of the last run because their session window was
+  // closed and the shop has no approved campaign template
+  static setCampaignSkipped(campaignId, skippedCount) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE campaigns SET skipped_count = ? WHERE id = ?',
+        [skippedCount, campaignId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  static completeCampaign(campaignId, status = 'completed') {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE campaigns SET status = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'sending'`,
+        [status, campaignId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Recompute sent/delivered/read/response counts from the messages table
+  static refreshCampaignCounts(campaignId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE campaigns SET
+          sent_count = (
+            SELECT COUNT(*) FROM messages
+            WHERE campaign_id = campaigns.id AND twilio_status NOT IN ('failed', 'undelivered')
+          ),
+          delivered_count = (
+            SELECT COUNT(*) FROM messages
+            WHERE campaign_id = campaigns.id AND twilio_status IN ('delivered', 'read')
+          ),
+          read_count = (
+            SELECT COUNT(*) FROM messages
+            WHERE campaign_id = campaigns.id AND twilio_status = 'read'
+          ),
+          response_count = (
+            SELECT COUNT(DISTINCT r.customer_phone) FROM messages r
+            JOIN messages m ON m.customer_phone = r.customer_phone
+              AND m.shop_domain = r.shop_domain
+              AND m.campaign_id = campaigns.id
+            WHERE r.direction = 'inbound' AND r.created_at >= m.created_at
+          )
+        WHERE id = ?
+      `;
+
+      db.run(query, [campaignId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  static getCampaignIdForMessage(twilioSid) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT campaign_id FROM messages WHERE twilio_sid = ?',
+        [twilioSid],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row?.campaign_id || null);
+        }
+      );
+    });
+  }
+
+  // ========== WEBHOOK DELIVERY OPERATIONS ==========
+
+  // Record a Shopify delivery (X-Shopify-Webhook-Id) before processing it.
+  // Resolves false when the same delivery was already processed or is in flight;
+  // failed deliveries and ones stuck in 'processing' can be claimed again.
+  static claimWebhookDelivery(shopDomain, webhookId, topic, address) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT OR IGNORE INTO webhooks (shop_domain, webhook_id, topic, address, status)
+         VALUES (?, ?, ?, ?, 'processing')`,
+        [shopDomain, webhookId, topic, address],
+        function(err) {
+          if (err) return reject(err);
+          if (this.changes > 0) return resolve(true);
+
+          db.run(
+            `UPDATE webhooks 
+             SET status = 'processing', last_error = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE webhook_id = ?
+             AND (status = 'failed' OR (status = 'processing' AND updated_at < datetime('now', '-5 minutes')))`,
+            [webhookId],
+            function(err) {
+              if (err) reject(err);
+              else resolve(this.changes > 0);
+            }
+          );
+        }
+      );
+    });
+  }
+
+  static completeWebhookDelivery(webhookId, status, lastError = null) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE webhooks 
+         SET status = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE webhook_id = ?`,
+        [status, lastError, webhookId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
   // ========== UNINSTALL CLEANUP METHODS ==========
 
   static deleteShop(shopDomain) {
@@ -1241,9 +2165,12 @@ static disableCustomer(customerId) {
       console.log('🔥 WIPING ALL DATABASE DATA - THIS IS DESTRUCTIVE!');
       
       const tables = [
-        'messages', 'orders', 'customers', 'abandoned_carts', 'analytics',
+        'message_queue', 'messages', 'orders', 'customers', 'abandoned_carts', 'analytics',
         'campaigns', 'templates', 'automations', 'webhooks', 'billing',
-        'conversations', 'shops'
+        'conversation_notes', 'conversations', 'inbound_routes', 'whatsapp_senders',
+        'provider_credentials', 'flow_revisions', 'experiment_assignments', 'experiment_variants',
+        'flow_experiments', 'discount_codes', 'link_clicks', 'tracked_links', 'cart_sequence_steps',
+        'order_attributions', 'reminder_suppressions', 'shops'
       ];
       
       const results = {};
@@ -1275,7 +2202,10 @@ static disableCustomer(customerId) {
       const tables = [
         'shops', 'messages', 'orders', 'customers', 'abandoned_carts',
         'analytics', 'campaigns', 'templates', 'automations', 'webhooks',
-        'billing', 'conversations'
+        'billing', 'conversations', 'message_queue', 'whatsapp_senders', 'inbound_routes',
+        'provider_credentials', 'conversation_notes', 'flow_revisions', 'flow_experiments',
+        'experiment_variants', 'experiment_assignments', 'discount_codes', 'tracked_links', 'link_clicks',
+        'cart_sequence_steps', 'order_attributions', 'reminder_suppressions'
       ];
       
       let completedTables = 0;
@@ -1302,7 +2232,10 @@ static disableCustomer(customerId) {
       const tables = [
         'shops', 'messages', 'orders', 'customers', 'abandoned_carts',
         'analytics', 'campaigns', 'templates', 'automations', 'webhooks',
-        'billing', 'conversations'
+        'billing', 'conversations', 'message_queue', 'whatsapp_senders', 'inbound_routes',
+        'provider_credentials', 'conversation_notes', 'flow_revisions', 'flow_experiments',
+        'experiment_variants', 'experiment_assignments', 'discount_codes', 'tracked_links', 'link_clicks',
+        'cart_sequence_steps', 'order_attributions', 'reminder_suppressions'
       ];
       
       const stats = {};
@@ -1382,54 +2315,1529 @@ static disableCustomer(customerId) {
     });
   }
 
-  // ========== MESSAGE CONVERSATION OPERATIONS ==========
+  // ========== WHATSAPP SENDER OPERATIONS ==========
 
-  static getRecentConversations(shopDomain, limit = 20) {
+  static getWhatsAppSenders(shopDomain) {
     return new Promise((resolve, reject) => {
-      const query = `
-        SELECT 
-          m.*,
-          c.first_name,
-          c.last_name,
-          COALESCE(c.first_name || ' ' || c.last_name, c.customer_email, 'Unknown Customer') as customer_name
-        FROM messages m
-        LEFT JOIN customers c ON m.shop_domain = c.shop_domain AND m.customer_phone = c.customer_phone
-        WHERE m.shop_domain = ?
-        ORDER BY m.created_at DESC
-        LIMIT ?
-      `;
-      
-      db.all(query, [shopDomain, limit * 3], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
+      db.all(
+        `SELECT * FROM whatsapp_senders 
+         WHERE shop_domain = ? 
+         ORDER BY is_default DESC, created_at ASC`,
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
     });
   }
 
-  static saveWhatsAppMessage(messageData) {
+  // The first number added becomes the shop's default sender.
+  // external_id is the provider's own ID for the number (Meta phone number ID).
+  static addWhatsAppSender(shopDomain, { phone_number, label = null, is_default = false, external_id = null }) {
     return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO messages (
-          shop_domain, customer_phone, customer_name, message_body,
-          direction, message_sid, status, template_id, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `;
-      
-      db.run(query, [
-        messageData.shop_domain,
-        messageData.customer_phone,
-        messageData.customer_name || 'Unknown',
-        messageData.message_body,
-        messageData.direction || 'outbound',
-        messageData.message_sid,
-        messageData.status || 'sent',
-        messageData.template_id || 'manual'
-      ], function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, success: true });
+      db.serialize(() => {
+        if (is_default) {
+          db.run('UPDATE whatsapp_senders SET is_default = 0 WHERE shop_domain = ?', [shopDomain]);
+        }
+
+        db.run(
+          `INSERT INTO whatsapp_senders (shop_domain, phone_number, label, external_id, is_default)
+           VALUES (?, ?, ?, ?, CASE WHEN ? = 1 OR NOT EXISTS (
+             SELECT 1 FROM whatsapp_senders WHERE shop_domain = ? AND is_default = 1
+           ) THEN 1 ELSE 0 END)`,
+          [shopDomain, phone_number, label, external_id, is_default ? 1 : 0, shopDomain],
+          function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+          }
+        );
       });
     });
   }
+
+  static setDefaultWhatsAppSender(shopDomain, senderId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE whatsapp_senders 
+         SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END, updated_at = CURRENT_TIMESTAMP
+         WHERE shop_domain = ? AND EXISTS (
+           SELECT 1 FROM whatsapp_senders WHERE id = ? AND shop_domain = ?
+         )`,
+        [senderId, shopDomain, senderId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static deleteWhatsAppSender(shopDomain, senderId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM whatsapp_senders WHERE id = ? AND shop_domain = ?',
+        [senderId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static getShopBySenderNumber(phoneNumber) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT s.* FROM whatsapp_senders w
+         JOIN shops s ON w.shop_domain = s.shop_domain
+         WHERE w.phone_number = ? AND w.is_active = 1 AND s.is_active = 1`,
+        [phoneNumber],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static getDefaultSenderNumber(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT phone_number FROM whatsapp_senders 
+         WHERE shop_domain = ? AND is_active = 1
+         ORDER BY is_default DESC, created_at ASC
+         LIMIT 1`,
+        [shopDomain],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row?.phone_number || null);
+        }
+      );
+    });
+  }
+
+  // Shops that sent this customer a message recently, newest first
+  static getShopsRecentlyMessagingCustomer(customerPhone, hours = 24) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT shop_domain, MAX(created_at) as last_sent_at FROM messages 
+         WHERE customer_phone = ? AND direction = 'outbound'
+         AND created_at > datetime('now', '-' || ? || ' hours')
+         GROUP BY shop_domain
+         ORDER BY last_sent_at DESC`,
+        [customerPhone, hours],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve((rows || []).map(row => row.shop_domain));
+        }
+      );
+    });
+  }
+
+  static getInboundRoute(customerPhone, senderNumber) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM inbound_routes WHERE customer_phone = ? AND sender_number = ?',
+        [customerPhone, senderNumber],
+        (err, row) => {
+          if (err) reject(err);
+          else if (row) resolve({ ...row, options: JSON.parse(row.options || '[]') });
+          else resolve(null);
+        }
+      );
+    });
+  }
+
+  // Remember the shops offered in a disambiguation prompt and the message that triggered it
+  static saveInboundRoutePrompt(customerPhone, senderNumber, options, pendingMessage) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO inbound_routes (customer_phone, sender_number, shop_domain, status, options, pending_message)
+         VALUES (?, ?, NULL, 'pending', ?, ?)
+         ON CONFLICT(customer_phone, sender_number) DO UPDATE SET
+           shop_domain = NULL, status = 'pending', options = excluded.options,
+           pending_message = excluded.pending_message, updated_at = CURRENT_TIMESTAMP`,
+        [customerPhone, senderNumber, JSON.stringify(options), pendingMessage],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  static selectInboundRoute(customerPhone, senderNumber, shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO inbound_routes (customer_phone, sender_number, shop_domain, status)
+         VALUES (?, ?, ?, 'selected')
+         ON CONFLICT(customer_phone, sender_number) DO UPDATE SET
+           shop_domain = excluded.shop_domain, status = 'selected',
+           pending_message = NULL, updated_at = CURRENT_TIMESTAMP`,
+        [customerPhone, senderNumber, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  // ========== PROVIDER CREDENTIAL OPERATIONS ==========
+
+  static getProviderCredentials(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM provider_credentials WHERE shop_domain = ?',
+        [shopDomain],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static getProviderCredentialsByAccount(provider, accountId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM provider_credentials WHERE provider = ? AND account_id = ? LIMIT 1',
+        [provider, accountId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  // encrypted_secrets must already be encrypted (services/encryption.js)
+  static saveProviderCredentials(shopDomain, { provider, account_id, encrypted_secrets }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO provider_credentials (shop_domain, provider, account_id, encrypted_secrets)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(shop_domain) DO UPDATE SET
+           provider = excluded.provider, account_id = excluded.account_id,
+           encrypted_secrets = excluded.encrypted_secrets, updated_at = CURRENT_TIMESTAMP`,
+        [shopDomain, provider, account_id, encrypted_secrets],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  static deleteProviderCredentials(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM provider_credentials WHERE shop_domain = ?',
+        [shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // ========== WHATSAPP TEMPLATE OPERATIONS ==========
+  // templates rows registered for business-initiated sends: template_type is
+  // the NotificationManager notification type, template_name the provider
+  // template name and provider_template_id the Twilio content SID. variables
+  // is a JSON array of data keys filling the {{1}}, {{2}}, ... slots in order.
+
+  static getWhatsAppTemplates(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM templates WHERE shop_domain = ? ORDER BY template_type, language',
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getApprovedTemplate(shopDomain, templateType, language = 'en') {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM templates
+         WHERE shop_domain = ? AND template_type = ? AND language = ?
+         AND is_active = 1 AND is_approved = 1`,
+        [shopDomain, templateType, language],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  // Changing the provider reference resets the approval until the next sync
+  static saveWhatsAppTemplate(shopDomain, templateData) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO templates (
+           shop_domain, template_type, template_name, language, content,
+           variables, provider_template_id, is_active
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(shop_domain, template_type, language) DO UPDATE SET
+           template_name = excluded.template_name, content = excluded.content,
+           variables = excluded.variables, is_active = excluded.is_active,
+           approval_status = CASE
+             WHEN templates.template_name IS excluded.template_name
+              AND templates.provider_template_id IS excluded.provider_template_id
+             THEN templates.approval_status ELSE 'unsubmitted' END,
+           is_approved = CASE
+             WHEN templates.template_name IS excluded.template_name
+              AND templates.provider_template_id IS excluded.provider_template_id
+             THEN templates.is_approved ELSE 0 END,
+           provider_template_id = excluded.provider_template_id,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          shopDomain,
+          templateData.template_type,
+          templateData.template_name,
+          templateData.language || 'en',
+          templateData.content || '',
+          JSON.stringify(templateData.variables || []),
+          templateData.provider_template_id || null,
+          templateData.is_active === false ? 0 : 1
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  static deleteWhatsAppTemplate(shopDomain, templateType, language = 'en') {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM templates WHERE shop_domain = ? AND template_type = ? AND language = ?',
+        [shopDomain, templateType, language],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static updateTemplateApproval(templateId, status, rejectionReason = null) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE templates
+         SET approval_status = ?, is_approved = ?, rejection_reason = ?,
+             last_synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, status === 'approved' ? 1 : 0, rejectionReason, templateId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  static markTemplateUsed(templateId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE templates
+         SET usage_count = usage_count + 1, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [templateId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  // Shops with at least one active registered template, for the approval sync
+  static getShopsWithTemplates() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT DISTINCT t.shop_domain FROM templates t
+         JOIN shops s ON t.shop_domain = s.shop_domain
+         WHERE s.is_active = 1 AND t.is_active = 1`,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve((rows || []).map(row => row.shop_domain));
+        }
+      );
+    });
+  }
+
+  // ========== MESSAGE CONVERSATION OPERATIONS ==========
+
+  static getRecentConversations(shopDomain, limit = 20) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT 
+          m.*,
+          c.first_name,
+          c.last_name,
+          COALESCE(c.first_name || ' ' || c.last_name, c.customer_email, 'Unknown Customer') as customer_name
+        FROM messages m
+        LEFT JOIN customers c ON m.shop_domain = c.shop_domain AND m.customer_phone = c.customer_phone
+        WHERE m.shop_domain = ?
+        ORDER BY m.created_at DESC
+        LIMIT ?
+      `;
+      
+      db.all(query, [shopDomain, limit * 3], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Upsert the customer's conversation for a message in either direction.
+  // Inbound messages reopen the conversation, count as unread and restart
+  // the 24h window.
+  static touchConversation(shopDomain, customerPhone, direction = 'outbound', customerName = null) {
+    const isInbound = direction === 'inbound' ? 1 : 0;
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO conversations (
+           shop_domain, customer_phone, customer_name, status, last_message_at,
+           messages_count, unread_count, last_inbound_at, updated_at
+         ) VALUES (?, ?, ?, 'open', CURRENT_TIMESTAMP, 1, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP)
+         ON CONFLICT(shop_domain, customer_phone) DO UPDATE SET
+           customer_name = COALESCE(excluded.customer_name, customer_name),
+           last_message_at = CURRENT_TIMESTAMP,
+           messages_count = messages_count + 1,
+           unread_count = COALESCE(unread_count, 0) + excluded.unread_count,
+           last_inbound_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_inbound_at END,
+           status = CASE WHEN ? THEN 'open' ELSE status END,
+           closed_at = CASE WHEN ? THEN NULL ELSE closed_at END,
+           updated_at = CURRENT_TIMESTAMP`,
+        [shopDomain, customerPhone, customerName, isInbound, isInbound, isInbound, isInbound, isInbound],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  static getConversation(shopDomain, customerPhone) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM conversations WHERE shop_domain = ? AND customer_phone = ?',
+        [shopDomain, customerPhone],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static getConversations(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM conversations WHERE shop_domain = ? ORDER BY last_message_at DESC',
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // ========== TEAM INBOX OPERATIONS ==========
+
+  // Inbox threads with the latest message. Filters: status ('open' |
+  // 'pending' | 'closed'), assignedTo (staff id, or 'unassigned'), search
+  // (phone or customer name).
+  static listConversations(shopDomain, { status = null, assignedTo = null, search = null, limit = 50 } = {}) {
+    const conditions = ['c.shop_domain = ?'];
+    const params = [shopDomain];
+
+    if (status) {
+      conditions.push('c.status = ?');
+      params.push(status);
+    }
+    if (assignedTo === 'unassigned') {
+      conditions.push('c.assigned_to IS NULL');
+    } else if (assignedTo) {
+      conditions.push('c.assigned_to = ?');
+      params.push(assignedTo);
+    }
+    if (search) {
+      conditions.push(`(c.customer_phone LIKE ? OR c.customer_name LIKE ?
+        OR (COALESCE(cu.first_name, '') || ' ' || COALESCE(cu.last_name, '')) LIKE ?)`);
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT c.*,
+           COALESCE(NULLIF(TRIM(COALESCE(cu.first_name, '') || ' ' || COALESCE(cu.last_name, '')), ''),
+                    c.customer_name) as display_name,
+           last.message_body as last_message,
+           last.direction as last_direction,
+           (SELECT COUNT(*) FROM conversation_notes n WHERE n.conversation_id = c.id) as notes_count
+         FROM conversations c
+         LEFT JOIN customers cu ON cu.shop_domain = c.shop_domain AND cu.customer_phone = c.customer_phone
+         LEFT JOIN messages last ON last.id = (
+           SELECT m.id FROM messages m
+           WHERE m.shop_domain = c.shop_domain AND m.customer_phone = c.customer_phone
+           ORDER BY m.created_at DESC, m.id DESC LIMIT 1
+         )
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY c.last_message_at DESC
+         LIMIT ?`,
+        params,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getConversationById(shopDomain, conversationId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM conversations WHERE id = ? AND shop_domain = ?',
+        [conversationId, shopDomain],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  // Thread counts per status plus total unread for the inbox header
+  static getInboxSummary(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT
+           SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) as open,
+           SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+           SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed,
+           SUM(CASE WHEN status != 'closed' AND assigned_to IS NULL THEN 1 ELSE 0 END) as unassigned,
+           COALESCE(SUM(unread_count), 0) as unread
+         FROM conversations WHERE shop_domain = ?`,
+        [shopDomain],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve({
+            open: row?.open || 0,
+            pending: row?.pending || 0,
+            closed: row?.closed || 0,
+            unassigned: row?.unassigned || 0,
+            unread: row?.unread || 0
+          });
+        }
+      );
+    });
+  }
+
+  // Only the fields present are changed; assigned_to null unassigns
+  static updateConversation(shopDomain, conversationId, { status, assigned_to } = {}) {
+    const updates = [];
+    const params = [];
+
+    if (status !== undefined) {
+      updates.push("status = ?, closed_at = CASE WHEN ? = 'closed' THEN CURRENT_TIMESTAMP END");
+      params.push(status, status);
+    }
+    if (assigned_to !== undefined) {
+      updates.push('assigned_to = ?');
+      params.push(assigned_to);
+    }
+    if (updates.length === 0) {
+      return Promise.resolve({ success: true, changes: 0 });
+    }
+    params.push(conversationId, shopDomain);
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE conversations SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND shop_domain = ?`,
+        params,
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static markConversationRead(shopDomain, conversationId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE conversations SET unread_count = 0 WHERE id = ? AND shop_domain = ?',
+        [conversationId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static addConversationNote(shopDomain, conversationId, { author = null, body }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO conversation_notes (conversation_id, shop_domain, author, body) VALUES (?, ?, ?, ?)',
+        [conversationId, shopDomain, author, body],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  static getConversationNotes(shopDomain, conversationId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM conversation_notes
+         WHERE conversation_id = ? AND shop_domain = ?
+         ORDER BY created_at ASC, id ASC`,
+        [conversationId, shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static saveWhatsAppMessage(messageData) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO messages (
+          shop_domain, customer_phone, customer_name, message_body,
+          direction, message_sid, status, template_id, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `;
+      
+      db.run(query, [
+        messageData.shop_domain,
+        messageData.customer_phone,
+        messageData.customer_name || 'Unknown',
+        messageData.message_body,
+        messageData.direction || 'outbound',
+        messageData.message_sid,
+        messageData.status || 'sent',
+        messageData.template_id || 'manual'
+      ], function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, success: true });
+      });
+    });
+  }
+
+  // ========== FLOW EXPERIMENT OPERATIONS ==========
+
+  // variants: [{ flowId, name, weight, isControl }]
+  static createExperiment(shopDomain, experiment) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO flow_experiments (
+          shop_domain, name, flow_type, language, auto_promote, min_sample_size,
+          confidence_level, attribution_days
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          shopDomain,
+          experiment.name,
+          experiment.flowType,
+          experiment.language,
+          experiment.autoPromote ? 1 : 0,
+          experiment.minSampleSize,
+          experiment.confidenceLevel,
+          experiment.attributionDays
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const experimentId = this.lastID;
+          Promise.all(experiment.variants.map(variant => new Promise((resolveVariant, rejectVariant) => {
+            db.run(
+              'INSERT INTO experiment_variants (experiment_id, flow_id, name, weight, is_control) VALUES (?, ?, ?, ?, ?)',
+              [experimentId, variant.flowId, variant.name, variant.weight, variant.isControl ? 1 : 0],
+              (variantErr) => {
+                if (variantErr) rejectVariant(variantErr);
+                else resolveVariant();
+              }
+            );
+          })))
+            .then(() => resolve(experimentId))
+            .catch(reject);
+        }
+      );
+    });
+  }
+
+  static getExperiments(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM flow_experiments WHERE shop_domain = ? ORDER BY created_at DESC, id DESC',
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getExperiment(shopDomain, experimentId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM flow_experiments WHERE id = ? AND shop_domain = ?',
+        [experimentId, shopDomain],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static getRunningExperiment(shopDomain, flowType, language) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM flow_experiments
+         WHERE shop_domain = ? AND flow_type = ? AND language = ? AND status = 'running'
+         ORDER BY id DESC LIMIT 1`,
+        [shopDomain, flowType, language],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static getRunningExperiments() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM flow_experiments WHERE status = 'running' ORDER BY id",
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getExperimentVariants(experimentId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM experiment_variants WHERE experiment_id = ? ORDER BY is_control DESC, id',
+        [experimentId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Existing assignment, or the given variant when the customer has none yet
+  static assignExperimentVariant(experimentId, variantId, shopDomain, customerPhone) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT OR IGNORE INTO experiment_assignments (experiment_id, variant_id, shop_domain, customer_phone)
+         VALUES (?, ?, ?, ?)`,
+        [experimentId, variantId, shopDomain, customerPhone],
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          db.get(
+            'SELECT * FROM experiment_assignments WHERE experiment_id = ? AND customer_phone = ?',
+            [experimentId, customerPhone],
+            (getErr, row) => {
+              if (getErr) reject(getErr);
+              else resolve(row);
+            }
+          );
+        }
+      );
+    });
+  }
+
+  static getExperimentAssignment(experimentId, customerPhone) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM experiment_assignments WHERE experiment_id = ? AND customer_phone = ?',
+        [experimentId, customerPhone],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  // The first message sent to the customer starts the attribution window
+  static markAssignmentExposed(assignmentId, messageId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE experiment_assignments
+         SET message_id = COALESCE(message_id, ?), exposed_at = COALESCE(exposed_at, CURRENT_TIMESTAMP)
+         WHERE id = ?`,
+        [messageId, assignmentId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // Converts the customer's exposed, unconverted assignments whose
+  // attribution window is still open
+  static recordExperimentConversion(shopDomain, customerPhone, { source, orderId = null, value = 0 }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE experiment_assignments
+         SET converted_at = CURRENT_TIMESTAMP, conversion_source = ?, conversion_order_id = ?, conversion_value = ?
+         WHERE shop_domain = ? AND customer_phone = ?
+           AND exposed_at IS NOT NULL AND converted_at IS NULL
+           AND exposed_at >= datetime('now', '-' || (
+             SELECT attribution_days FROM flow_experiments e WHERE e.id = experiment_assignments.experiment_id
+           ) || ' days')`,
+        [source, orderId, parseFloat(value) || 0, shopDomain, customerPhone],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // Exposures, conversions and revenue per variant, in total and for
+  // exposures whose attribution window has closed (matured)
+  static getExperimentStats(experimentId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT v.id as variant_id,
+           COUNT(a.exposed_at) as exposed,
+           COUNT(a.converted_at) as conversions,
+           COALESCE(SUM(a.conversion_value), 0) as revenue,
+           SUM(CASE WHEN a.exposed_at <= datetime('now', '-' || e.attribution_days || ' days') THEN 1 ELSE 0 END) as matured_exposed,
+           SUM(CASE WHEN a.exposed_at <= datetime('now', '-' || e.attribution_days || ' days')
+                     AND a.converted_at IS NOT NULL THEN 1 ELSE 0 END) as matured_conversions
+         FROM experiment_variants v
+         JOIN flow_experiments e ON e.id = v.experiment_id
+         LEFT JOIN experiment_assignments a ON a.variant_id = v.id
+         WHERE v.experiment_id = ?
+         GROUP BY v.id`,
+        [experimentId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // status: 'completed' (winner promoted or inconclusive) or 'stopped'
+  static endExperiment(shopDomain, experimentId, { status, winnerVariantId = null, conclusion = null }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE flow_experiments
+         SET status = ?, winner_variant_id = ?, conclusion = ?, ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND shop_domain = ? AND status = 'running'`,
+        [status, winnerVariantId, conclusion, experimentId, shopDomain],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // ========== DISCOUNT CODE OPERATIONS ==========
+
+  static createDiscountCode(codeData) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO discount_codes (
+          shop_domain, code, customer_phone, flow_id, notification_type, shopify_discount_id,
+          discount_type, discount_value, minimum_subtotal, starts_at, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          codeData.shop_domain,
+          codeData.code,
+          codeData.customer_phone || null,
+          codeData.flow_id || null,
+          codeData.notification_type || null,
+          codeData.shopify_discount_id || null,
+          codeData.discount_type,
+          codeData.discount_value,
+          codeData.minimum_subtotal || null,
+          codeData.starts_at || null,
+          codeData.expires_at || null
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  static getDiscountCode(codeId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM discount_codes WHERE id = ?',
+        [codeId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static setDiscountCodeShopifyId(codeId, shopifyDiscountId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE discount_codes SET shopify_discount_id = ? WHERE id = ?',
+        [shopifyDiscountId, codeId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static markDiscountCodeFailed(codeId, errorMessage) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE discount_codes SET error_message = ? WHERE id = ?',
+        [errorMessage, codeId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static attachDiscountCodeMessage(codeId, messageId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE discount_codes SET message_id = ? WHERE id = ?',
+        [messageId, codeId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // Codes are matched case-insensitively, as Shopify does at checkout
+  static markDiscountCodeUsed(shopDomain, code, orderId, orderValue) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE discount_codes
+         SET used_at = CURRENT_TIMESTAMP, order_id = ?, order_value = ?
+         WHERE shop_domain = ? AND code = ? COLLATE NOCASE AND used_at IS NULL`,
+        [orderId, orderValue, shopDomain, code],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // status: 'active' | 'used' | 'expired' | undefined for all. Codes still
+  // waiting in the queue (not yet created in Shopify) are left out
+  static getDiscountCodes(shopDomain, { status = null, limit = 100 } = {}) {
+    const conditions = {
+      active: "AND d.used_at IS NULL AND (d.expires_at IS NULL OR d.expires_at > datetime('now'))",
+      used: 'AND d.used_at IS NOT NULL',
+      expired: "AND d.used_at IS NULL AND d.expires_at <= datetime('now')"
+    };
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT d.*, m.message_type, m.created_at as message_sent_at
+         FROM discount_codes d
+         LEFT JOIN messages m ON m.id = d.message_id
+         WHERE d.shop_domain = ? AND d.shopify_discount_id IS NOT NULL ${conditions[status] || ''}
+         ORDER BY d.created_at DESC, d.id DESC
+         LIMIT ?`,
+        [shopDomain, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Issued / used counts and attributed order value per notification type
+  static getDiscountCodeSummary(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT notification_type,
+           COUNT(*) as issued,
+           COUNT(used_at) as used,
+           COALESCE(SUM(order_value), 0) as order_value
+         FROM discount_codes
+         WHERE shop_domain = ? AND shopify_discount_id IS NOT NULL
+         GROUP BY notification_type
+         ORDER BY issued DESC`,
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // ========== TRACKED LINK OPERATIONS ==========
+
+  static createTrackedLink(linkData) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO tracked_links (
+          shop_domain, token, message_id, customer_phone, flow_id, campaign_id, message_type, destination_url
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          linkData.shop_domain,
+          linkData.token,
+          linkData.message_id || null,
+          linkData.customer_phone || null,
+          linkData.flow_id || null,
+          linkData.campaign_id || null,
+          linkData.message_type || null,
+          linkData.destination_url
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  static getTrackedLink(token) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM tracked_links WHERE token = ?', [token], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  // Bot fetches are logged but leave the link's click counts alone
+  static recordLinkClick(linkId, userAgent, isBot) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO link_clicks (link_id, user_agent, is_bot) VALUES (?, ?, ?)',
+        [linkId, userAgent || null, isBot ? 1 : 0],
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (isBot) {
+            resolve({ success: true, changes: 0 });
+            return;
+          }
+          db.run(
+            `UPDATE tracked_links
+             SET click_count = click_count + 1,
+                 first_clicked_at = COALESCE(first_clicked_at, CURRENT_TIMESTAMP),
+                 last_clicked_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [linkId],
+            function(updateErr) {
+              if (updateErr) reject(updateErr);
+              else resolve({ success: true, changes: this.changes });
+            }
+          );
+        }
+      );
+    });
+  }
+
+  // Messages sent with tracked links, how many of them were clicked and the
+  // total clicks, grouped by message_type, flow_id or campaign_id
+  static getLinkClickStats(shopDomain, groupBy = 'message_type', days = null) {
+    const column = ['message_type', 'flow_id', 'campaign_id'].includes(groupBy) ? groupBy : 'message_type';
+    const since = days ? `AND created_at >= datetime('now', '-${parseInt(days, 10)} days')` : '';
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT ${column} as group_key,
+           COUNT(DISTINCT message_id) as messages_with_links,
+           COUNT(DISTINCT CASE WHEN click_count > 0 THEN message_id END) as clicked_messages,
+           COALESCE(SUM(click_count), 0) as clicks
+         FROM tracked_links
+         WHERE shop_domain = ? AND message_id IS NOT NULL ${since}
+         GROUP BY ${column}`,
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+
+  // ========== CART SEQUENCE OPERATIONS ==========
+
+  static getCartSequenceSteps(shopDomain) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM cart_sequence_steps WHERE shop_domain = ? ORDER BY step_number',
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Replace the shop's steps; steps: [{ delayMinutes, flowId, notificationType }] in order
+  static replaceCartSequence(shopDomain, steps) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        db.run('DELETE FROM cart_sequence_steps WHERE shop_domain = ?', [shopDomain]);
+        steps.forEach((step, index) => {
+          db.run(
+            `INSERT INTO cart_sequence_steps (shop_domain, step_number, delay_minutes, flow_id, notification_type)
+             VALUES (?, ?, ?, ?, ?)`,
+            [shopDomain, index + 1, step.delayMinutes, step.flowId || null, step.notificationType]
+          );
+        });
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve({ success: true, steps: steps.length });
+          }
+        });
+      });
+    });
+  }
+
+  // Open, unsuppressed carts with a phone that have not had every step yet.
+  // Carts older than maxAgeDays are left alone: their checkout links have expired.
+  // last_reminder_available_at is when the latest reminder was due to go out,
+  // later than last_reminder_at when quiet hours held it in the queue.
+  static getCartsAwaitingReminder(shopDomain, stepCount, maxAgeDays) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT abandoned_carts.*,
+                (SELECT MAX(q.available_at) FROM message_queue q
+                 WHERE q.trigger_type = 'abandoned_cart' AND q.trigger_id = abandoned_carts.id
+                 AND q.status != 'cancelled') as last_reminder_available_at
+         FROM abandoned_carts
+         WHERE shop_domain = ?
+         AND recovered = 0
+         AND NOT EXISTS (
+           SELECT 1 FROM reminder_suppressions s
+           WHERE s.trigger_type = 'abandoned_cart' AND s.trigger_id = abandoned_carts.id
+         )
+         AND customer_phone IS NOT NULL
+         AND reminder_count < ?
+         AND created_at > datetime('now', '-' || ? || ' days')
+         ORDER BY created_at`,
+        [shopDomain, stepCount, maxAgeDays],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Move a cart on to stepNumber unless another pass already did, or the
+  // cart was recovered or its reminders suppressed since it was read
+  static claimCartReminder(cartId, stepNumber) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE abandoned_carts
+         SET reminder_count = ?, last_reminder_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND reminder_count = ? AND recovered = 0
+         AND NOT EXISTS (
+           SELECT 1 FROM reminder_suppressions s
+           WHERE s.trigger_type = 'abandoned_cart' AND s.trigger_id = abandoned_carts.id
+         )`,
+        [stepNumber, cartId, stepNumber - 1],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+
+  // ========== REVENUE ATTRIBUTION OPERATIONS ==========
+
+  // The abandoned cart an order completed, matched on checkout id, checkout
+  // token or storefront cart token
+  static findCartForOrder(shopDomain, { cartId = null, checkoutId = null, checkoutToken = null, cartToken = null }) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM abandoned_carts
+         WHERE shop_domain = ?
+         AND (id = ? OR checkout_id = ? OR checkout_token = ? OR cart_token = ?)
+         ORDER BY id = ? DESC, recovered, created_at DESC
+         LIMIT 1`,
+        [shopDomain, cartId, checkoutId, checkoutToken, cartToken, cartId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  static recoverAbandonedCart(cartId, recoveryValue) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE abandoned_carts
+         SET recovered = 1, recovered_at = CURRENT_TIMESTAMP, recovery_value = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND recovered = 0`,
+        [recoveryValue, cartId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ success: true, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // Messages of messageTypes (or from a campaign) that reached the customer
+  // and clicks on their links between since and until ('YYYY-MM-DD HH:MM:SS',
+  // UTC), oldest first. A message and a
+  // click at the same second sort click last.
+  static getAttributionTouchpoints(shopDomain, phoneDigits, since, until, messageTypes) {
+    return new Promise((resolve, reject) => {
+      const typePlaceholders = messageTypes.map(() => '?').join(', ');
+      db.all(
+        `SELECT * FROM (
+           SELECT 'message' as touch_type, m.created_at as touched_at, m.id as message_id, NULL as link_id,
+                  r.flow_id, m.campaign_id, m.message_type
+           FROM messages m
+           LEFT JOIN flow_revisions r ON r.id = m.flow_revision_id
+           WHERE m.shop_domain = ? AND m.direction = 'outbound'
+           AND m.twilio_status IN ('sent', 'delivered', 'read')
+           AND ${phoneDigitsSql('m.customer_phone')} = ?
+           AND m.created_at BETWEEN ? AND ?
+           AND (m.message_type IN (${typePlaceholders}) OR m.campaign_id IS NOT NULL)
+           UNION ALL
+           SELECT 'click' as touch_type, c.clicked_at as touched_at, l.message_id, l.id as link_id,
+                  l.flow_id, l.campaign_id, l.message_type
+           FROM link_clicks c
+           JOIN tracked_links l ON l.id = c.link_id
+           WHERE l.shop_domain = ? AND c.is_bot = 0
+           AND ${phoneDigitsSql('l.customer_phone')} = ?
+           AND c.clicked_at BETWEEN ? AND ?
+           AND (l.message_type IN (${typePlaceholders}) OR l.campaign_id IS NOT NULL)
+         )
+         ORDER BY touched_at, CASE touch_type WHEN 'click' THEN 1 ELSE 0 END`,
+        [
+          shopDomain, phoneDigits, since, until, ...messageTypes,
+          shopDomain, phoneDigits, since, until, ...messageTypes
+        ],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Ignored when the order is already attributed (retried webhooks)
+  static saveOrderAttribution(data) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT OR IGNORE INTO order_attributions (
+          shop_domain, order_id, order_number, order_value, currency, customer_phone, model,
+          touch_type, touched_at, message_id, link_id, flow_id, campaign_id, message_type, cart_id, ordered_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.shop_domain,
+          data.order_id,
+          data.order_number || null,
+          data.order_value || 0,
+          data.currency || null,
+          data.customer_phone || null,
+          data.model,
+          data.touch_type,
+          data.touched_at,
+          data.message_id || null,
+          data.link_id || null,
+          data.flow_id || null,
+          data.campaign_id || null,
+          data.message_type || null,
+          data.cart_id || null,
+          data.ordered_at
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  static addShopRevenue(shopDomain, amount) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE shops
+         SET total_revenue_generated = COALESCE(total_revenue_generated, 0) + ?, updated_at = CURRENT_TIMESTAMP
+         WHERE shop_domain = ?`,
+        [amount, shopDomain],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // Attributed orders and revenue for the `days` days ending `offsetDays` ago
+  static getAttributionTotals(shopDomain, days = 30, offsetDays = 0) {
+    const until = offsetDays ? `AND ordered_at < datetime('now', '-${parseInt(offsetDays, 10)} days')` : '';
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COUNT(*) as orders, COALESCE(SUM(order_value), 0) as revenue
+         FROM order_attributions
+         WHERE shop_domain = ?
+         AND ordered_at >= datetime('now', '-' || ? || ' days') ${until}`,
+        [shopDomain, days + offsetDays],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || { orders: 0, revenue: 0 });
+        }
+      );
+    });
+  }
+
+  // Attributed orders and revenue by message_type, flow_id or campaign_id
+  static getAttributionBreakdown(shopDomain, groupBy = 'message_type', days = null) {
+    const column = ['message_type', 'flow_id', 'campaign_id'].includes(groupBy) ? groupBy : 'message_type';
+    const since = days ? `AND ordered_at >= datetime('now', '-${parseInt(days, 10)} days')` : '';
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT ${column} as group_key, COUNT(*) as orders, COALESCE(SUM(order_value), 0) as revenue
+         FROM order_attributions
+         WHERE shop_domain = ? ${since}
+         GROUP BY ${column}`,
+        [shopDomain],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  static getOrderAttributions(shopDomain, limit = 50) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT a.*, f.flow_name
+         FROM order_attributions a
+         LEFT JOIN whatsapp_flows f ON f.id = a.flow_id
+         WHERE a.shop_domain = ?
+         ORDER BY a.ordered_at DESC, a.id DESC
+         LIMIT ?`,
+        [shopDomain, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Carts abandoned in the `days` days ending `offsetDays` ago: how many got
+  // a reminder, and how many of those were then completed and for how much
+  static getCartRecoveryStats(shopDomain, days = 30, offsetDays = 0) {
+    const until = offsetDays ? `AND created_at < datetime('now', '-${parseInt(offsetDays, 10)} days')` : '';
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT
+           COUNT(CASE WHEN reminder_count > 0 THEN 1 END) as reminded,
+           COUNT(CASE WHEN reminder_count > 0 AND recovered = 1 THEN 1 END) as recovered,
+           COALESCE(SUM(CASE WHEN reminder_count > 0 AND recovered = 1 THEN recovery_value END), 0) as recovered_value
+         FROM abandoned_carts
+         WHERE shop_domain = ?
+         AND created_at >= datetime('now', '-' || ? || ' days') ${until}`,
+        [shopDomain, days + offsetDays],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || { reminded: 0, recovered: 0, recovered_value: 0 });
+        }
+      );
+    });
+  }
+
+
+  // ========== REMINDER SUPPRESSION OPERATIONS ==========
+
+  // The customer's carts that still have reminders to come
+  static getOpenCartsForCustomer(shopDomain, phoneDigits) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM abandoned_carts
+         WHERE shop_domain = ? AND recovered = 0
+         AND ${phoneDigitsSql('customer_phone')} = ?
+         AND NOT EXISTS (
+           SELECT 1 FROM reminder_suppressions s
+           WHERE s.trigger_type = 'abandoned_cart' AND s.trigger_id = abandoned_carts.id
+         )`,
+        [shopDomain, phoneDigits],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // The customer's orders whose review request has not gone out yet
+  static getPendingReviewOrders(shopDomain, phoneDigits) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM orders
+         WHERE shop_domain = ? AND review_requested = 0
+         AND ${phoneDigitsSql('customer_phone')} = ?
+         AND NOT EXISTS (
+           SELECT 1 FROM reminder_suppressions s
+           WHERE s.trigger_type = 'review_request' AND s.trigger_id = orders.id
+         )`,
+        [shopDomain, phoneDigits],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Ignored when the trigger is already suppressed
+  static createReminderSuppression(data) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT OR IGNORE INTO reminder_suppressions (
+          shop_domain, trigger_type, trigger_id, customer_phone, reason, detail
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          data.shop_domain,
+          data.trigger_type,
+          data.trigger_id,
+          data.customer_phone || null,
+          data.reason,
+          data.detail || null
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, changes: this.changes });
+        }
+      );
+    });
+  }
+
+  // Cancel the trigger's messages that are still waiting in the queue;
+  // resolves the number cancelled
+  static cancelQueuedTriggerMessages(suppressionId, triggerType, triggerId, reason) {
+    const waiting = `trigger_type = ? AND trigger_id = ? AND status = 'queued'`;
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run(
+          `UPDATE messages SET twilio_status = 'cancelled', error_message = ?
+           WHERE id IN (SELECT message_id FROM message_queue WHERE ${waiting})`,
+          [`Suppressed: ${reason}`, triggerType, triggerId]
+        );
+        db.run(
+          `UPDATE message_queue
+           SET status = 'cancelled', leased_until = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE ${waiting}`,
+          [`Suppressed: ${reason}`, triggerType, triggerId],
+          function(err) {
+            if (err) return reject(err);
+            const cancelled = this.changes;
+            db.run(
+              'UPDATE reminder_suppressions SET cancelled_messages = ? WHERE id = ?',
+              [cancelled, suppressionId],
+              (updateErr) => {
+                if (updateErr) reject(updateErr);
+                else resolve(cancelled);
+              }
+            );
+          }
+        );
+      });
+    });
+  }
+
+  static getAbandonedCartById(shopDomain, cartId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM abandoned_carts WHERE shop_domain = ? AND id = ?',
+        [shopDomain, cartId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  // Recent carts with a phone and the suppression that ended their
+  // reminders, if any
+  static getCartReminderStatus(shopDomain, days = 30, limit = 50) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT c.id, c.checkout_id, c.customer_name, c.customer_phone, c.cart_value, c.currency,
+                c.reminder_count, c.last_reminder_at, c.recovered, c.recovered_at, c.created_at,
+                s.reason as suppression_reason, s.detail as suppression_detail,
+                s.cancelled_messages, s.created_at as suppressed_at
+         FROM abandoned_carts c
+         LEFT JOIN reminder_suppressions s ON s.trigger_type = 'abandoned_cart' AND s.trigger_id = c.id
+         WHERE c.shop_domain = ? AND c.customer_phone IS NOT NULL
+         AND c.created_at > datetime('now', '-' || ? || ' days')
+         ORDER BY c.created_at DESC, c.id DESC
+         LIMIT ?`,
+        [shopDomain, days, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
 }
 
 
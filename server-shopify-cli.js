@@ -1,9 +1,13 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const path = require('path');
+const crypto = require('crypto');
 const { db, initializeDatabase } = require('./database');
 const DatabaseQueries = require('./database/queries');
 const { shopify } = require('./shopify.app.config');
+const { verifyWebhookSubscription } = require('./services/metaWhatsApp');
+const { captureRawBody, verifyTwilioWebhook, verifyMetaWebhook } = require('./services/webhookVerification');
+const { toE164 } = require('./services/messagingProvider');
 
 // Load environment variables
 const fs = require('fs');
@@ -13,21 +17,11 @@ if (fs.existsSync('.env.local')) {
   dotenv.config();
 }
 
-// Initialize Twilio (conditional)
-let twilioClient = null;
-if (process.env.TWILIO_ACCOUNT_SID && 
-    process.env.TWILIO_AUTH_TOKEN && 
-    process.env.TWILIO_ACCOUNT_SID.startsWith('AC') &&
-    process.env.TWILIO_ACCOUNT_SID !== 'your_twilio_account_sid_here') {
-  try {
-    twilioClient = require('twilio')(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
-    console.log('✅ Twilio client initialized successfully');
-  } catch (error) {
-    console.error('❌ Failed to initialize Twilio client:', error.message);
-  }
+// App-wide Twilio account (shops with their own credentials use services/clientFactory)
+const ClientFactory = require('./services/clientFactory');
+const { encryptJSON, decryptJSON } = require('./services/encryption');
+if (ClientFactory.getDefaultClient()) {
+  console.log('✅ Twilio client initialized successfully');
 } else {
   console.warn('⚠️ Twilio credentials not configured. Update TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN in .env file');
 }
@@ -37,7 +31,7 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -77,10 +71,12 @@ console.log('🔧 Shopify CLI with TOKEN EXCHANGE - modern authentication');
 async function validateSessionToken(req, res, next) {
   // Skip validation for certain paths
   if (req.path.startsWith('/webhooks') || 
+      req.path.startsWith('/whatsapp/') ||
       req.path.startsWith('/public') ||
       req.path === '/test-whatsapp-simple' ||
       req.path.startsWith('/auth') ||
       req.path === '/api/whatsapp/public-settings' ||
+      req.path.startsWith('/l/') ||
       req.method === 'OPTIONS') {
     return next();
   }
@@ -129,6 +125,55 @@ async function validateSessionToken(req, res, next) {
 // Apply token validation to app routes (modern approach)
 app.use(validateSessionToken);
 
+// Verify Shopify webhook signatures and drop retried deliveries
+async function verifyShopifyWebhook(req, res, next) {
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+  const shop = req.get('X-Shopify-Shop-Domain');
+  const topic = req.get('X-Shopify-Topic');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+
+  if (!hmacHeader || !req.rawBody || !process.env.SHOPIFY_API_SECRET) {
+    console.error('❌ Webhook rejected: missing HMAC header, body or API secret', { shop, topic });
+    return res.status(401).send('Unauthorized');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(req.rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    console.error('❌ Webhook rejected: HMAC mismatch', { shop, topic });
+    return res.status(401).send('Unauthorized');
+  }
+
+  if (!webhookId) {
+    return next();
+  }
+
+  try {
+    const claimed = await DatabaseQueries.claimWebhookDelivery(shop, webhookId, topic, req.originalUrl);
+    if (!claimed) {
+      console.log(`⚠️ Duplicate webhook ${webhookId} (${topic}) from ${shop} - skipping`);
+      return res.status(200).send('Already processed');
+    }
+
+    res.on('finish', () => {
+      const status = res.statusCode < 400 ? 'processed' : 'failed';
+      DatabaseQueries.completeWebhookDelivery(webhookId, status, status === 'failed' ? `HTTP ${res.statusCode}` : null)
+        .catch(error => console.error('❌ Failed to record webhook delivery:', error.message));
+    });
+  } catch (error) {
+    // Shops that are not installed yet have no row to attach the delivery to
+    console.warn(`⚠️ Could not record webhook ${webhookId} for ${shop}:`, error.message);
+  }
+
+  next();
+}
+
+app.use('/webhooks', verifyShopifyWebhook);
+
 // Keep OAuth setup as fallback for installation flow
 app.use('/auth', shopify.auth.begin());
 app.use('/auth/callback', shopify.auth.callback(), 
@@ -433,6 +478,19 @@ app.post('/webhooks', async (req, res) => {
           checkout_id: webhookData.checkout_id
         });
         
+        await RevenueAttribution.attributeOrder(shop, webhookData);
+        // The customer bought, so the reminders for their other open carts stop
+        await ReminderSuppression.suppressCustomer(shop, webhookData.customer?.phone || webhookData.phone, 'order_placed', {
+          detail: webhookData.name,
+          includeReviews: false
+        });
+        await DiscountCodes.recordOrder(shop, webhookData);
+        await Experiments.recordConversion(shop, webhookData.customer?.phone || webhookData.phone, {
+          source: 'order',
+          orderId: webhookData.id.toString(),
+          value: webhookData.current_total_price || webhookData.total_price
+        });
+        
         // Send order confirmation WhatsApp (ONLY for orders/create)
         if (webhookData.customer?.phone) {
           const phone = webhookData.customer.phone.replace(/\D/g, '');
@@ -440,20 +498,7 @@ app.post('/webhooks', async (req, res) => {
             shop,
             `+${phone}`,
             'order_placed',
-            {
-              customer_name: webhookData.customer.first_name || 'Customer',
-              order_number: webhookData.name,
-              currency: webhookData.currency || 'USD',
-              total_price: parseFloat(webhookData.current_total_price || webhookData.total_price || '0.00').toFixed(2),
-              items: webhookData.line_items?.map(item => ({
-                name: item.name,
-                quantity: item.quantity,
-                price: item.price
-              })),
-              shipping_address: webhookData.shipping_address,
-              delivery_estimate: '3-5 business days',
-              order_status_url: webhookData.order_status_url || `https://${shop}/orders/${webhookData.id}`
-            }
+            NotificationData.order(shop, webhookData, await DatabaseQueries.getAutomationSettings(shop))
           );
           console.log('✅ Order confirmation WhatsApp sent to: +' + phone);
         }
@@ -469,20 +514,12 @@ app.post('/webhooks', async (req, res) => {
         // Send shipping notification
         if (webhookData.customer?.phone) {
           const phone = webhookData.customer.phone.replace(/\D/g, '');
-          const fulfillment = webhookData.fulfillments?.[0];
           
           await NotificationManager.sendNotification(
             shop,
             `+${phone}`,
             'order_fulfilled',
-            {
-              customer_name: webhookData.customer.first_name,
-              order_number: webhookData.name,
-              carrier: fulfillment?.tracking_company || 'Our shipping partner',
-              tracking_number: fulfillment?.tracking_number || '',
-              tracking_url: fulfillment?.tracking_urls?.[0] || '',
-              delivery_date: '3-5 business days'
-            }
+            NotificationData.fulfillment(webhookData, await DatabaseQueries.getAutomationSettings(shop))
           );
           console.log('✅ Shipping notification WhatsApp sent to:', phone);
         }
@@ -500,10 +537,13 @@ app.post('/webhooks', async (req, res) => {
             customer_phone: webhookData.phone,
             customer_name: webhookData.billing_address?.first_name,
             cart_value: parseFloat(webhookData.current_total_price || webhookData.total_price || '0.00'),
-            currency: webhookData.currency,
+            currency: webhookData.presentment_currency || webhookData.currency,
             items_count: webhookData.line_items?.length || 0,
             line_items: webhookData.line_items,
-            checkout_url: webhookData.abandoned_checkout_url
+            checkout_url: webhookData.abandoned_checkout_url,
+            customer_locale: webhookData.customer_locale,
+            cart_token: webhookData.cart_token,
+            customer_timezone: CustomerTimezone.fromAddress(webhookData.shipping_address || webhookData.billing_address)
           });
           console.log('✅ Abandoned cart tracked for:', webhookData.phone);
         }
@@ -525,6 +565,10 @@ app.post('/webhooks', async (req, res) => {
           if (webhookData.id) {
             await DatabaseQueries.markCartRecovered(webhookData.id, webhookData.total_price);
           }
+          await Experiments.recordConversion(shop, webhookData.phone, {
+            source: 'recovered_cart',
+            value: webhookData.total_price
+          });
           console.log('✅ Checkout completed, cart marked as recovered (no notification sent)');
         }
         break;
@@ -546,12 +590,7 @@ app.post('/webhooks', async (req, res) => {
             shop,
             `+${phone}`,
             'welcome_customer',
-            {
-              customer_name: webhookData.first_name,
-              shop_name: shop.replace('.myshopify.com', ''),
-              free_shipping_threshold: '$50',
-              shop_url: `https://${shop}`
-            }
+            NotificationData.customer(shop, webhookData, await DatabaseQueries.getAutomationSettings(shop))
           );
           console.log('✅ Welcome WhatsApp sent to new customer:', phone);
         }
@@ -696,36 +735,51 @@ app.get('/api/stats', async (req, res) => {
     const responseRate = outboundMessages.length > 0 ? 
       ((inboundMessages.length / outboundMessages.length) * 100).toFixed(1) : '0';
 
-    // Calculate WhatsApp attributed revenue (orders with phone numbers)
-    const whatsappOrders = orders.filter(order => order.customer?.phone);
-    const whatsappRevenue = whatsappOrders.reduce((sum, order) => 
-      sum + parseFloat(order.totalPriceSet.shopMoney.amount), 0
-    );
-
-    // Calculate conversion rate (orders with phone / customers with phone)
-    const whatsappConversionRate = customersWithPhone > 0 ? 
-      ((whatsappOrders.length / customersWithPhone) * 100).toFixed(1) : '0';
-
-    // Calculate ROAS (Return on Ad Spend) - simplified calculation
-    const messagingCost = messages.length * 0.05; // Estimate $0.05 per message
-    const roas = messagingCost > 0 ? (whatsappRevenue / messagingCost).toFixed(1) : '0';
-
-    // Calculate abandoned cart recovery metrics
-    const abandonedCartMessages = messages.filter(msg => 
-      msg.message_type === 'abandoned_cart' || msg.campaign_type === 'abandoned_cart'
-    );
-    const abandonedCartRevenue = orders.filter(order => {
-      // Find orders that came after abandoned cart messages
-      const orderTime = new Date(order.createdAt);
-      return abandonedCartMessages.some(msg => {
-        const msgTime = new Date(msg.created_at);
-        return orderTime > msgTime && (orderTime - msgTime) < 7 * 24 * 60 * 60 * 1000; // Within 7 days
-      }) && order.customer?.phone;
-    }).reduce((sum, order) => sum + parseFloat(order.totalPriceSet.shopMoney.amount), 0);
-
-    const cartsRecovered = Math.floor(abandonedCartRevenue / (orders.length > 0 ? totalRevenue / orders.length : 100));
-    const recoveryRate = abandonedCartMessages.length > 0 ? 
-      ((cartsRecovered / abandonedCartMessages.length) * 100).toFixed(1) : '0';
+    // WhatsApp revenue: orders attributed to a message or link click in the
+    // shop's attribution window (see services/revenueAttribution.js)
+    const [attribution, revenueByType, linkStats, cartRecovery, automationSettings] = await Promise.all([
+      RevenueAttribution.getSummary(shop, 30),
+      RevenueAttribution.getBreakdown(shop, 'message_type', 30),
+      LinkTracker.getStats(shop, 'message_type', 30),
+      RevenueAttribution.getCartRecovery(shop, 30),
+      DatabaseQueries.getAutomationSettings(shop)
+    ]);
+
+    // Conversion rate: attributed orders per customer messaged in the last 30 days
+    const monthAgo = new Date();
+    monthAgo.setDate(monthAgo.getDate() - 30);
+    const outboundThisMonth = outboundMessages.filter(msg => new Date(msg.created_at) >= monthAgo);
+    const customersMessaged = new Set(outboundThisMonth.map(msg => msg.customer_phone)).size;
+    const whatsappConversionRate = customersMessaged > 0 ?
+      ((attribution.orders / customersMessaged) * 100).toFixed(1) : '0';
+
+    // ROAS (Return on Ad Spend) against the estimated messaging cost
+    const messagingCost = RevenueAttribution.estimateCost(outboundThisMonth.length);
+    const roas = messagingCost > 0 ? (attribution.revenue / messagingCost).toFixed(1) : '0';
+
+    // Campaign performance: one row per message type sent in the last 30 days
+    const CAMPAIGN_COLORS = ['var(--success)', 'var(--info)', 'var(--warning)', 'var(--primary)'];
+    const messagesByType = {};
+    outboundThisMonth.forEach(msg => {
+      const type = msg.message_type || 'custom';
+      messagesByType[type] = messagesByType[type] || [];
+      messagesByType[type].push(msg);
+    });
+    const campaigns = Object.entries(messagesByType)
+      .map(([type, typeMessages]) => {
+        const revenue = revenueByType[type]?.revenue || 0;
+        return {
+          name: type.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()),
+          messages: typeMessages.length,
+          deliveryRate: ((typeMessages.filter(msg => ['sent', 'delivered', 'read'].includes(msg.twilio_status)).length / typeMessages.length) * 100).toFixed(1),
+          clickRate: linkStats[type]?.clickRate || '0',
+          orders: revenueByType[type]?.orders || 0,
+          revenue: revenue.toFixed(0),
+          roi: RevenueAttribution.getRoi(revenue, typeMessages.length)
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue || b.messages - a.messages)
+      .map((campaign, index) => ({ ...campaign, color: CAMPAIGN_COLORS[index % CAMPAIGN_COLORS.length] }));
 
     const stats = {
       // Main dashboard stats
@@ -749,48 +803,23 @@ app.get('/api/stats', async (req, res) => {
       responseRate: responseRate,
       openRate: 85.2, // Would need WhatsApp Business API for real data
       clickRate: 12.8, // Would need click tracking
-      whatsappRevenue: whatsappRevenue.toFixed(2),
-      whatsappRevenueGrowth: 18, // Could calculate from historical data
+      whatsappRevenue: attribution.revenue.toFixed(2),
+      whatsappRevenueGrowth: attribution.revenueGrowth,
+      whatsappOrders: attribution.orders,
+      whatsappAvgOrderValue: attribution.averageOrderValue.toFixed(2),
       analyticsConversionRate: whatsappConversionRate,
       roas: roas,
+      attributionModel: automationSettings.attributionModel,
+      attributionWindowDays: automationSettings.attributionWindowDays,
 
       // Cart recovery stats
-      cartsRecovered: cartsRecovered,
-      cartsRecoveredGrowth: 23, // Could calculate from historical data
-      recoveryRate: recoveryRate,
-      recoveredValue: abandonedCartRevenue.toFixed(2),
+      cartsRecovered: cartRecovery.cartsRecovered,
+      cartsRecoveredGrowth: cartRecovery.cartsRecoveredGrowth,
+      recoveryRate: cartRecovery.recoveryRate,
+      recoveredValue: cartRecovery.recoveredValue.toFixed(2),
 
       // Campaign performance data
-      campaigns: [
-        {
-          name: 'Abandoned Cart Recovery',
-          messages: abandonedCartMessages.length,
-          deliveryRate: abandonedCartMessages.length > 0 ? 
-            ((abandonedCartMessages.filter(m => m.status === 'delivered' || m.status === 'sent').length / abandonedCartMessages.length) * 100).toFixed(1) : '0',
-          clickRate: '15.3', // Would need click tracking
-          revenue: abandonedCartRevenue.toFixed(0),
-          roi: abandonedCartRevenue > 0 ? ((abandonedCartRevenue / (abandonedCartMessages.length * 0.05)) * 100 - 100).toFixed(0) : '0',
-          color: 'var(--success)'
-        },
-        {
-          name: 'Order Confirmations',
-          messages: messages.filter(msg => msg.message_type === 'order_confirmation' || msg.campaign_type === 'order_confirmation').length,
-          deliveryRate: '99.1',
-          clickRate: '8.7',
-          revenue: (whatsappRevenue * 0.3).toFixed(0), // Estimate 30% of revenue from order confirmations
-          roi: '180',
-          color: 'var(--info)'
-        },
-        {
-          name: 'Welcome Messages',
-          messages: messages.filter(msg => msg.message_type === 'welcome' || msg.campaign_type === 'welcome').length,
-          deliveryRate: '97.8',
-          clickRate: '12.4',
-          revenue: (whatsappRevenue * 0.25).toFixed(0), // Estimate 25% of revenue from welcome messages
-          roi: '240',
-          color: 'var(--warning)'
-        }
-      ]
+      campaigns
     };
 
     res.json(stats);
@@ -818,10 +847,6 @@ app.post('/api/send-whatsapp', async (req, res) => {
   const shop = req.shop;
   const { phone, message, orderNumber } = req.body;
   
-  if (!twilioClient) {
-    return res.status(400).json({ error: 'WhatsApp not configured' });
-  }
-  
   if (!phone || !message) {
     return res.status(400).json({ error: 'Phone and message required' });
   }
@@ -833,34 +858,23 @@ app.post('/api/send-whatsapp', async (req, res) => {
       whatsappPhone = '+' + whatsappPhone;
     }
     
-    // Ensure proper WhatsApp format for both numbers
-    const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER.startsWith('whatsapp:') 
-      ? process.env.TWILIO_WHATSAPP_NUMBER 
-      : `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`;
-      
-    const toNumber = `whatsapp:${whatsappPhone}`;
-    
-    console.log('📱 API sending WhatsApp from:', fromNumber, 'to:', toNumber);
-    
-    const whatsappMessage = await twilioClient.messages.create({
-      body: message,
-      from: fromNumber,
-      to: toNumber
-    });
+    console.log('📱 API queueing WhatsApp to:', whatsappPhone);
     
-    // Save message to database
-    await DatabaseQueries.createMessage(
+    const result = await NotificationManager.sendCustomMessage(
       shop,
       whatsappPhone,
       message,
-      'outbound',
-      orderNumber || null,
-      whatsappMessage.sid
+      orderNumber || null
     );
     
+    if (!result.success) {
+      return res.status(result.sessionClosed ? 409 : 500).json({ error: result.error, sessionWindow: result.sessionWindow });
+    }
+    
     res.json({ 
       success: true, 
-      messageSid: whatsappMessage.sid,
+      messageId: result.messageId,
+      status: result.status,
       phone: whatsappPhone
     });
     
@@ -870,8 +884,27 @@ app.post('/api/send-whatsapp', async (req, res) => {
   }
 });
 
-// Import notification manager
+// Import notification manager and scheduler (scheduler starts its timers on load)
 const NotificationManager = require('./services/notificationManager');
+const NotificationScheduler = require('./services/notificationScheduler');
+const MessageQueue = require('./services/messageQueue');
+const InboundRouter = require('./services/inboundRouter');
+const TemplateRegistry = require('./services/templateRegistry');
+const SessionWindow = require('./services/sessionWindow');
+const MediaResolver = require('./services/mediaResolver');
+const InteractiveButtons = require('./services/interactiveButtons');
+const TemplateEngine = require('./services/templateEngine');
+const NotificationData = require('./services/notificationData');
+const FlowPreview = require('./services/flowPreview');
+const FlowRevisions = require('./services/flowRevisions');
+const Experiments = require('./services/experiments');
+const DiscountCodes = require('./services/discountCodes');
+const LinkTracker = require('./services/linkTracker');
+const CartSequences = require('./services/cartSequences');
+const RevenueAttribution = require('./services/revenueAttribution');
+const ReminderSuppression = require('./services/reminderSuppression');
+const CustomerTimezone = require('./services/customerTimezone');
+const LanguageResolver = require('./services/languageResolver');
 
 // ============= COMPREHENSIVE SHOPIFY WEBHOOKS =============
 
@@ -891,10 +924,13 @@ app.post('/webhooks/checkout-created', async (req, res) => {
         customer_phone: checkout.phone,
         customer_name: checkout.billing_address?.first_name,
         cart_value: parseFloat(checkout.current_total_price || checkout.total_price || '0.00'),
-        currency: checkout.currency,
+        currency: checkout.presentment_currency || checkout.currency,
         items_count: checkout.line_items?.length || 0,
         line_items: checkout.line_items,
-        checkout_url: checkout.abandoned_checkout_url
+        checkout_url: checkout.abandoned_checkout_url,
+        customer_locale: checkout.customer_locale,
+        cart_token: checkout.cart_token,
+        customer_timezone: CustomerTimezone.fromAddress(checkout.shipping_address || checkout.billing_address)
       });
     }
   } catch (error) {
@@ -918,6 +954,10 @@ app.post('/webhooks/checkout-updated', async (req, res) => {
       if (checkout.id) {
         await DatabaseQueries.markCartRecovered(checkout.id, checkout.total_price);
       }
+      await Experiments.recordConversion(req.get('X-Shopify-Shop-Domain'), checkout.phone, {
+        source: 'recovered_cart',
+        value: checkout.total_price
+      });
     }
   } catch (error) {
     console.error('Error processing checkout update:', error);
@@ -934,20 +974,13 @@ app.post('/webhooks/order-fulfilled', async (req, res) => {
   try {
     if (order.customer?.phone) {
       const phone = order.customer.phone.replace(/\D/g, '');
-      const fulfillment = order.fulfillments?.[0];
       
+      const shopDomain = req.get('X-Shopify-Shop-Domain');
       await NotificationManager.sendNotification(
-        req.get('X-Shopify-Shop-Domain'),
+        shopDomain,
         `+${phone}`,
         'order_fulfilled',
-        {
-          customer_name: order.customer.first_name,
-          order_number: order.name,
-          carrier: fulfillment?.tracking_company || 'Our shipping partner',
-          tracking_number: fulfillment?.tracking_number || '',
-          tracking_url: fulfillment?.tracking_urls?.[0] || '',
-          delivery_date: '3-5 business days'
-        }
+        NotificationData.fulfillment(order, await DatabaseQueries.getAutomationSettings(shopDomain))
       );
       
       // Update database
@@ -985,12 +1018,7 @@ app.post('/webhooks/customer-created', async (req, res) => {
         shopDomain,
         `+${phone}`,
         'welcome_customer',
-        {
-          customer_name: customer.first_name,
-          shop_name: shopDomain.replace('.myshopify.com', ''),
-          free_shipping_threshold: '$50',
-          shop_url: `https://${shopDomain}`
-        }
+        NotificationData.customer(shopDomain, customer, await DatabaseQueries.getAutomationSettings(shopDomain))
       );
     }
   } catch (error) {
@@ -1002,50 +1030,62 @@ app.post('/webhooks/customer-created', async (req, res) => {
 
 // ============= WHATSAPP INCOMING MESSAGES =============
 
-// WhatsApp Incoming Messages Handler
-app.post('/whatsapp/webhook', async (req, res) => {
-  console.log('📱 Incoming WhatsApp message');
-  
-  const { From, To, Body, ProfileName, MessageSid } = req.body;
-  
-  // Extract phone number (remove 'whatsapp:' prefix)
-  const phoneNumber = From.replace('whatsapp:', '');
-  const messageBody = Body.toLowerCase().trim();
+// Handle one normalized inbound message (see services/messagingProvider.js)
+async function handleInboundMessage(inbound) {
+  const { from: phoneNumber, to: senderNumber, profileName, messageId } = inbound;
+  let messageText = inbound.body;
   
   try {
-    // Get shop domain from customer phone number
+    // Route to the shop that owns the To number, or ask the customer on shared numbers
     let shopDomain = null;
-    let shopData = null;
+    let disambiguationPrompt = null;
+    let replyFromNumber = null;
     
     try {
-      // This gets the most recently interacted shop for the customer
-      shopData = await DatabaseQueries.getShopByCustomerPhone(phoneNumber);
-      if (shopData) {
-        shopDomain = shopData.shop_domain;
-        console.log('🏪 Found shop for customer:', shopDomain);
+      const route = await InboundRouter.resolve(phoneNumber, senderNumber, inbound.body);
+      shopDomain = route.shopDomain;
+      disambiguationPrompt = route.prompt || null;
+      // Answer on the same number when the shop owns it, otherwise use the shop's default sender
+      replyFromNumber = route.ownedNumber ? senderNumber : null;
+      
+      if (route.pendingMessage) {
+        // The customer just picked a shop; answer the message that needed routing
+        messageText = route.pendingMessage;
+      }
+      
+      if (shopDomain) {
+        console.log('🏪 Routed message to shop:', shopDomain);
+      } else if (disambiguationPrompt) {
+        console.log('❓ Asking customer to choose a shop:', phoneNumber);
       } else {
-        console.log('⚠️ No shop found for customer phone:', phoneNumber);
-        // Use a default shop domain as fallback (for testing/demo purposes)
-        // In production, you might want to handle this differently
-        shopDomain = 'dowhatss1.myshopify.com';
-        
-        // Note: For multi-shop scenarios where a customer might belong to multiple shops,
-        // you could use DatabaseQueries.getAllShopsForCustomerPhone(phoneNumber) 
-        // and implement logic to:
-        // 1. Ask the customer which shop they're inquiring about
-        // 2. Parse the message for shop-specific keywords
-        // 3. Use context from previous messages
+        console.log('⚠️ No shop found for customer phone:', phoneNumber, 'on sender:', senderNumber);
       }
     } catch (error) {
       console.error('❌ Error getting shop for customer:', error);
-      shopDomain = 'dowhatss1.myshopify.com'; // Fallback
     }
     
+    const messageBody = messageText.toLowerCase().trim();
     let responseMessage = '';
+    let responseInteractive = null;
+    
+    // Taps on flow buttons run the button's action (services/interactiveButtons.js)
+    const isButtonTap = !!(inbound.buttonPayload || inbound.buttonText);
+    const buttonAction = isButtonTap ? InteractiveButtons.resolveAction(inbound) : null;
+    const isStopRequest = messageBody === 'stop' || messageBody === 'unsubscribe';
+    const isAgentRequest = messageBody === 'support' || messageBody === 'agent';
     
     // Auto-response logic
-    if (messageBody === 'help' || messageBody === 'hi' || messageBody === 'hello') {
-      responseMessage = `Hi ${ProfileName}! 👋\n\nHere are the available commands:\n\n` +
+    if (buttonAction && shopDomain) {
+      try {
+        const reply = await InteractiveButtons.runAction(buttonAction, { shopDomain, customerPhone: phoneNumber });
+        responseMessage = reply?.body || '';
+        responseInteractive = reply?.interactive || null;
+      } catch (error) {
+        console.error(`❌ Button action ${buttonAction} failed:`, error);
+      }
+    }
+    else if (messageBody === 'help' || messageBody === 'hi' || messageBody === 'hello') {
+      responseMessage = `Hi ${profileName || 'there'}! 👋\n\nHere are the available commands:\n\n` +
                        `📦 ORDER - Check order status\n` +
                        `🛒 CART - View abandoned cart\n` +
                        `💬 SUPPORT - Chat with agent\n` +
@@ -1055,14 +1095,15 @@ app.post('/whatsapp/webhook', async (req, res) => {
     else if (messageBody === 'order' || messageBody === 'status') {
       responseMessage = `To check your order status, please provide your order number or email address.`;
     }
-    else if (messageBody === 'support' || messageBody === 'agent') {
+    else if (isAgentRequest) {
       responseMessage = `Connecting you with support. Someone will respond within 5 minutes during business hours (Mon-Fri 9AM-6PM EST).`;
     }
-    else if (messageBody === 'stop' || messageBody === 'unsubscribe') {
+    else if (isStopRequest) {
       // Update customer opt-out status in database
       try {
         if (shopDomain) {
           await DatabaseQueries.updateCustomerOptOut(shopDomain, phoneNumber);
+          await ReminderSuppression.suppressCustomer(shopDomain, phoneNumber, 'opted_out');
           responseMessage = `You've been unsubscribed from WhatsApp notifications. Reply START anytime to resubscribe.`;
         } else {
           responseMessage = `Unable to process unsubscribe request. Please try again.`;
@@ -1071,17 +1112,33 @@ app.post('/whatsapp/webhook', async (req, res) => {
         responseMessage = `Unable to process unsubscribe request. Please try again.`;
       }
     }
-    else {
-      // Default response
+    else if (!isButtonTap) {
+      // Default response; taps on buttons without an action are left for the team inbox
       responseMessage = `Thanks for your message! Type HELP to see available commands or SUPPORT to chat with an agent.`;
     }
     
+    if (disambiguationPrompt) {
+      responseMessage = disambiguationPrompt;
+    }
+    
     // Send auto-reply
-    if (responseMessage && twilioClient) {
-      await twilioClient.messages.create({
+    if (responseMessage && shopDomain) {
+      await MessageQueue.enqueue({
+        shopDomain,
+        customerPhone: phoneNumber,
         body: responseMessage,
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: From
+        messageType: 'auto_reply',
+        fromNumber: replyFromNumber,
+        interactive: responseInteractive
+      });
+      
+      console.log('✅ Auto-reply queued');
+    } else if (responseMessage && ClientFactory.getDefaultClient()) {
+      // No shop to attribute the reply to, so it cannot be queued
+      await ClientFactory.getDefaultClient().provider.sendText({
+        from: senderNumber,
+        to: phoneNumber,
+        body: responseMessage
       });
       
       console.log('✅ Auto-reply sent');
@@ -1090,50 +1147,110 @@ app.post('/whatsapp/webhook', async (req, res) => {
     // Save incoming message to database and update last interaction
     if (shopDomain) {
       try {
-        await DatabaseQueries.createMessage(
-          shopDomain,
-          phoneNumber,
-          Body,
-          'inbound',
-          null,
-          MessageSid
-        );
+        await DatabaseQueries.saveMessage({
+          shop_domain: shopDomain,
+          customer_phone: phoneNumber,
+          customer_name: profileName || null,
+          message_type: 'inbound',
+          message_body: messageText,
+          twilio_sid: messageId,
+          twilio_status: 'received',
+          direction: 'inbound',
+          media_url: inbound.media?.[0]?.url || null,
+          media_type: inbound.media?.[0]?.contentType || null
+        });
         console.log('💾 Incoming message saved for shop:', shopDomain);
         
+        // Updates the inbox thread and restarts the customer's 24-hour session window
+        await DatabaseQueries.touchConversation(shopDomain, phoneNumber, 'inbound', profileName || null);
+        
         // Update customer's last interaction time
         await DatabaseQueries.updateCustomerLastInteraction(shopDomain, phoneNumber);
       } catch (error) {
         console.warn('⚠️ Failed to save incoming message:', error.message);
       }
+      
+      // Automated reminders stop once the customer is talking to the team
+      // (STOP and button taps suppress with their own reason above)
+      if (!isButtonTap && !isStopRequest) {
+        await ReminderSuppression.suppressOnReply(shopDomain, phoneNumber, messageText, { asksForAgent: isAgentRequest });
+      }
     }
     
   } catch (error) {
     console.error('❌ Error processing WhatsApp message:', error);
   }
-  
-  res.status(200).send('OK');
-});
+}
 
-// WhatsApp Status Updates
-app.post('/whatsapp/status', async (req, res) => {
-  const { MessageSid, MessageStatus, To, ErrorCode, ErrorMessage } = req.body;
-  
+// Handle one normalized status update
+async function handleStatusUpdate(update) {
   console.log('📊 WhatsApp Status Update:', {
-    messageSid: MessageSid,
-    status: MessageStatus,
-    to: To
+    messageId: update.messageId,
+    status: update.status,
+    errorCode: update.errorCode
   });
   
   // Update message status in database
   try {
-    await DatabaseQueries.updateMessageStatus(MessageSid, MessageStatus);
+    await DatabaseQueries.updateMessageStatus(update.messageId, update.status);
+    
+    // Keep campaign delivery counts in step with status callbacks
+    const campaignId = await DatabaseQueries.getCampaignIdForMessage(update.messageId);
+    if (campaignId) {
+      await DatabaseQueries.refreshCampaignCounts(campaignId);
+    }
   } catch (error) {
     console.warn('⚠️ Failed to update message status:', error.message);
   }
+}
+
+// WhatsApp Incoming Messages Handler (Twilio, and the fake provider in offline mode)
+app.post('/whatsapp/webhook', verifyTwilioWebhook, async (req, res) => {
+  console.log('📱 Incoming WhatsApp message');
+  
+  for (const inbound of req.provider.parseInbound(req)) {
+    await handleInboundMessage(inbound);
+  }
+  
+  res.status(200).send('OK');
+});
+
+// WhatsApp Status Updates (Twilio)
+app.post('/whatsapp/status', verifyTwilioWebhook, async (req, res) => {
+  for (const update of req.provider.parseStatus(req)) {
+    await handleStatusUpdate(update);
+  }
+  
+  res.status(200).send('OK');
+});
+
+// Meta WhatsApp Cloud API webhook verification handshake
+app.get('/whatsapp/meta/webhook', (req, res) => {
+  const challenge = verifyWebhookSubscription(req.query);
+  if (challenge === null) {
+    console.error('❌ Meta webhook verification failed');
+    return res.sendStatus(403);
+  }
+  
+  console.log('✅ Meta webhook verified');
+  res.status(200).send(challenge);
+});
+
+// Meta WhatsApp Cloud API messages and statuses arrive on the same webhook
+app.post('/whatsapp/meta/webhook', verifyMetaWebhook, async (req, res) => {
+  for (const inbound of req.provider.parseInbound(req)) {
+    console.log('📱 Incoming WhatsApp message (Meta)');
+    await handleInboundMessage(inbound);
+  }
+  
+  for (const update of req.provider.parseStatus(req)) {
+    await handleStatusUpdate(update);
+  }
   
   res.status(200).send('OK');
 });
 
+
 // ============= ABANDONED CART RECOVERY =============
 
 // Manual trigger for abandoned cart recovery
@@ -1150,13 +1267,7 @@ app.post('/api/trigger-abandoned-cart', async (req, res) => {
           shop,
           cart.customer_phone,
           'abandoned_cart_1h',
-          {
-            customer_name: cart.customer_name || 'Customer',
-            items: JSON.parse(cart.line_items || '[]'),
-            currency: cart.currency,
-            cart_value: cart.cart_value,
-            checkout_url: cart.checkout_url
-          }
+          NotificationData.abandonedCart(shop, cart)
         );
         
         // Increment reminder count
@@ -1173,34 +1284,24 @@ app.post('/api/trigger-abandoned-cart', async (req, res) => {
 
 // Test endpoint
 app.get('/test-whatsapp-simple', async (req, res) => {
-  if (!twilioClient) {
+  const defaultClient = ClientFactory.getDefaultClient();
+  if (!defaultClient || !defaultClient.fromNumber) {
     return res.send('⚠️ Twilio not configured. Check your .env.local file.');
   }
   
   try {
-    // Ensure proper WhatsApp format for both from and to numbers
-    let cleanFromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
-    if (cleanFromNumber.startsWith('whatsapp:')) {
-      cleanFromNumber = cleanFromNumber.replace('whatsapp:', '');
-    }
-    const fromNumber = `whatsapp:${cleanFromNumber}`;
-      
-    const testPhone = process.env.TEST_PHONE_NUMBER || '+966592000903';
-    let cleanToNumber = testPhone;
-    if (cleanToNumber.startsWith('whatsapp:')) {
-      cleanToNumber = cleanToNumber.replace('whatsapp:', '');
-    }
-    const toNumber = `whatsapp:${cleanToNumber}`;
+    const fromNumber = defaultClient.fromNumber;
+    const toNumber = (process.env.TEST_PHONE_NUMBER || '+966592000903').replace('whatsapp:', '');
     
     console.log('📱 Sending WhatsApp from:', fromNumber, 'to:', toNumber);
     
-    const message = await twilioClient.messages.create({
+    const message = await defaultClient.provider.sendText({
       body: 'Hello from your Shopify WhatsApp app! 🛍️',
       from: fromNumber,
       to: toNumber
     });
     
-    res.send(`✅ Success! WhatsApp message sent. SID: ${message.sid}`);
+    res.send(`✅ Success! WhatsApp message sent. SID: ${message.messageId}`);
   } catch (error) {
     console.error('WhatsApp send error:', error);
     res.send(`❌ Error: ${error.message}`);
@@ -1225,13 +1326,15 @@ app.post('/api/send-custom-whatsapp', async (req, res) => {
     if (result.success) {
       res.json({ 
         success: true, 
-        messageSid: result.messageSid,
+        messageId: result.messageId,
+        status: result.status,
         phone: result.phone
       });
     } else {
-      res.status(500).json({ 
+      res.status(result.sessionClosed ? 409 : 500).json({ 
         success: false, 
-        error: result.error 
+        error: result.error,
+        sessionWindow: result.sessionWindow
       });
     }
   } catch (error) {
@@ -1250,38 +1353,13 @@ app.get('/api/test-notifications/:template', async (req, res) => {
     return res.status(400).json({ error: 'TEST_PHONE_NUMBER not configured' });
   }
 
-  // Sample data for different templates
-  const testData = {
-    order_placed: {
-      customer_name: 'John Doe',
-      order_number: '#1001',
-      currency: 'USD',
-      total_price: '99.99',
-      items: [{ name: 'Test Product', quantity: 1, price: '99.99' }],
-      shipping_address: { address1: '123 Test St', city: 'Test City', country: 'USA' },
-      delivery_estimate: '3-5 business days',
-      order_status_url: 'https://example.com/order/1001'
-    },
-    abandoned_cart_1h: {
-      customer_name: 'Jane Smith',
-      items: [{ name: 'Abandoned Product', price: '49.99' }],
-      currency: 'USD',
-      cart_value: '49.99',
-      checkout_url: 'https://example.com/checkout'
-    },
-    welcome_customer: {
-      customer_name: 'New Customer',
-      shop_name: 'Test Shop',
-      free_shipping_threshold: '$50',
-      shop_url: 'https://example.com'
-    }
-  };
-
   try {
-    const data = testData[template];
-    if (!data) {
+    // Sample data for the template's flow type, formatted like a real send
+    const flowType = NotificationManager.getFlowType(template);
+    if (!flowType) {
       return res.status(400).json({ error: 'Unknown template type' });
     }
+    const data = await FlowPreview.getSampleData(shop, flowType);
 
     const result = await NotificationManager.sendNotification(
       shop,
@@ -1293,7 +1371,8 @@ app.get('/api/test-notifications/:template', async (req, res) => {
     if (result) {
       res.json({ 
         success: true, 
-        messageSid: result.sid,
+        messageId: result.messageId,
+        status: result.status,
         template: template,
         testPhone: testPhone
       });
@@ -1352,6 +1431,135 @@ app.post('/api/automation-settings', async (req, res) => {
   }
 });
 
+// ========== ABANDONED CART SEQUENCE API ==========
+
+// The shop's reminder steps and the abandoned cart flows a step can send
+app.get('/api/cart-sequence', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const [sequence, flows] = await Promise.all([
+      CartSequences.getSequence(shop),
+      DatabaseQueries.getWhatsAppFlows(shop)
+    ]);
+    res.json({
+      success: true,
+      ...sequence,
+      flows: flows
+        .filter(flow => flow.flow_type === 'abandoned_cart')
+        .map(flow => ({
+          id: flow.id,
+          name: flow.flow_name,
+          language: flow.language,
+          isActive: !!flow.is_active,
+          triggerDelayMinutes: flow.trigger_delay_minutes
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching cart sequence:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: steps [{ delayMinutes (after abandonment), flowId (optional) }] in send order
+app.put('/api/cart-sequence', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const validationError = await CartSequences.validate(shop, req.body.steps);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await CartSequences.save(shop, req.body.steps);
+    res.json({ success: true, ...(await CartSequences.getSequence(shop)) });
+  } catch (error) {
+    console.error('Error saving cart sequence:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Go back to the default 1 hour / 24 hours / 48 hours sequence
+app.delete('/api/cart-sequence', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    await CartSequences.reset(shop);
+    res.json({ success: true, ...(await CartSequences.getSequence(shop)) });
+  } catch (error) {
+    console.error('Error resetting cart sequence:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent carts and where their reminders stand: active, completed (every
+// step sent), recovered, or suppressed with the reason
+app.get('/api/cart-reminders', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const [{ steps }, carts] = await Promise.all([
+      CartSequences.getSequence(shop),
+      DatabaseQueries.getCartReminderStatus(shop, 30, Math.min(parseInt(req.query.limit, 10) || 50, 200))
+    ]);
+    res.json({
+      success: true,
+      totalSteps: steps.length,
+      carts: carts.map(cart => {
+        let status = 'active';
+        if (cart.recovered) status = 'recovered';
+        else if (cart.suppression_reason) status = 'suppressed';
+        else if (cart.reminder_count >= steps.length) status = 'completed';
+        return {
+          id: cart.id,
+          checkoutId: cart.checkout_id,
+          customerName: cart.customer_name,
+          customerPhone: cart.customer_phone,
+          cartValue: cart.cart_value,
+          currency: cart.currency,
+          remindersSent: cart.reminder_count,
+          lastReminderAt: cart.last_reminder_at,
+          createdAt: cart.created_at,
+          status,
+          suppression: cart.suppression_reason ? {
+            reason: cart.suppression_reason,
+            label: ReminderSuppression.getReasonLabel(cart.suppression_reason),
+            detail: cart.suppression_detail,
+            cancelledMessages: cart.cancelled_messages,
+            suppressedAt: cart.suppressed_at
+          } : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching cart reminders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop the remaining reminders for one cart
+app.post('/api/cart-reminders/:id/cancel', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const cart = await DatabaseQueries.getAbandonedCartById(shop, parseInt(req.params.id, 10));
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    if (cart.recovered) {
+      return res.status(400).json({ error: 'This cart was already recovered' });
+    }
+    
+    const suppressed = await ReminderSuppression.suppressCart(shop, cart, 'manual', getStaffId(req));
+    if (!suppressed) {
+      return res.status(400).json({ error: 'Reminders for this cart were already stopped' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling cart reminders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ========== WHATSAPP FLOWS API ==========
 
 // Get all flows for shop
@@ -1368,10 +1576,69 @@ app.get('/api/whatsapp-flows', async (req, res) => {
 });
 
 // Create new WhatsApp flow
+// Custom flow images are fetched now so a bad URL is reported while editing, not at send time
+async function validateFlowImage(flowData) {
+  if (flowData.imageType !== 'custom') {
+    return null;
+  }
+  if (!flowData.imageUrl) {
+    return 'Custom image URL is required';
+  }
+  try {
+    await MediaResolver.validate(flowData.imageUrl);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Message and footer must parse ({{#if}} / {{#each}} blocks closed, known formatters)
+function validateFlowContent(flowData) {
+  try {
+    TemplateEngine.parse(flowData.messageContent);
+    TemplateEngine.parse(flowData.footerText);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// WhatsApp allows three reply buttons of up to 20 characters in a session message
+function validateFlowButtons(flowData) {
+  const quickReplies = Array.isArray(flowData.quickReplies) ? flowData.quickReplies : [];
+  if (quickReplies.length > 3) {
+    return 'A flow can have at most 3 quick reply buttons';
+  }
+  for (const reply of quickReplies) {
+    const title = typeof reply === 'string' ? reply : reply?.title;
+    if (!title || title.trim().length > 20) {
+      return 'Quick reply buttons need a title of up to 20 characters';
+    }
+    if (reply?.action && !InteractiveButtons.isValidAction(reply.action)) {
+      return `Unknown quick reply action: ${reply.action}`;
+    }
+  }
+  if (flowData.buttonText && flowData.buttonText.trim().length > 20) {
+    return 'Button text can be up to 20 characters';
+  }
+  return null;
+}
+
+// Unique per-recipient codes: { type, value, minimumSubtotal, expiresInHours, prefix }
+function validateFlowDiscount(flowData) {
+  return DiscountCodes.validateSettings(flowData.discountSettings);
+}
+
 app.post('/api/whatsapp-flows', async (req, res) => {
   const shop = req.shop;
   const flowData = req.body;
   
+  const validationError = validateFlowContent(flowData) || validateFlowButtons(flowData) || validateFlowDiscount(flowData)
+    || await validateFlowImage(flowData);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
   try {
     const result = await DatabaseQueries.createWhatsAppFlow(shop, flowData);
     res.json({ success: true, flowId: result.id, message: 'Flow created successfully' });
@@ -1381,12 +1648,75 @@ app.post('/api/whatsapp-flows', async (req, res) => {
   }
 });
 
+// Orders and abandoned checkouts a flow can be previewed against
+app.get('/api/whatsapp-flows/preview-sources', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const sources = await FlowPreview.getSources(shop);
+    res.json({ success: true, ...sources });
+  } catch (error) {
+    console.error('Error fetching preview sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Render a flow or default template without sending it. Body: flowId (saved
+// flow) or the editor fields (flowType, messageContent, ...), or
+// notificationType for a default template; source { type: 'sample' | 'order'
+// | 'checkout', id }.
+app.post('/api/whatsapp-flows/preview', async (req, res) => {
+  const shop = req.shop;
+  const { flowId, notificationType, language, source } = req.body;
+  
+  try {
+    let flow = null;
+    if (flowId) {
+      flow = await DatabaseQueries.getWhatsAppFlow(flowId, shop);
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+    } else if (!notificationType) {
+      flow = {
+        flow_name: req.body.flowName || 'Preview',
+        flow_type: req.body.flowType,
+        language: req.body.language || 'en',
+        message_content: req.body.messageContent || '',
+        footer_text: req.body.footerText || '',
+        image_type: req.body.imageType,
+        image_url: req.body.imageUrl,
+        button_text: req.body.buttonText,
+        quick_replies: req.body.quickReplies || [],
+        discount_code: req.body.discountCode || null,
+        discount_settings: req.body.discountSettings || null
+      };
+    }
+    
+    const preview = await FlowPreview.preview(shop, {
+      flow,
+      notificationType,
+      language: flow?.language || language || 'en',
+      source
+    });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Error rendering flow preview:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Update existing WhatsApp flow
 app.put('/api/whatsapp-flows/:id', async (req, res) => {
   const shop = req.shop;
   const flowId = req.params.id;
   const flowData = req.body;
   
+  const validationError = validateFlowContent(flowData) || validateFlowButtons(flowData) || validateFlowDiscount(flowData)
+    || await validateFlowImage(flowData);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
   try {
     const result = await DatabaseQueries.updateWhatsAppFlow(flowId, shop, flowData);
     if (result.changes === 0) {
@@ -1433,34 +1763,786 @@ app.delete('/api/whatsapp-flows/:id', async (req, res) => {
   }
 });
 
-// API endpoint to get real customer data from Shopify
-app.get('/api/customers', async (req, res) => {
+// ========== FLOW REVISIONS API ==========
+
+// Load a flow revision for the request's shop or answer 404
+async function findFlowRevision(req, res, revisionId) {
+  const revision = await DatabaseQueries.getFlowRevision(revisionId, req.params.id, req.shop);
+  if (!revision) {
+    res.status(404).json({ error: 'Revision not found' });
+  }
+  return revision;
+}
+
+// Every saved version of a flow, newest first. Revisions of a deleted flow
+// are kept so the messages it sent can still be traced.
+app.get('/api/whatsapp-flows/:id/revisions', async (req, res) => {
   const shop = req.shop;
   
   try {
-    const shopData = await DatabaseQueries.getShop(shop);
-    if (!shopData?.access_token) {
-      return res.status(401).json({ error: 'Shop not authenticated' });
+    const revisions = await DatabaseQueries.getFlowRevisions(req.params.id, shop);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Flow not found' });
     }
+    const flow = await DatabaseQueries.getWhatsAppFlow(req.params.id, shop);
+    res.json({ success: true, currentRevisionId: flow?.current_revision_id || null, revisions });
+  } catch (error) {
+    console.error('Error fetching flow revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Create session for Shopify API calls
-    const { Session } = require('@shopify/shopify-api');
-    const session = new Session({
-      id: `offline_${shop}`,
-      shop: shop,
-      state: '',
-      isOnline: false,
-      accessToken: shopData.access_token,
-      scope: process.env.SHOPIFY_SCOPES
-    });
-
-    const client = new shopify.api.clients.Graphql({ session });
-    
-    // Get customers with their order history and phone numbers
-    const customersQuery = `
-      query getCustomers($first: Int!) {
-        customers(first: $first) {
-          edges {
+// Changes between two revisions: ?from=<revisionId>&to=<revisionId>, where
+// to defaults to the flow's current revision
+app.get('/api/whatsapp-flows/:id/revisions/diff', async (req, res) => {
+  const shop = req.shop;
+  
+  if (!req.query.from) {
+    return res.status(400).json({ error: 'from revision is required' });
+  }
+  
+  try {
+    let toRevisionId = req.query.to;
+    if (!toRevisionId) {
+      const flow = await DatabaseQueries.getWhatsAppFlow(req.params.id, shop);
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+      toRevisionId = flow.current_revision_id;
+    }
+    
+    const from = await findFlowRevision(req, res, req.query.from);
+    if (!from) return;
+    const to = await findFlowRevision(req, res, toRevisionId);
+    if (!to) return;
+    
+    res.json({ success: true, ...FlowRevisions.diff(from, to) });
+  } catch (error) {
+    console.error('Error comparing flow revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make an old revision the flow's content again (recorded as a new revision)
+app.post('/api/whatsapp-flows/:id/revisions/:revisionId/restore', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const revision = await findFlowRevision(req, res, req.params.revisionId);
+    if (!revision) return;
+    
+    const result = await FlowRevisions.restore(shop, revision);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+    res.json({
+      success: true,
+      revisionId: result.revisionId,
+      message: `Flow restored to revision ${revision.revision_number}`
+    });
+  } catch (error) {
+    console.error('Error restoring flow revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== FLOW EXPERIMENTS API ==========
+
+// Load an experiment for the request's shop or answer 404
+async function findExperiment(req, res) {
+  const experiment = await DatabaseQueries.getExperiment(req.shop, req.params.id);
+  if (!experiment) {
+    res.status(404).json({ error: 'Experiment not found' });
+  }
+  return experiment;
+}
+
+app.get('/api/experiments', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const experiments = await DatabaseQueries.getExperiments(shop);
+    for (const experiment of experiments) {
+      experiment.variants = await DatabaseQueries.getExperimentVariants(experiment.id);
+    }
+    res.json({ success: true, experiments, defaults: Experiments.getDefaults() });
+  } catch (error) {
+    console.error('Error fetching experiments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start an A/B test. Body: name, flowType, language, variants [{ flowId,
+// name, weight }] (the first is the control), autoPromote, minSampleSize,
+// confidenceLevel, attributionDays.
+app.post('/api/experiments', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const validationError = await Experiments.validate(shop, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const experimentId = await Experiments.create(shop, req.body);
+    res.json({ success: true, experimentId, message: 'Experiment started' });
+  } catch (error) {
+    console.error('Error creating experiment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conversion rates with confidence intervals, lift over the control and the
+// winner decision
+app.get('/api/experiments/:id/results', async (req, res) => {
+  try {
+    const experiment = await findExperiment(req, res);
+    if (!experiment) return;
+    res.json({ success: true, ...(await Experiments.getResults(experiment)) });
+  } catch (error) {
+    console.error('Error fetching experiment results:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End the experiment and keep variantId's flow (body) as the active flow
+app.post('/api/experiments/:id/promote', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const experiment = await findExperiment(req, res);
+    if (!experiment) return;
+    if (experiment.status !== 'running') {
+      return res.status(400).json({ error: 'Experiment is not running' });
+    }
+    const winner = await Experiments.promote(shop, experiment, req.body.variantId, 'Promoted manually');
+    res.json({ success: true, message: `${winner.name} promoted` });
+  } catch (error) {
+    console.error('Error promoting experiment variant:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// End the experiment without changing any flow
+app.post('/api/experiments/:id/stop', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const experiment = await findExperiment(req, res);
+    if (!experiment) return;
+    const result = await Experiments.stop(shop, experiment);
+    if (result.changes === 0) {
+      return res.status(400).json({ error: 'Experiment is not running' });
+    }
+    res.json({ success: true, message: 'Experiment stopped' });
+  } catch (error) {
+    console.error('Error stopping experiment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== DISCOUNT CODES API ==========
+
+// Codes issued to customers, with the message each went out in and the
+// order it was redeemed on. Query: status = active | used | expired
+app.get('/api/discount-codes', async (req, res) => {
+  const shop = req.shop;
+
+  try {
+    const [codes, summary] = await Promise.all([
+      DatabaseQueries.getDiscountCodes(shop, {
+        status: req.query.status || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+      }),
+      DatabaseQueries.getDiscountCodeSummary(shop)
+    ]);
+    res.json({ success: true, codes, summary });
+  } catch (error) {
+    console.error('Error fetching discount codes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Orders credited to WhatsApp messages, newest first, with the 30-day totals
+app.get('/api/attributions', async (req, res) => {
+  const shop = req.shop;
+
+  try {
+    const [attributions, summary, settings] = await Promise.all([
+      DatabaseQueries.getOrderAttributions(shop, Math.min(parseInt(req.query.limit, 10) || 50, 500)),
+      RevenueAttribution.getSummary(shop, 30),
+      DatabaseQueries.getAutomationSettings(shop)
+    ]);
+    res.json({
+      success: true,
+      attributions,
+      summary,
+      model: settings.attributionModel,
+      windowDays: settings.attributionWindowDays
+    });
+  } catch (error) {
+    console.error('Error fetching order attributions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== CAMPAIGNS API ==========
+
+// List campaigns for shop
+app.get('/api/campaigns', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const campaigns = await DatabaseQueries.getCampaigns(shop);
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single campaign
+app.get('/api/campaigns/:id', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const campaign = await DatabaseQueries.getCampaign(shop, req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Count opted-in customers in a target audience
+app.get('/api/campaign-audience', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const count = await DatabaseQueries.countCampaignAudience(shop, req.query.audience);
+    res.json({ success: true, audience: req.query.audience || 'all', count });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create campaign (draft, or scheduled when scheduledAt is given)
+app.post('/api/campaigns', async (req, res) => {
+  const shop = req.shop;
+  const { campaignName, campaignType, messageTemplate, targetAudience, scheduledAt } = req.body;
+  
+  if (!campaignName || !messageTemplate) {
+    return res.status(400).json({ error: 'Campaign name and message are required' });
+  }
+  
+  try {
+    DatabaseQueries.buildAudienceFilter(targetAudience);
+    TemplateEngine.parse(messageTemplate);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const campaignId = await DatabaseQueries.createCampaign({
+      shop_domain: shop,
+      campaign_name: campaignName,
+      campaign_type: campaignType,
+      message_template: messageTemplate,
+      target_audience: targetAudience,
+      scheduled_at: scheduledAt || null,
+      status: scheduledAt ? 'scheduled' : 'draft'
+    });
+    res.json({ success: true, campaignId, message: 'Campaign created successfully' });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a draft or scheduled campaign
+app.put('/api/campaigns/:id', async (req, res) => {
+  const shop = req.shop;
+  const { campaignName, campaignType, messageTemplate, targetAudience, scheduledAt } = req.body;
+  
+  if (!campaignName || !messageTemplate) {
+    return res.status(400).json({ error: 'Campaign name and message are required' });
+  }
+  
+  try {
+    DatabaseQueries.buildAudienceFilter(targetAudience);
+    TemplateEngine.parse(messageTemplate);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const result = await DatabaseQueries.updateCampaign(shop, req.params.id, {
+      campaign_name: campaignName,
+      campaign_type: campaignType,
+      message_template: messageTemplate,
+      target_audience: targetAudience,
+      scheduled_at: scheduledAt || null,
+      status: scheduledAt ? 'scheduled' : 'draft'
+    });
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Campaign not found or already sent' });
+    }
+    res.json({ success: true, message: 'Campaign updated successfully' });
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule a campaign (immediately when no scheduledAt is given)
+app.post('/api/campaigns/:id/schedule', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const result = await DatabaseQueries.scheduleCampaign(shop, req.params.id, req.body.scheduledAt);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Campaign not found or already sent' });
+    }
+    
+    // Sends right away instead of waiting for the next scheduler pass
+    if (!req.body.scheduledAt) {
+      const campaign = await DatabaseQueries.getCampaign(shop, req.params.id);
+      NotificationScheduler.runCampaign(campaign).catch(error => {
+        console.error('Error running campaign:', error);
+      });
+    }
+    
+    res.json({ success: true, message: 'Campaign scheduled successfully' });
+  } catch (error) {
+    console.error('Error scheduling campaign:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move a scheduled campaign back to draft
+app.post('/api/campaigns/:id/cancel', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const result = await DatabaseQueries.unscheduleCampaign(shop, req.params.id);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Only scheduled campaigns can be cancelled' });
+    }
+    res.json({ success: true, message: 'Campaign moved back to draft' });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete campaign
+app.delete('/api/campaigns/:id', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const result = await DatabaseQueries.deleteCampaign(shop, req.params.id);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Campaign not found or currently sending' });
+    }
+    res.json({ success: true, message: 'Campaign deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== MESSAGE QUEUE API ==========
+
+// Queue depth by status plus the most recent dead-lettered sends
+app.get('/api/message-queue', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const [summary, deadJobs] = await Promise.all([
+      DatabaseQueries.getMessageQueueSummary(shop),
+      DatabaseQueries.getDeadMessageJobs(shop)
+    ]);
+    res.json({ success: true, summary, deadJobs });
+  } catch (error) {
+    console.error('Error fetching message queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put a dead-lettered send back on the queue
+app.post('/api/message-queue/:id/retry', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const result = await DatabaseQueries.requeueDeadMessageJob(shop, req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Dead-lettered message not found' });
+    }
+    MessageQueue.processQueue();
+    res.json({ success: true, message: 'Message requeued' });
+  } catch (error) {
+    console.error('Error requeueing message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== WHATSAPP SENDERS API ==========
+
+// WhatsApp numbers owned by the shop; inbound messages to them route to this shop
+app.get('/api/whatsapp-senders', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const senders = await DatabaseQueries.getWhatsAppSenders(shop);
+    res.json({ success: true, senders });
+  } catch (error) {
+    console.error('Error fetching WhatsApp senders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/whatsapp-senders', async (req, res) => {
+  const shop = req.shop;
+  const { phoneNumber, label, isDefault, externalId } = req.body;
+  
+  const digits = (phoneNumber || '').replace('whatsapp:', '').replace(/\D/g, '');
+  if (digits.length < 8) {
+    return res.status(400).json({ error: 'A valid WhatsApp phone number is required' });
+  }
+  
+  try {
+    const id = await DatabaseQueries.addWhatsAppSender(shop, {
+      phone_number: `+${digits}`,
+      label: label || null,
+      is_default: !!isDefault,
+      external_id: externalId || null
+    });
+    ClientFactory.invalidate(shop);
+    res.json({ success: true, id, phoneNumber: `+${digits}` });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This number is already registered to a shop' });
+    }
+    console.error('Error adding WhatsApp sender:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/whatsapp-senders/:id/default', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const result = await DatabaseQueries.setDefaultWhatsAppSender(shop, req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Sender not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error setting default WhatsApp sender:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/whatsapp-senders/:id', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const result = await DatabaseQueries.deleteWhatsAppSender(shop, req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Sender not found' });
+    }
+    ClientFactory.invalidate(shop);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting WhatsApp sender:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== WHATSAPP PROVIDER SETTINGS API ==========
+
+// Shop's own provider account (Twilio or Meta Cloud API); secrets are never
+// returned, only the last 4 characters of the token
+app.get('/api/whatsapp-provider', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const [credentials, senders] = await Promise.all([
+      DatabaseQueries.getProviderCredentials(shop),
+      DatabaseQueries.getWhatsAppSenders(shop)
+    ]);
+    
+    let tokenHint = null;
+    let hasAppSecret = false;
+    let businessAccountId = null;
+    if (credentials) {
+      const secrets = decryptJSON(credentials.encrypted_secrets);
+      const token = secrets.authToken || secrets.accessToken || '';
+      tokenHint = `••••${token.slice(-4)}`;
+      hasAppSecret = !!secrets.appSecret;
+      businessAccountId = secrets.businessAccountId || null;
+    }
+    
+    const defaultClient = ClientFactory.getDefaultClient();
+    res.json({
+      success: true,
+      provider: credentials?.provider || defaultClient?.provider.name || 'twilio',
+      source: credentials ? 'shop' : (defaultClient ? 'env' : null),
+      accountId: credentials?.account_id || null,
+      tokenHint,
+      hasAppSecret,
+      businessAccountId,
+      senders
+    });
+  } catch (error) {
+    console.error('Error fetching WhatsApp provider settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Twilio: accountId = Account SID, token = auth token.
+// Meta: accountId = phone number ID, token = access token, appSecret = app secret,
+// businessAccountId = WhatsApp Business Account ID (template approval sync).
+app.put('/api/whatsapp-provider', async (req, res) => {
+  const shop = req.shop;
+  const { provider = 'twilio', accountId, token, appSecret, businessAccountId } = req.body;
+  
+  if (!['twilio', 'meta'].includes(provider)) {
+    return res.status(400).json({ error: 'Provider must be twilio or meta' });
+  }
+  if (provider === 'twilio' && !ClientFactory.isValidAccountSid(accountId)) {
+    return res.status(400).json({ error: 'A valid Twilio Account SID (starting with AC) is required' });
+  }
+  if (provider === 'meta' && !/^\d+$/.test(accountId || '')) {
+    return res.status(400).json({ error: 'A valid Meta phone number ID is required' });
+  }
+  
+  try {
+    // Blank secret fields keep the saved values when the account is unchanged
+    const existing = await DatabaseQueries.getProviderCredentials(shop);
+    const saved = existing && existing.provider === provider && existing.account_id === accountId
+      ? decryptJSON(existing.encrypted_secrets)
+      : {};
+    
+    const secrets = provider === 'meta'
+      ? {
+          accessToken: token || saved.accessToken,
+          appSecret: appSecret || saved.appSecret,
+          businessAccountId: businessAccountId || saved.businessAccountId
+        }
+      : { authToken: token || saved.authToken };
+    
+    if (!secrets.authToken && !secrets.accessToken) {
+      return res.status(400).json({ error: provider === 'meta' ? 'Access token is required' : 'Auth token is required' });
+    }
+    
+    await DatabaseQueries.saveProviderCredentials(shop, {
+      provider,
+      account_id: accountId,
+      encrypted_secrets: encryptJSON(secrets)
+    });
+    ClientFactory.invalidate(shop);
+    
+    console.log(`✅ WhatsApp provider credentials (${provider}) saved for ${shop}`);
+    res.json({ success: true, message: 'Credentials saved' });
+  } catch (error) {
+    console.error('Error saving WhatsApp provider settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/whatsapp-provider', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    await DatabaseQueries.deleteProviderCredentials(shop);
+    ClientFactory.invalidate(shop);
+    res.json({ success: true, message: 'Credentials removed' });
+  } catch (error) {
+    console.error('Error removing WhatsApp provider settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a message straight away (not queued) to check the credentials and sender number
+app.post('/api/whatsapp-provider/test', async (req, res) => {
+  const shop = req.shop;
+  const { phone } = req.body;
+  
+  const digits = (phone || '').replace(/\D/g, '');
+  if (!digits) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+  
+  try {
+    const shopClient = await ClientFactory.getShopClient(shop);
+    if (!shopClient) {
+      return res.status(400).json({ error: 'WhatsApp provider not configured' });
+    }
+    if (!shopClient.fromNumber) {
+      return res.status(400).json({ error: 'Add a WhatsApp sender number first' });
+    }
+    
+    const message = await shopClient.provider.sendText({
+      body: `✅ Test message from ${shop.replace('.myshopify.com', '')}. Your WhatsApp settings are working!`,
+      from: shopClient.fromNumber,
+      to: `+${digits}`
+    });
+    
+    res.json({ success: true, messageSid: message.messageId, from: shopClient.fromNumber, source: shopClient.source });
+  } catch (error) {
+    console.error('Error sending WhatsApp provider test:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== APPROVED WHATSAPP TEMPLATES ==========
+// Maps notification types to provider templates used outside the 24h session window
+
+app.get('/api/whatsapp-templates', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const registered = await DatabaseQueries.getWhatsAppTemplates(shop);
+    const defaults = NotificationManager.templates.en;
+    
+    const templates = Object.keys(defaults).map(type => ({
+      notificationType: type,
+      defaultVariables: TemplateRegistry.getPlaceholderKeys(defaults[type]),
+      registered: registered
+        .filter(t => t.template_type === type)
+        .map(t => ({
+          id: t.id,
+          templateName: t.template_name,
+          contentSid: t.provider_template_id,
+          language: t.language,
+          variables: JSON.parse(t.variables || '[]'),
+          content: t.content,
+          isActive: !!t.is_active,
+          approvalStatus: t.approval_status,
+          rejectionReason: t.rejection_reason,
+          lastSyncedAt: t.last_synced_at,
+          usageCount: t.usage_count
+        }))
+    }));
+    
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('Error fetching WhatsApp templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/whatsapp-templates/:type', async (req, res) => {
+  const shop = req.shop;
+  const { type } = req.params;
+  const { templateName, contentSid, language = 'en', variables, content, isActive } = req.body;
+  
+  const defaultTemplate = NotificationManager.templates.en[type];
+  if (!defaultTemplate) {
+    return res.status(400).json({ error: `Unknown notification type: ${type}` });
+  }
+  if (!templateName) {
+    return res.status(400).json({ error: 'Template name is required' });
+  }
+  if (contentSid && !/^HX[0-9a-f]{32}$/i.test(contentSid)) {
+    return res.status(400).json({ error: 'Content SID must start with HX' });
+  }
+  if (variables !== undefined && (!Array.isArray(variables) || variables.some(key => typeof key !== 'string'))) {
+    return res.status(400).json({ error: 'Variables must be a list of data keys' });
+  }
+  if (!LanguageResolver.getSupportedLanguages().includes(language)) {
+    return res.status(400).json({ error: `Language must be one of: ${LanguageResolver.getSupportedLanguages().join(', ')}` });
+  }
+  
+  try {
+    await DatabaseQueries.saveWhatsAppTemplate(shop, {
+      template_type: type,
+      template_name: templateName,
+      language,
+      content,
+      variables: variables || TemplateRegistry.getPlaceholderKeys(defaultTemplate),
+      provider_template_id: contentSid || null,
+      is_active: isActive !== false
+    });
+    
+    // Pick up the approval status straight away; a failed lookup is retried by the scheduler
+    let sync = [];
+    try {
+      sync = await TemplateRegistry.syncApprovals(shop);
+    } catch (syncError) {
+      console.warn('⚠️ Template approval sync failed:', syncError.message);
+    }
+    
+    res.json({ success: true, sync });
+  } catch (error) {
+    console.error('Error saving WhatsApp template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/whatsapp-templates/:type', async (req, res) => {
+  const shop = req.shop;
+  const language = req.query.language || 'en';
+  
+  if (!LanguageResolver.getSupportedLanguages().includes(language)) {
+    return res.status(400).json({ error: `Language must be one of: ${LanguageResolver.getSupportedLanguages().join(', ')}` });
+  }
+  
+  try {
+    const result = await DatabaseQueries.deleteWhatsAppTemplate(shop, req.params.type, language);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting WhatsApp template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/whatsapp-templates/sync', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const results = await TemplateRegistry.syncApprovals(shop);
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error syncing WhatsApp templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get real customer data from Shopify
+app.get('/api/customers', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const shopData = await DatabaseQueries.getShop(shop);
+    if (!shopData?.access_token) {
+      return res.status(401).json({ error: 'Shop not authenticated' });
+    }
+
+    // Create session for Shopify API calls
+    const { Session } = require('@shopify/shopify-api');
+    const session = new Session({
+      id: `offline_${shop}`,
+      shop: shop,
+      state: '',
+      isOnline: false,
+      accessToken: shopData.access_token,
+      scope: process.env.SHOPIFY_SCOPES
+    });
+
+    const client = new shopify.api.clients.Graphql({ session });
+    
+    // Get customers with their order history and phone numbers
+    const customersQuery = `
+      query getCustomers($first: Int!) {
+        customers(first: $first) {
+          edges {
             node {
               id
               firstName
@@ -1736,46 +2818,87 @@ app.get('/api/campaign-analytics', async (req, res) => {
   
   try {
     // Get all messages sent from database grouped by type
-    const messages = await DatabaseQueries.getShopMessages(shop);
-    
-    // Group messages by template type for campaign analysis
+    const [messages, linkStats, revenueByType] = await Promise.all([
+      DatabaseQueries.getShopMessages(shop),
+      LinkTracker.getStats(shop, 'message_type'),
+      RevenueAttribution.getBreakdown(shop, 'message_type')
+    ]);
+    const isDelivered = message => ['sent', 'delivered', 'read'].includes(message.twilio_status);
+    
+    // Group outbound messages by message type for campaign analysis
     const campaignStats = {};
     
-    messages.forEach(message => {
-      const template = message.template_id || 'custom';
-      if (!campaignStats[template]) {
-        campaignStats[template] = {
-          name: template.replace('_', ' ').toUpperCase(),
+    messages.filter(message => message.direction !== 'inbound').forEach(message => {
+      const type = message.message_type || 'custom';
+      if (!campaignStats[type]) {
+        campaignStats[type] = {
+          type,
+          name: type.replace(/_/g, ' ').toUpperCase(),
           messagesSent: 0,
           delivered: 0,
-          clicked: 0, // This would need tracking implementation
-          revenue: 0  // This would need attribution tracking
+          orders: revenueByType[type]?.orders || 0,
+          revenue: revenueByType[type]?.revenue || 0
         };
       }
       
-      campaignStats[template].messagesSent++;
-      if (message.status === 'delivered' || message.status === 'sent') {
-        campaignStats[template].delivered++;
+      campaignStats[type].messagesSent++;
+      if (isDelivered(message)) {
+        campaignStats[type].delivered++;
       }
     });
 
-    // Convert to array and calculate rates
+    // Convert to array and calculate rates. Click-through rate is the share
+    // of messages with tracked links that had at least one click; revenue is
+    // the value of the orders attributed to the message type.
     const campaigns = Object.keys(campaignStats).map(key => {
       const stats = campaignStats[key];
+      const links = linkStats[key] || { messagesWithLinks: 0, clickedMessages: 0, clicks: 0, clickRate: '0' };
       return {
         ...stats,
+        messagesWithLinks: links.messagesWithLinks,
+        clicked: links.clickedMessages,
+        clicks: links.clicks,
         deliveryRate: stats.messagesSent > 0 ? 
           ((stats.delivered / stats.messagesSent) * 100).toFixed(1) : '0',
-        clickRate: '12.8', // Mock for now - would need click tracking
-        roi: '+320%' // Mock for now - would need revenue attribution
+        clickRate: links.clickRate,
+        roi: RevenueAttribution.getRoi(stats.revenue, stats.messagesSent)
       };
     });
 
+    const totals = Object.values(linkStats).reduce((sum, links) => ({
+      messagesWithLinks: sum.messagesWithLinks + links.messagesWithLinks,
+      clickedMessages: sum.clickedMessages + links.clickedMessages,
+      clicks: sum.clicks + links.clicks
+    }), { messagesWithLinks: 0, clickedMessages: 0, clicks: 0 });
+
+    // Click-through rate and attributed revenue per custom flow
+    const [flowLinkStats, flowRevenue] = await Promise.all([
+      LinkTracker.getStats(shop, 'flow_id'),
+      RevenueAttribution.getBreakdown(shop, 'flow_id')
+    ]);
+    const flows = (await DatabaseQueries.getWhatsAppFlows(shop))
+      .filter(flow => flowLinkStats[flow.id] || flowRevenue[flow.id])
+      .map(flow => ({
+        flowId: flow.id,
+        name: flow.flow_name,
+        flowType: flow.flow_type,
+        ...(flowLinkStats[flow.id] || { messagesWithLinks: 0, clickedMessages: 0, clicks: 0, clickRate: '0' }),
+        orders: flowRevenue[flow.id]?.orders || 0,
+        revenue: flowRevenue[flow.id]?.revenue || 0
+      }));
+    const totalRevenue = Object.values(revenueByType).reduce((sum, entry) => sum + entry.revenue, 0);
+
     res.json({
       success: true,
       campaigns: campaigns,
+      flows,
       totalMessages: messages.length,
-      totalDelivered: messages.filter(m => m.status === 'delivered' || m.status === 'sent').length
+      totalDelivered: messages.filter(isDelivered).length,
+      totalClicks: totals.clicks,
+      totalRevenue,
+      clickRate: totals.messagesWithLinks > 0
+        ? ((totals.clickedMessages / totals.messagesWithLinks) * 100).toFixed(1)
+        : '0'
     });
     
   } catch (error) {
@@ -1787,57 +2910,240 @@ app.get('/api/campaign-analytics', async (req, res) => {
   }
 });
 
+// ========== TEAM INBOX ==========
+// Conversation threads are kept up to date by MessageQueue.enqueue (outbound)
+// and handleInboundMessage (inbound). Staff are identified by the session
+// token's user id (sub); assignedTo 'me' resolves to it.
+
+const CONVERSATION_STATUSES = ['open', 'pending', 'closed'];
+
+function getStaffId(req) {
+  return req.tokenPayload?.sub ? String(req.tokenPayload.sub) : null;
+}
+
+function formatConversation(row) {
+  return {
+    id: row.id,
+    name: row.display_name || row.customer_name || 'Unknown Customer',
+    phone: row.customer_phone,
+    status: row.status,
+    assignedTo: row.assigned_to,
+    lastMessage: row.last_message || 'No message',
+    lastDirection: row.last_direction || null,
+    time: row.last_message_at,
+    unread: row.unread_count || 0,
+    messageCount: row.messages_count || 0,
+    notesCount: row.notes_count || 0,
+    closedAt: row.closed_at,
+    sessionWindow: SessionWindow.describe(row.last_inbound_at)
+  };
+}
+
+// Load a thread for the request's shop or answer 404
+async function findConversation(req, res) {
+  const conversation = await DatabaseQueries.getConversationById(req.shop, req.params.id);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+  }
+  return conversation;
+}
+
 // Get recent conversations
 app.get('/api/recent-conversations', async (req, res) => {
   const shop = req.shop;
   
   try {
-    // Get recent WhatsApp messages from database
-    const messages = await DatabaseQueries.getRecentConversations(shop);
+    const rows = await DatabaseQueries.listConversations(shop, { limit: 20 });
+    res.json({
+      success: true,
+      conversations: rows.map(formatConversation)
+    });
     
-    // Group messages by customer phone number
-    const conversationsMap = new Map();
+  } catch (error) {
+    console.error('Error fetching recent conversations:', error);
     
-    messages.forEach(message => {
-      const phone = message.customer_phone;
-      if (!conversationsMap.has(phone)) {
-        conversationsMap.set(phone, {
-          name: message.customer_name || 'Unknown Customer',
-          phone: phone,
-          lastMessage: message.message_body || 'No message',
-          time: message.created_at,
-          unread: 0,
-          messageCount: 0
-        });
-      }
-      
-      const conv = conversationsMap.get(phone);
-      conv.messageCount++;
-      
-      // Keep the most recent message
-      if (new Date(message.created_at) > new Date(conv.time)) {
-        conv.lastMessage = message.message_body || 'No message';
-        conv.time = message.created_at;
-      }
+    // Fallback: return empty conversations
+    res.json({ 
+      success: true,
+      conversations: []
     });
+  }
+});
 
-    const conversations = Array.from(conversationsMap.values())
-      .sort((a, b) => new Date(b.time) - new Date(a.time))
-      .slice(0, 20); // Limit to 20 recent conversations
+// Inbox thread list: ?status=open|pending|closed&assignedTo=me|unassigned|<staff id>&search=
+app.get('/api/conversations', async (req, res) => {
+  const shop = req.shop;
+  const { status, search } = req.query;
+  let { assignedTo } = req.query;
+  
+  if (status && !CONVERSATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${CONVERSATION_STATUSES.join(', ')}` });
+  }
+  if (assignedTo === 'me') {
+    assignedTo = getStaffId(req);
+  }
+  
+  try {
+    const [rows, summary] = await Promise.all([
+      DatabaseQueries.listConversations(shop, {
+        status: status || null,
+        assignedTo: assignedTo || null,
+        search: search || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      }),
+      DatabaseQueries.getInboxSummary(shop)
+    ]);
+    
+    res.json({ success: true, conversations: rows.map(formatConversation), summary, staffId: getStaffId(req) });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// One thread with its messages and internal notes
+app.get('/api/conversations/:id', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+    
+    const [messages, notes] = await Promise.all([
+      DatabaseQueries.getCustomerMessages(shop, conversation.customer_phone),
+      DatabaseQueries.getConversationNotes(shop, conversation.id)
+    ]);
+    
     res.json({
       success: true,
-      conversations: conversations
+      conversation: formatConversation({ ...conversation, notes_count: notes.length }),
+      messages,
+      notes
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change status and/or assignment: { status, assignedTo } (assignedTo null unassigns)
+app.patch('/api/conversations/:id', async (req, res) => {
+  const shop = req.shop;
+  const { status } = req.body;
+  let { assignedTo } = req.body;
+  
+  if (status !== undefined && !CONVERSATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${CONVERSATION_STATUSES.join(', ')}` });
+  }
+  if (assignedTo === 'me') {
+    assignedTo = getStaffId(req);
+  }
+  
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+    
+    await DatabaseQueries.updateConversation(shop, conversation.id, {
+      status,
+      assigned_to: assignedTo === undefined ? undefined : (assignedTo || null)
     });
     
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching recent conversations:', error);
+    console.error('Error updating conversation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/conversations/:id/read', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
     
-    // Fallback: return empty conversations
-    res.json({ 
+    await DatabaseQueries.markConversationRead(shop, conversation.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Internal notes are only visible to staff, never sent to the customer
+app.post('/api/conversations/:id/notes', async (req, res) => {
+  const shop = req.shop;
+  const { body, author } = req.body;
+  
+  if (!body || !body.trim()) {
+    return res.status(400).json({ error: 'Note text is required' });
+  }
+  
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+    
+    const noteId = await DatabaseQueries.addConversationNote(shop, conversation.id, {
+      author: author || getStaffId(req),
+      body: body.trim()
+    });
+    res.json({ success: true, noteId });
+  } catch (error) {
+    console.error('Error adding conversation note:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reply to the customer; subject to the 24-hour session window like /api/send-message
+app.post('/api/conversations/:id/reply', async (req, res) => {
+  const shop = req.shop;
+  const { message } = req.body;
+  
+  if (!message || !message.trim()) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+    
+    const result = await NotificationManager.sendCustomMessage(
+      shop,
+      conversation.customer_phone,
+      message.trim(),
+      null,
+      conversation.customer_name
+    );
+    
+    if (!result.success) {
+      return res.status(result.sessionClosed ? 409 : 500).json({ error: result.error, sessionWindow: result.sessionWindow });
+    }
+    
+    await DatabaseQueries.markConversationRead(shop, conversation.id);
+    
+    res.json({
       success: true,
-      conversations: []
+      messageId: result.messageId,
+      status: result.status,
+      sentAsTemplate: result.sentAsTemplate,
+      sessionWindow: result.sessionWindow
     });
+  } catch (error) {
+    console.error('Error replying to conversation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 24-hour session window for one customer: free-form replies are only allowed while it is open
+app.get('/api/session-window/:phone', async (req, res) => {
+  const shop = req.shop;
+  
+  try {
+    const sessionWindow = await SessionWindow.getWindow(shop, toE164(req.params.phone));
+    res.json({ success: true, phone: toE164(req.params.phone), sessionWindow });
+  } catch (error) {
+    console.error('Error fetching session window:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -1860,45 +3166,33 @@ app.post('/api/send-message', async (req, res) => {
     }
     formattedPhone = '+' + formattedPhone;
 
-    // Send message using Twilio
-    if (twilioClient) {
-      const twilioMessage = await twilioClient.messages.create({
-        body: message,
-        from: 'whatsapp:+14155238886', // Twilio Sandbox number
-        to: `whatsapp:${formattedPhone}`
-      });
-
-      // Save message to database
-      await DatabaseQueries.saveWhatsAppMessage({
-        shop_domain: shop,
-        customer_phone: formattedPhone,
-        customer_name: customerName || 'Unknown',
-        message_body: message,
-        direction: 'outbound',
-        message_sid: twilioMessage.sid,
-        status: 'sent',
-        template_id: 'manual_message'
-      });
+    const result = await NotificationManager.sendCustomMessage(
+      shop,
+      formattedPhone,
+      message,
+      null,
+      customerName || null
+    );
 
-      res.json({
-        success: true,
-        message: 'Message sent successfully',
-        messageSid: twilioMessage.sid
-      });
-    } else {
-      // Mock response if Twilio not configured
-      console.log('📱 MOCK: Would send WhatsApp message:', {
-        to: formattedPhone,
-        message: message,
-        shop: shop
-      });
-      
-      res.json({
-        success: true,
-        message: 'Message sent successfully (mock mode)',
-        messageSid: 'mock-' + Date.now()
+    if (result.sessionClosed) {
+      return res.status(409).json({
+        error: result.error,
+        sessionWindow: result.sessionWindow
       });
     }
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    res.json({
+      success: true,
+      message: result.sentAsTemplate
+        ? 'Session window closed; message queued as the approved template'
+        : 'Message queued for delivery',
+      messageId: result.messageId,
+      status: result.status,
+      sessionWindow: result.sessionWindow
+    });
     
   } catch (error) {
     console.error('Error sending WhatsApp message:', error);
@@ -1956,7 +3250,7 @@ app.post('/test-order-webhook', async (req, res) => {
       first_name: 'Test',
       last_name: 'Customer'
     },
-    currency: 'USD',
+    created_at: new Date().toISOString(),
     current_total_price: '99.99',
     total_price: '99.99',
     line_items: [
@@ -1993,20 +3287,7 @@ app.post('/test-order-webhook', async (req, res) => {
         shop,
         `+${phone}`,
         'order_placed',
-        {
-          customer_name: testOrderData.customer.first_name || 'Customer',
-          order_number: testOrderData.name,
-          currency: testOrderData.currency || 'USD',
-          total_price: testOrderData.current_total_price || testOrderData.total_price,
-          items: testOrderData.line_items?.map(item => ({
-            name: item.name,
-            quantity: item.quantity,
-            price: item.price
-          })),
-          shipping_address: testOrderData.shipping_address,
-          delivery_estimate: '3-5 business days',
-          order_status_url: testOrderData.order_status_url
-        }
+        NotificationData.order(shop, testOrderData, await DatabaseQueries.getAutomationSettings(shop))
       );
       
       console.log('✅ Test order confirmation WhatsApp sent to:', phone);
@@ -2016,7 +3297,7 @@ app.post('/test-order-webhook', async (req, res) => {
         message: 'Test order webhook processed successfully',
         order_number: testOrderData.name,
         phone: phone,
-        messageSid: result?.sid
+        messageId: result?.messageId
       });
     } else {
       res.json({
@@ -2248,6 +3529,22 @@ app.get('/api/whatsapp/public-settings', async (req, res) => {
   }
 });
 
+// Tracked short links from outbound messages (no auth: opened by customers)
+app.get('/l/:token', async (req, res) => {
+  try {
+    const destination = await LinkTracker.click(req.params.token, req.get('User-Agent'));
+    if (!destination) {
+      return res.status(404).send('Link not found');
+    }
+    // Every open must reach the server to be counted
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, destination);
+  } catch (error) {
+    console.error('Error following tracked link:', error);
+    res.status(500).send('Link unavailable');
+  }
+});
+
 // Check installation status
 app.get('/api/whatsapp/installation-status', async (req, res) => {
   const shop = req.shop;
@@ -2419,6 +3716,9 @@ async function startServer() {
     await initializeDatabase();
     console.log('✅ Database initialized');
     
+    // Deliver anything left queued from before a restart
+    MessageQueue.start();
+    
     app.listen(PORT, () => {
       console.log(`🚀 Shopify CLI compatible server running on port ${PORT}`);
       console.log(`📱 WhatsApp ready with Shopify CLI authentication`);
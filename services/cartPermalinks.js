@@ -0,0 +1,83 @@
+// services/cartPermalinks.js
+// Cart permalinks for abandoned cart reminders. Shopify's
+// abandoned_checkout_url expires and only works on the device the checkout
+// was started on, so reminders link to https://<shop>/cart/<variant>:<qty>,...
+// instead, rebuilt from the line_items stored with the cart. The link sets
+// the whatsapp_cart cart attribute to the abandoned_carts id (it comes back
+// in the order's note_attributes, so the order can be matched to the cart
+// even though it is a new checkout) and, when the message carries a code,
+// the discount parameter. MessageQueue then swaps it for a tracked short
+// link like any other URL. The checkout URL is only used when the stored
+// items cannot be turned into a permalink.
+const CART_ATTRIBUTE = 'whatsapp_cart';
+
+const PERMALINK_PATH = /^\/cart\/\d+:\d+(,\d+:\d+)*$/;
+
+class CartPermalinks {
+  // variant:quantity pairs for the stored items, merging repeated variants;
+  // null when an item has no variant (custom line items) or no quantity
+  getVariantQuantities(lineItems) {
+    const items = typeof lineItems === 'string' ? JSON.parse(lineItems || '[]') : lineItems || [];
+    if (items.length === 0) {
+      return null;
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+      const variantId = String(item.variant_id ?? '');
+      const quantity = parseInt(item.quantity, 10);
+      if (!/^\d+$/.test(variantId) || !(quantity > 0)) {
+        return null;
+      }
+      quantities.set(variantId, (quantities.get(variantId) || 0) + quantity);
+    }
+    return [...quantities].map(([variantId, quantity]) => `${variantId}:${quantity}`);
+  }
+
+  // Permalink for an abandoned_carts row (or checkout payload), or null
+  build(shopDomain, cart, { discountCode = null } = {}) {
+    let pairs;
+    try {
+      pairs = this.getVariantQuantities(cart.line_items);
+    } catch (error) {
+      console.warn(`⚠️ Could not read line items for cart ${cart.id || cart.checkout_id}: ${error.message}`);
+      return null;
+    }
+    if (!pairs) {
+      return null;
+    }
+
+    const url = new URL(`https://${shopDomain}/cart/${pairs.join(',')}`);
+    if (cart.id) {
+      url.searchParams.set(`attributes[${CART_ATTRIBUTE}]`, String(cart.id));
+    }
+    return discountCode ? this.withDiscount(url.toString(), discountCode) : url.toString();
+  }
+
+  isPermalink(url) {
+    try {
+      return PERMALINK_PATH.test(new URL(url).pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Apply a discount code through a permalink; other URLs are returned as they are
+  withDiscount(url, discountCode) {
+    if (!discountCode || !this.isPermalink(url)) {
+      return url;
+    }
+    const parsed = new URL(url);
+    parsed.searchParams.set('discount', discountCode);
+    return parsed.toString();
+  }
+
+  // abandoned_carts id an order was placed from through a permalink, or null
+  getCartId(order) {
+    const attribute = (order.note_attributes || []).find(entry => entry.name === CART_ATTRIBUTE);
+    const cartId = parseInt(attribute?.value, 10);
+    return cartId > 0 ? cartId : null;
+  }
+}
+
+module.exports = new CartPermalinks();
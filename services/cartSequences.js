@@ -0,0 +1,128 @@
+// services/cartSequences.js
+// Abandoned cart reminder sequences. Each shop has its own ordered steps,
+// each sent delay_minutes after the cart was abandoned; shops that have not
+// set one up get the 1 hour / 24 hours / 48 hours default. Whether a step is
+// due is worked out from the cart row (reminder_count, last_reminder_at), so
+// a step missed while the server was down goes out on the next pass, and the
+// steps after it keep their spacing instead of all going out at once.
+const DatabaseQueries = require('../database/queries');
+
+const DEFAULT_STEPS = [
+  { delayMinutes: 60, flowId: null, notificationType: 'abandoned_cart_1h' },
+  { delayMinutes: 24 * 60, flowId: null, notificationType: 'abandoned_cart_24h' },
+  { delayMinutes: 48 * 60, flowId: null, notificationType: 'abandoned_cart_final' }
+];
+const MAX_STEPS = 10;
+const MAX_DELAY_MINUTES = 30 * 24 * 60;
+// Checkout links stop working after a while, so older carts get no reminders
+const MAX_CART_AGE_DAYS = 30;
+
+// SQLite CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC) -> ms
+function parseTimestamp(value) {
+  if (!value) return null;
+  const time = Date.parse(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Default template for a step: the first and last reminder have their own,
+// the ones in between share the 24-hour one
+function defaultNotificationType(index, count) {
+  if (index === 0) return 'abandoned_cart_1h';
+  if (index === count - 1) return 'abandoned_cart_final';
+  return 'abandoned_cart_24h';
+}
+
+class CartSequences {
+  getMaxCartAgeDays() {
+    return MAX_CART_AGE_DAYS;
+  }
+
+  // -> { steps: [{ delayMinutes, flowId, notificationType }], isDefault }
+  async getSequence(shopDomain) {
+    const rows = await DatabaseQueries.getCartSequenceSteps(shopDomain);
+    if (rows.length === 0) {
+      return { steps: DEFAULT_STEPS, isDefault: true };
+    }
+    return {
+      steps: rows.map(row => ({
+        delayMinutes: row.delay_minutes,
+        flowId: row.flow_id,
+        notificationType: row.notification_type
+      })),
+      isDefault: false
+    };
+  }
+
+  // Error message for an invalid sequence, or null. steps: [{ delayMinutes, flowId }]
+  async validate(shopDomain, steps) {
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+      return `A sequence needs 1 to ${MAX_STEPS} steps`;
+    }
+
+    let previousDelay = 0;
+    for (const [index, step] of steps.entries()) {
+      const delay = parseInt(step.delayMinutes, 10);
+      if (!(delay >= 1 && delay <= MAX_DELAY_MINUTES)) {
+        return `Step ${index + 1}: delay must be between 1 minute and ${MAX_DELAY_MINUTES / (24 * 60)} days`;
+      }
+      if (delay <= previousDelay) {
+        return `Step ${index + 1} must be sent later than step ${index}`;
+      }
+      previousDelay = delay;
+
+      if (step.flowId) {
+        const flow = await DatabaseQueries.getWhatsAppFlow(step.flowId, shopDomain);
+        if (!flow) {
+          return `Step ${index + 1}: flow ${step.flowId} not found`;
+        }
+        if (flow.flow_type !== 'abandoned_cart') {
+          return `Step ${index + 1}: "${flow.flow_name}" is not an abandoned cart flow`;
+        }
+      }
+    }
+    return null;
+  }
+
+  async save(shopDomain, steps) {
+    const result = await DatabaseQueries.replaceCartSequence(shopDomain, steps.map((step, index) => ({
+      delayMinutes: parseInt(step.delayMinutes, 10),
+      flowId: step.flowId ? parseInt(step.flowId, 10) : null,
+      notificationType: defaultNotificationType(index, steps.length)
+    })));
+    console.log(`🛒 Abandoned cart sequence saved for ${shopDomain} (${steps.length} steps)`);
+    return result;
+  }
+
+  // Back to the default sequence
+  async reset(shopDomain) {
+    return DatabaseQueries.replaceCartSequence(shopDomain, []);
+  }
+
+  // The next step for a cart once it is due at `now`, else null. A step is
+  // due delayMinutes after abandonment, and no sooner after the previous
+  // reminder than the sequence spaces them. cart: getCartsAwaitingReminder row
+  getDueStep(cart, steps, now = Date.now()) {
+    const index = cart.reminder_count || 0;
+    const step = steps[index];
+    const abandonedAt = parseTimestamp(cart.created_at);
+    if (!step || abandonedAt === null) {
+      return null;
+    }
+
+    let dueAt = abandonedAt + step.delayMinutes * 60 * 1000;
+    // Spacing runs from when the previous reminder went out, which is its
+    // queue time when quiet hours held it back, not when it was claimed
+    const sentTimes = [cart.last_reminder_at, cart.last_reminder_available_at]
+      .map(parseTimestamp)
+      .filter(time => time !== null);
+    const lastReminderAt = sentTimes.length > 0 ? Math.max(...sentTimes) : null;
+    if (index > 0 && lastReminderAt !== null) {
+      const spacing = (step.delayMinutes - steps[index - 1].delayMinutes) * 60 * 1000;
+      dueAt = Math.max(dueAt, lastReminderAt + spacing);
+    }
+
+    return dueAt <= now ? { ...step, stepNumber: index + 1 } : null;
+  }
+}
+
+module.exports = new CartSequences();
@@ -0,0 +1,170 @@
+// services/clientFactory.js
+// Builds the messaging provider and sender number for a shop. Shops with
+// their own credentials (provider_credentials) send from their own Twilio or
+// Meta account and WhatsApp numbers; everyone else falls back to the app-wide
+// account configured in .env (MESSAGING_PROVIDER, default 'twilio'). Every
+// outbound send path goes through getShopClient().
+const DatabaseQueries = require('../database/queries');
+const { decryptJSON } = require('./encryption');
+const { TwilioProvider } = require('./twilio');
+const { MetaWhatsAppProvider } = require('./metaWhatsApp');
+const FakeProvider = require('./fakeProvider');
+const { stripWhatsAppPrefix } = require('./messagingProvider');
+
+function isValidAccountSid(accountSid) {
+  return !!accountSid && accountSid.startsWith('AC') && accountSid !== 'your_twilio_account_sid_here';
+}
+
+function getProviderName() {
+  return (process.env.MESSAGING_PROVIDER || 'twilio').toLowerCase();
+}
+
+class ClientFactory {
+  constructor() {
+    this.clients = new Map();
+    this.defaultClient = undefined;
+  }
+
+  // App-wide account from .env, or null when it is not configured
+  getDefaultClient() {
+    if (this.defaultClient !== undefined) {
+      return this.defaultClient;
+    }
+
+    this.defaultClient = null;
+    try {
+      switch (getProviderName()) {
+        case 'fake':
+          this.defaultClient = {
+            provider: FakeProvider,
+            accountId: 'fake',
+            fromNumber: stripWhatsAppPrefix(process.env.TWILIO_WHATSAPP_NUMBER) || '+15550000000',
+            source: 'env'
+          };
+          break;
+
+        case 'meta':
+          if (process.env.META_ACCESS_TOKEN && process.env.META_PHONE_NUMBER_ID) {
+            this.defaultClient = {
+              provider: new MetaWhatsAppProvider({
+                accessToken: process.env.META_ACCESS_TOKEN,
+                phoneNumberId: process.env.META_PHONE_NUMBER_ID,
+                appSecret: process.env.META_APP_SECRET,
+                businessAccountId: process.env.META_BUSINESS_ACCOUNT_ID
+              }),
+              accountId: process.env.META_PHONE_NUMBER_ID,
+              fromNumber: process.env.META_WHATSAPP_NUMBER || null,
+              source: 'env'
+            };
+          }
+          break;
+
+        default:
+          if (isValidAccountSid(process.env.TWILIO_ACCOUNT_SID) && process.env.TWILIO_AUTH_TOKEN) {
+            this.defaultClient = {
+              provider: new TwilioProvider({
+                accountSid: process.env.TWILIO_ACCOUNT_SID,
+                authToken: process.env.TWILIO_AUTH_TOKEN
+              }),
+              accountId: process.env.TWILIO_ACCOUNT_SID,
+              fromNumber: stripWhatsAppPrefix(process.env.TWILIO_WHATSAPP_NUMBER),
+              source: 'env'
+            };
+          }
+      }
+    } catch (error) {
+      console.error('❌ Failed to initialize messaging provider:', error.message);
+    }
+
+    return this.defaultClient;
+  }
+
+  async buildShopProvider(shopDomain, credentials) {
+    const secrets = decryptJSON(credentials.encrypted_secrets);
+
+    if (credentials.provider === 'meta') {
+      const senders = await DatabaseQueries.getWhatsAppSenders(shopDomain);
+      const senderIds = {};
+      senders.filter(sender => sender.external_id).forEach(sender => {
+        senderIds[sender.phone_number] = sender.external_id;
+      });
+
+      return new MetaWhatsAppProvider({
+        accessToken: secrets.accessToken,
+        phoneNumberId: credentials.account_id,
+        appSecret: secrets.appSecret,
+        businessAccountId: secrets.businessAccountId,
+        senderIds
+      });
+    }
+
+    return new TwilioProvider({ accountSid: credentials.account_id, authToken: secrets.authToken });
+  }
+
+  // Resolves { provider, accountId, fromNumber, source } or null when the shop cannot send
+  async getShopClient(shopDomain) {
+    let shopClient = this.clients.get(shopDomain);
+
+    if (!shopClient) {
+      // Offline mode sends everything through the fake provider
+      const credentials = getProviderName() === 'fake'
+        ? null
+        : await DatabaseQueries.getProviderCredentials(shopDomain);
+
+      if (credentials) {
+        shopClient = {
+          provider: await this.buildShopProvider(shopDomain, credentials),
+          accountId: credentials.account_id,
+          source: 'shop'
+        };
+      } else {
+        shopClient = this.getDefaultClient();
+        if (!shopClient) {
+          return null;
+        }
+      }
+
+      this.clients.set(shopDomain, shopClient);
+    }
+
+    // Sender numbers are looked up on every call so changes apply immediately.
+    // A shop on the shared env account may still send from the env number.
+    const senderNumber = await DatabaseQueries.getDefaultSenderNumber(shopDomain);
+    const fromNumber = senderNumber || (shopClient.source === 'env' ? shopClient.fromNumber : null);
+
+    return { ...shopClient, fromNumber };
+  }
+
+  // Provider for the account a webhook came from, used to check its signature
+  async getProviderForAccount(providerName, accountId) {
+    const defaultClient = this.getDefaultClient();
+    if (defaultClient && (defaultClient.provider.name === 'fake' ||
+        (defaultClient.provider.name === providerName && defaultClient.accountId === accountId))) {
+      return defaultClient.provider;
+    }
+
+    const credentials = accountId
+      ? await DatabaseQueries.getProviderCredentialsByAccount(providerName, accountId)
+      : null;
+    if (credentials) {
+      return this.buildShopProvider(credentials.shop_domain, credentials);
+    }
+
+    // Requests without a known account can only be checked against the env account
+    if (defaultClient && defaultClient.provider.name === providerName) {
+      return defaultClient.provider;
+    }
+    return null;
+  }
+
+  isValidAccountSid(accountSid) {
+    return isValidAccountSid(accountSid);
+  }
+
+  // Drop the cached client after a shop's credentials or senders change
+  invalidate(shopDomain) {
+    this.clients.delete(shopDomain);
+  }
+}
+
+module.exports = new ClientFactory();
@@ -0,0 +1,163 @@
+// services/customerTimezone.js
+// Works out the timezone a customer lives in, for quiet hours and for the
+// dates in their messages. In order of preference:
+//
+//   1. the shipping / billing address of the order or checkout (country, and
+//      the state or province in the US, Canada and Australia)
+//   2. customers.timezone (the timezone last resolved for this customer)
+//   3. the phone number's country calling code; when that is the shop's own
+//      country the shop's timezone is used, which is the better guess in
+//      countries that span several zones
+//   4. the shop's timezone, else UTC
+//
+// customers.timezone defaults to 'UTC', so that value counts as unknown.
+// Like the language (services/languageResolver.js), whatever is resolved is
+// saved on the customer so sends without an address use it too.
+const DatabaseQueries = require('../database/queries');
+const LocaleFormat = require('./localeFormat');
+
+// Where most of the country's customers are; multi-zone countries are
+// refined by REGION_TIMEZONES when the address has a state or province
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai', AF: 'Asia/Kabul', AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna',
+  AU: 'Australia/Sydney', AZ: 'Asia/Baku', BD: 'Asia/Dhaka', BE: 'Europe/Brussels', BG: 'Europe/Sofia',
+  BH: 'Asia/Bahrain', BR: 'America/Sao_Paulo', CA: 'America/Toronto', CH: 'Europe/Zurich',
+  CL: 'America/Santiago', CN: 'Asia/Shanghai', CO: 'America/Bogota', CU: 'America/Havana',
+  CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen', DZ: 'Africa/Algiers',
+  EE: 'Europe/Tallinn', EG: 'Africa/Cairo', ES: 'Europe/Madrid', ET: 'Africa/Addis_Ababa',
+  FI: 'Europe/Helsinki', FR: 'Europe/Paris', GB: 'Europe/London', GE: 'Asia/Tbilisi', GH: 'Africa/Accra',
+  GR: 'Europe/Athens', HK: 'Asia/Hong_Kong', HR: 'Europe/Zagreb', HU: 'Europe/Budapest',
+  ID: 'Asia/Jakarta', IE: 'Europe/Dublin', IL: 'Asia/Jerusalem', IN: 'Asia/Kolkata', IQ: 'Asia/Baghdad',
+  IR: 'Asia/Tehran', IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome', JO: 'Asia/Amman', JP: 'Asia/Tokyo',
+  KE: 'Africa/Nairobi', KH: 'Asia/Phnom_Penh', KR: 'Asia/Seoul', KW: 'Asia/Kuwait', KZ: 'Asia/Almaty',
+  LB: 'Asia/Beirut', LK: 'Asia/Colombo', LT: 'Europe/Vilnius', LU: 'Europe/Luxembourg', LV: 'Europe/Riga',
+  LY: 'Africa/Tripoli', MA: 'Africa/Casablanca', MM: 'Asia/Yangon', MO: 'Asia/Macau',
+  MV: 'Indian/Maldives', MX: 'America/Mexico_City', MY: 'Asia/Kuala_Lumpur', NG: 'Africa/Lagos',
+  NL: 'Europe/Amsterdam', NO: 'Europe/Oslo', NP: 'Asia/Kathmandu', NZ: 'Pacific/Auckland',
+  OM: 'Asia/Muscat', PE: 'America/Lima', PH: 'Asia/Manila', PK: 'Asia/Karachi', PL: 'Europe/Warsaw',
+  PS: 'Asia/Hebron', PT: 'Europe/Lisbon', QA: 'Asia/Qatar', RO: 'Europe/Bucharest', RS: 'Europe/Belgrade',
+  RU: 'Europe/Moscow', SA: 'Asia/Riyadh', SE: 'Europe/Stockholm', SG: 'Asia/Singapore',
+  SI: 'Europe/Ljubljana', SK: 'Europe/Bratislava', SS: 'Africa/Juba', SY: 'Asia/Damascus',
+  TH: 'Asia/Bangkok', TN: 'Africa/Tunis', TR: 'Europe/Istanbul', TW: 'Asia/Taipei',
+  TZ: 'Africa/Dar_es_Salaam', UA: 'Europe/Kyiv', UG: 'Africa/Kampala', US: 'America/Chicago',
+  UZ: 'Asia/Tashkent', VE: 'America/Caracas', VN: 'Asia/Ho_Chi_Minh', YE: 'Asia/Aden',
+  ZA: 'Africa/Johannesburg'
+};
+
+// Shopify province_code -> timezone for the countries that span several zones
+const REGION_TIMEZONES = {
+  US: {
+    'America/New_York': ['CT', 'DC', 'DE', 'FL', 'GA', 'IN', 'KY', 'MA', 'MD', 'ME', 'MI', 'NC', 'NH', 'NJ', 'NY', 'OH', 'PA', 'RI', 'SC', 'VA', 'VT', 'WV'],
+    'America/Chicago': ['AL', 'AR', 'IA', 'IL', 'KS', 'LA', 'MN', 'MO', 'MS', 'ND', 'NE', 'OK', 'SD', 'TN', 'TX', 'WI'],
+    'America/Denver': ['CO', 'ID', 'MT', 'NM', 'UT', 'WY'],
+    'America/Phoenix': ['AZ'],
+    'America/Los_Angeles': ['CA', 'NV', 'OR', 'WA'],
+    'America/Anchorage': ['AK'],
+    'Pacific/Honolulu': ['HI'],
+    'America/Puerto_Rico': ['PR']
+  },
+  CA: {
+    'America/Toronto': ['ON', 'QC'],
+    'America/Halifax': ['NS', 'NB', 'PE'],
+    'America/St_Johns': ['NL'],
+    'America/Winnipeg': ['MB'],
+    'America/Regina': ['SK'],
+    'America/Edmonton': ['AB', 'NT'],
+    'America/Vancouver': ['BC'],
+    'America/Whitehorse': ['YT'],
+    'America/Iqaluit': ['NU']
+  },
+  AU: {
+    'Australia/Sydney': ['NSW', 'ACT'],
+    'Australia/Melbourne': ['VIC'],
+    'Australia/Hobart': ['TAS'],
+    'Australia/Brisbane': ['QLD'],
+    'Australia/Adelaide': ['SA'],
+    'Australia/Darwin': ['NT'],
+    'Australia/Perth': ['WA']
+  }
+};
+
+// Country calling code -> country. +1 is shared by the US, Canada and the
+// Caribbean and +7 by Russia and Kazakhstan; those numbers get the first.
+const CALLING_CODES = {
+  1: 'US', 7: 'RU', 20: 'EG', 27: 'ZA', 30: 'GR', 31: 'NL', 32: 'BE', 33: 'FR', 34: 'ES', 36: 'HU',
+  39: 'IT', 40: 'RO', 41: 'CH', 43: 'AT', 44: 'GB', 45: 'DK', 46: 'SE', 47: 'NO', 48: 'PL', 49: 'DE',
+  51: 'PE', 52: 'MX', 53: 'CU', 54: 'AR', 55: 'BR', 56: 'CL', 57: 'CO', 58: 'VE', 60: 'MY', 61: 'AU',
+  62: 'ID', 63: 'PH', 64: 'NZ', 65: 'SG', 66: 'TH', 81: 'JP', 82: 'KR', 84: 'VN', 86: 'CN', 90: 'TR',
+  91: 'IN', 92: 'PK', 93: 'AF', 94: 'LK', 95: 'MM', 98: 'IR', 211: 'SS', 212: 'MA', 213: 'DZ',
+  216: 'TN', 218: 'LY', 233: 'GH', 234: 'NG', 251: 'ET', 254: 'KE', 255: 'TZ', 256: 'UG', 351: 'PT',
+  352: 'LU', 353: 'IE', 354: 'IS', 358: 'FI', 359: 'BG', 370: 'LT', 371: 'LV', 372: 'EE', 380: 'UA',
+  381: 'RS', 385: 'HR', 386: 'SI', 420: 'CZ', 421: 'SK', 852: 'HK', 853: 'MO', 855: 'KH', 880: 'BD',
+  886: 'TW', 960: 'MV', 961: 'LB', 962: 'JO', 963: 'SY', 964: 'IQ', 965: 'KW', 966: 'SA', 967: 'YE',
+  968: 'OM', 970: 'PS', 971: 'AE', 972: 'IL', 973: 'BH', 974: 'QA', 977: 'NP', 994: 'AZ', 995: 'GE',
+  998: 'UZ'
+};
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// A stored timezone that says something ('UTC' is the column default)
+function knownTimeZone(timeZone) {
+  return timeZone && timeZone !== DEFAULT_TIME_ZONE && LocaleFormat.isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+class CustomerTimezone {
+  // Shopify address (country_code, province_code) -> timezone, or null
+  fromAddress(address) {
+    const country = String(address?.country_code || '').toUpperCase();
+    const province = String(address?.province_code || '').toUpperCase();
+    const regions = REGION_TIMEZONES[country] || {};
+    const regionZone = Object.keys(regions).find(zone => regions[zone].includes(province));
+    return regionZone || COUNTRY_TIMEZONES[country] || null;
+  }
+
+  // '+971 50 123 4567' -> 'AE'; null when the calling code is not listed
+  getPhoneCountry(customerPhone) {
+    const digits = String(customerPhone || '').replace(/\D/g, '');
+    for (const length of [3, 2, 1]) {
+      const country = CALLING_CODES[digits.slice(0, length)];
+      if (country && digits.length > length) {
+        return country;
+      }
+    }
+    return null;
+  }
+
+  // shop: shops row (iana_timezone and country_code cached from Shopify)
+  fromPhone(customerPhone, shop = null) {
+    const country = this.getPhoneCountry(customerPhone);
+    if (!country) {
+      return null;
+    }
+    const shopTimeZone = knownTimeZone(shop?.iana_timezone);
+    if (shopTimeZone && country === String(shop.country_code || '').toUpperCase()) {
+      return shopTimeZone;
+    }
+    return COUNTRY_TIMEZONES[country] || null;
+  }
+
+  // timeZone: the one taken from the event's address, if any (NotificationData
+  // puts it in data.customer_timezone)
+  async resolve(shopDomain, customerPhone, timeZone = null) {
+    const customer = await DatabaseQueries.getCustomerByPhone(shopDomain, customerPhone);
+    const addressTimeZone = knownTimeZone(timeZone);
+    const savedTimeZone = knownTimeZone(customer?.timezone);
+    if (savedTimeZone && (!addressTimeZone || addressTimeZone === savedTimeZone)) {
+      return savedTimeZone;
+    }
+
+    const shop = addressTimeZone ? null : await DatabaseQueries.getShop(shopDomain);
+    const resolved = addressTimeZone || this.fromPhone(customerPhone, shop);
+    if (!resolved) {
+      return knownTimeZone(shop?.iana_timezone) || DEFAULT_TIME_ZONE;
+    }
+
+    if (customer) {
+      await DatabaseQueries.updateCustomerTimezone(shopDomain, customerPhone, resolved);
+      console.log(`🕒 Customer ${customerPhone} timezone set to ${resolved}`);
+    }
+    return resolved;
+  }
+}
+
+module.exports = new CustomerTimezone();
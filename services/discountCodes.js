@@ -0,0 +1,211 @@
+// services/discountCodes.js
+// Unique discount codes per recipient. Flows with discount_settings (and the
+// default templates that carry an offer) get a fresh single-use code for
+// every message, expiring after a set number of hours. The code is reserved
+// in discount_codes when the message is queued, so it can be rendered into
+// the text, and created with discountCodeBasicCreate by the queue worker just
+// before the message is sent (activate); a message that is cancelled while
+// queued never creates one, and one whose code Shopify will not create goes
+// out without the offer. orders/create marks a code used with the order it
+// was redeemed on.
+//
+// discount_settings: { type: 'percentage' | 'fixed_amount', value,
+// minimumSubtotal, expiresInHours, prefix }
+const crypto = require('crypto');
+const DatabaseQueries = require('../database/queries');
+const ShopifyAdmin = require('./shopifyAdmin');
+
+// Offers in the default templates, by notification type
+const DEFAULT_OFFERS = {
+  abandoned_cart_24h: { type: 'percentage', value: 10, expiresInHours: 2, prefix: 'SAVE' },
+  abandoned_cart_final: { type: 'percentage', value: 15, expiresInHours: 48, prefix: 'COMEBACK' },
+  welcome_customer: { type: 'percentage', value: 15, expiresInHours: 30 * 24, prefix: 'WELCOME' },
+  customer_birthday: { type: 'percentage', value: 30, expiresInHours: 7 * 24, prefix: 'BDAY' }
+};
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+const MAX_EXPIRY_HOURS = 90 * 24;
+
+// No 0/O or 1/I, so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const DISCOUNT_CODE_BASIC_CREATE = `
+  mutation discountCodeBasicCreate($basicCodeDiscount: DiscountCodeBasicInput!) {
+    discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+      codeDiscountNode { id }
+      userErrors { field code message }
+    }
+  }
+`;
+
+class DiscountCodes {
+  getDefaultOffer(notificationType) {
+    return DEFAULT_OFFERS[notificationType] || null;
+  }
+
+  // Error message for invalid discount_settings, or null
+  validateSettings(settings) {
+    if (!settings) {
+      return null;
+    }
+    if (!DISCOUNT_TYPES.includes(settings.type)) {
+      return 'Discount type must be percentage or fixed_amount';
+    }
+    const value = parseFloat(settings.value);
+    if (!(value > 0) || (settings.type === 'percentage' && value > 100)) {
+      return settings.type === 'percentage'
+        ? 'Discount percentage must be between 1 and 100'
+        : 'Discount amount must be greater than 0';
+    }
+    if (settings.minimumSubtotal !== undefined && settings.minimumSubtotal !== null && settings.minimumSubtotal !== ''
+      && !(parseFloat(settings.minimumSubtotal) >= 0)) {
+      return 'Minimum spend must be a positive amount';
+    }
+    const hours = parseInt(settings.expiresInHours, 10);
+    if (!(hours >= 1 && hours <= MAX_EXPIRY_HOURS)) {
+      return `Discount expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours`;
+    }
+    if (settings.prefix && !/^[A-Za-z0-9]{1,12}$/.test(settings.prefix)) {
+      return 'Code prefix can be up to 12 letters and digits';
+    }
+    return null;
+  }
+
+  generateCode(prefix = '') {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const suffix = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return prefix ? `${prefix.toUpperCase()}-${suffix}` : suffix;
+  }
+
+  // Code shown in previews; nothing is created in Shopify
+  sampleCode(settings) {
+    return {
+      code: settings?.prefix ? `${settings.prefix.toUpperCase()}-SAMPLE` : 'SAMPLE-CODE',
+      expiresAt: new Date(Date.now() + (parseInt(settings?.expiresInHours, 10) || 24) * 3600 * 1000)
+    };
+  }
+
+  buildDiscountInput(code, settings, startsAt, endsAt) {
+    const value = parseFloat(settings.value);
+    const input = {
+      title: `WhatsApp ${code}`,
+      code,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      customerSelection: { all: true },
+      customerGets: {
+        value: settings.type === 'percentage'
+          ? { percentage: value / 100 }
+          : { discountAmount: { amount: value.toFixed(2), appliesOnEachItem: false } },
+        items: { all: true }
+      },
+      usageLimit: 1,
+      appliesOncePerCustomer: true
+    };
+    if (parseFloat(settings.minimumSubtotal) > 0) {
+      input.minimumRequirement = {
+        subtotal: { greaterThanOrEqualToSubtotal: parseFloat(settings.minimumSubtotal).toFixed(2) }
+      };
+    }
+    return input;
+  }
+
+  // Reserve a code and record it. -> { id, code, expiresAt }, or null when
+  // it could not be saved (the message then goes out without an offer).
+  // startsAt: when the message is released from the queue (its availableAt,
+  // a SQLite UTC timestamp) so a message held for quiet hours does not
+  // arrive with an expired code; now when not given.
+  async issue(shopDomain, { customerPhone = null, settings, flowId = null, notificationType = null, startsAt = null }) {
+    startsAt = startsAt ? new Date(`${String(startsAt).replace(' ', 'T')}Z`) : new Date();
+    const endsAt = new Date(startsAt.getTime() + parseInt(settings.expiresInHours, 10) * 3600 * 1000);
+
+    // A clash with an existing code gets one retry with a new code
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const code = this.generateCode(settings.prefix);
+      try {
+        const id = await DatabaseQueries.createDiscountCode({
+          shop_domain: shopDomain,
+          code,
+          customer_phone: customerPhone,
+          flow_id: flowId,
+          notification_type: notificationType,
+          discount_type: settings.type,
+          discount_value: parseFloat(settings.value),
+          minimum_subtotal: parseFloat(settings.minimumSubtotal) > 0 ? parseFloat(settings.minimumSubtotal) : null,
+          starts_at: startsAt.toISOString(),
+          expires_at: endsAt.toISOString()
+        });
+        return { id, code, expiresAt: endsAt };
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT' && attempt === 0) {
+          continue;
+        }
+        console.warn(`⚠️ Could not reserve discount code for ${shopDomain}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  // Create a reserved code in Shopify; called by the queue worker before the
+  // message carrying it is sent. Does nothing once the code exists, so a
+  // retried job does not create it twice. Throws when it cannot be created,
+  // with status 422 when Shopify refuses it (retrying will not help); the
+  // worker then sends the message without the offer.
+  async activate(discountId) {
+    const discount = await DatabaseQueries.getDiscountCode(discountId);
+    if (!discount || discount.shopify_discount_id) {
+      return;
+    }
+
+    const settings = {
+      type: discount.discount_type,
+      value: discount.discount_value,
+      minimumSubtotal: discount.minimum_subtotal
+    };
+    const data = await ShopifyAdmin.graphql(discount.shop_domain, DISCOUNT_CODE_BASIC_CREATE, {
+      basicCodeDiscount: this.buildDiscountInput(discount.code, settings, new Date(discount.starts_at), new Date(discount.expires_at))
+    });
+    const { codeDiscountNode, userErrors = [] } = data.discountCodeBasicCreate || {};
+    if (userErrors.length > 0 || !codeDiscountNode) {
+      const error = new Error(`Discount code ${discount.code}: ${userErrors.map(userError => userError.message).join('; ') || 'not created'}`);
+      error.status = 422;
+      throw error;
+    }
+
+    await DatabaseQueries.setDiscountCodeShopifyId(discount.id, codeDiscountNode.id);
+    console.log(`🎟️ Discount code ${discount.code} created for ${discount.customer_phone || 'preview'} (${discount.shop_domain})`);
+  }
+
+  // Code for a default template that carries an offer, or null
+  async issueDefault(shopDomain, customerPhone, notificationType, startsAt = null) {
+    const settings = this.getDefaultOffer(notificationType);
+    return settings ? this.issue(shopDomain, { customerPhone, settings, notificationType, startsAt }) : null;
+  }
+
+  async attachMessage(discount, messageId) {
+    if (discount?.id && messageId) {
+      await DatabaseQueries.attachDiscountCodeMessage(discount.id, messageId);
+    }
+  }
+
+  // Mark the codes an order used as redeemed (orders/create webhook payload)
+  async recordOrder(shopDomain, order) {
+    const codes = Array.isArray(order.discount_codes) ? order.discount_codes : [];
+    for (const { code } of codes) {
+      if (!code) continue;
+      try {
+        const result = await DatabaseQueries.markDiscountCodeUsed(
+          shopDomain, code, String(order.id), parseFloat(order.current_total_price || order.total_price || 0)
+        );
+        if (result.changes > 0) {
+          console.log(`🎟️ Discount code ${code} redeemed on order ${order.name || order.id}`);
+        }
+      } catch (error) {
+        console.error('❌ Could not record discount code use:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = new DiscountCodes();
@@ -0,0 +1,69 @@
+// services/encryption.js
+// AES-256-GCM encryption for secrets stored in the database (provider
+// credentials). Values are stored as "v1:<iv>:<auth tag>:<ciphertext>" in
+// base64 so the key can be rotated later by bumping the version prefix.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+let warnedAboutFallbackKey = false;
+
+function getKey() {
+  let secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+
+  if (!secret) {
+    secret = process.env.SHOPIFY_API_SECRET;
+    if (!warnedAboutFallbackKey) {
+      console.warn('⚠️ CREDENTIALS_ENCRYPTION_KEY not set. Encrypting credentials with SHOPIFY_API_SECRET instead.');
+      warnedAboutFallbackKey = true;
+    }
+  }
+
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Objects are encrypted as JSON so providers can keep several secrets together
+function encryptJSON(value) {
+  return encrypt(JSON.stringify(value));
+}
+
+function decryptJSON(payload) {
+  return JSON.parse(decrypt(payload));
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  encryptJSON,
+  decryptJSON
+};
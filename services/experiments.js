@@ -0,0 +1,375 @@
+// services/experiments.js
+// A/B tests between flows. An experiment splits the sends of one flow type
+// and language between two or more flows (variants) by weight. Each customer
+// is assigned a variant once and keeps it for every later message, and
+// their first order or recovered cart within the attribution window after
+// the first message counts as that variant's conversion.
+//
+// Winner selection is fixed-horizon: only exposures whose attribution window
+// has closed are counted, and a decision is made once every variant has
+// min_sample_size of them. The variant with the highest conversion rate wins
+// when a two-proportion z-test shows it beating every other variant at the
+// experiment's confidence level (Bonferroni-corrected for the number of
+// comparisons); otherwise the experiment is inconclusive. With auto_promote
+// the decision is applied: the winner's flow stays active and the other
+// variant flows are paused.
+const crypto = require('crypto');
+const DatabaseQueries = require('../database/queries');
+
+const DEFAULTS = {
+  minSampleSize: 200,
+  confidenceLevel: 0.95,
+  attributionDays: 7
+};
+const MAX_VARIANTS = 5;
+
+function normalizePhone(phone) {
+  return `+${String(phone || '').replace(/\D/g, '')}`;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Wilson score interval for a conversion rate
+function wilsonInterval(conversions, exposed, z) {
+  if (exposed === 0) return [0, 1];
+  const p = conversions / exposed;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * exposed)) / (1 + z2 / exposed);
+  const half = (z * Math.sqrt(p * (1 - p) / exposed + z2 / (4 * exposed * exposed))) / (1 + z2 / exposed);
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// Difference in rates (a - b) with an unpooled interval, and the two-sided
+// p-value of the pooled two-proportion z-test
+function compareRates(a, b, z) {
+  if (a.exposed === 0 || b.exposed === 0) return null;
+  const pa = a.conversions / a.exposed;
+  const pb = b.conversions / b.exposed;
+  const difference = pa - pb;
+  const se = Math.sqrt(pa * (1 - pa) / a.exposed + pb * (1 - pb) / b.exposed);
+  const pooled = (a.conversions + b.conversions) / (a.exposed + b.exposed);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / a.exposed + 1 / b.exposed));
+  const pValue = pooledSe > 0 ? 2 * (1 - normalCdf(Math.abs(difference) / pooledSe)) : 1;
+  return { difference, interval: [difference - z * se, difference + z * se], pValue };
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+class Experiments {
+  getDefaults() {
+    return DEFAULTS;
+  }
+
+  // Error message for an invalid experiment, or null. body: { name, flowType,
+  // language, variants: [{ flowId, name, weight }], autoPromote, minSampleSize,
+  // confidenceLevel, attributionDays }; the first variant is the control.
+  async validate(shopDomain, body) {
+    const variants = Array.isArray(body.variants) ? body.variants : [];
+    if (!body.name || !body.flowType) {
+      return 'Experiment name and flow type are required';
+    }
+    if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+      return `An experiment needs 2 to ${MAX_VARIANTS} variants`;
+    }
+    if (new Set(variants.map(variant => String(variant.flowId))).size !== variants.length) {
+      return 'Each variant must use a different flow';
+    }
+    if (variants.some(variant => !(parseInt(variant.weight ?? 1, 10) > 0))) {
+      return 'Variant weights must be positive whole numbers';
+    }
+
+    const language = body.language || 'en';
+    for (const variant of variants) {
+      const flow = await DatabaseQueries.getWhatsAppFlow(variant.flowId, shopDomain);
+      if (!flow) {
+        return `Flow ${variant.flowId} not found`;
+      }
+      if (flow.flow_type !== body.flowType || (flow.language || 'en') !== language) {
+        return `"${flow.flow_name}" must be a ${body.flowType} flow in ${language}`;
+      }
+    }
+
+    const confidenceLevel = parseFloat(body.confidenceLevel ?? DEFAULTS.confidenceLevel);
+    if (!(confidenceLevel >= 0.8 && confidenceLevel < 1)) {
+      return 'Confidence level must be between 0.8 and 0.999';
+    }
+    if (!(parseInt(body.minSampleSize ?? DEFAULTS.minSampleSize, 10) >= 30)) {
+      return 'Minimum sample size must be at least 30 customers per variant';
+    }
+    if (!(parseInt(body.attributionDays ?? DEFAULTS.attributionDays, 10) >= 1)) {
+      return 'Attribution window must be at least 1 day';
+    }
+
+    if (await DatabaseQueries.getRunningExperiment(shopDomain, body.flowType, language)) {
+      return `An experiment is already running for ${body.flowType} flows in ${language}`;
+    }
+    return null;
+  }
+
+  async create(shopDomain, body) {
+    const experimentId = await DatabaseQueries.createExperiment(shopDomain, {
+      name: body.name,
+      flowType: body.flowType,
+      language: body.language || 'en',
+      autoPromote: !!body.autoPromote,
+      minSampleSize: parseInt(body.minSampleSize ?? DEFAULTS.minSampleSize, 10),
+      confidenceLevel: parseFloat(body.confidenceLevel ?? DEFAULTS.confidenceLevel),
+      attributionDays: parseInt(body.attributionDays ?? DEFAULTS.attributionDays, 10),
+      variants: body.variants.map((variant, index) => ({
+        flowId: variant.flowId,
+        name: variant.name || (index === 0 ? 'Control' : `Variant ${String.fromCharCode(65 + index)}`),
+        weight: parseInt(variant.weight ?? 1, 10),
+        isControl: index === 0
+      }))
+    });
+    console.log(`🧪 Experiment ${experimentId} started for ${body.flowType} (${shopDomain})`);
+    return experimentId;
+  }
+
+  // Variant by weight from a hash of experiment and phone, so the split does
+  // not depend on send order
+  chooseVariant(experimentId, customerPhone, variants) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const hash = crypto.createHash('sha256').update(`${experimentId}:${customerPhone}`).digest();
+    let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+    for (const variant of variants) {
+      point -= variant.weight;
+      if (point < 0) return variant;
+    }
+    return variants[variants.length - 1];
+  }
+
+  // Flow to send when an experiment is running for the flow type and
+  // language, with experiment_assignment_id set; null otherwise
+  async pickFlow(shopDomain, flowType, language, customerPhone) {
+    const experiment = await DatabaseQueries.getRunningExperiment(shopDomain, flowType, language);
+    if (!experiment) {
+      return null;
+    }
+
+    const phone = normalizePhone(customerPhone);
+    const variants = await DatabaseQueries.getExperimentVariants(experiment.id);
+    let assignment = await DatabaseQueries.getExperimentAssignment(experiment.id, phone);
+    if (!assignment) {
+      const variant = this.chooseVariant(experiment.id, phone, variants);
+      assignment = await DatabaseQueries.assignExperimentVariant(experiment.id, variant.id, shopDomain, phone);
+    }
+
+    const variant = variants.find(candidate => candidate.id === assignment.variant_id);
+    const flow = variant ? await DatabaseQueries.getWhatsAppFlow(variant.flow_id, shopDomain) : null;
+    if (!flow) {
+      console.warn(`⚠️ Experiment ${experiment.id} variant flow is missing; using the regular flow`);
+      return null;
+    }
+
+    // A paused variant flow is not sent; the customer gets the control flow
+    // instead, left out of the results since it is not the variant they were
+    // assigned
+    if (!flow.is_active) {
+      const control = variants.find(candidate => candidate.is_control);
+      const controlFlow = control && control.id !== variant.id
+        ? await DatabaseQueries.getWhatsAppFlow(control.flow_id, shopDomain)
+        : null;
+      const fallback = controlFlow?.is_active ? controlFlow : null;
+      console.warn(`⚠️ Experiment ${experiment.id} flow for ${variant.name} is paused; using the ${fallback ? 'control' : 'regular'} flow`);
+      return fallback;
+    }
+
+    console.log(`🧪 Experiment "${experiment.name}": ${phone} gets ${variant.name}`);
+    return { ...flow, experiment_assignment_id: assignment.id };
+  }
+
+  async markExposed(assignmentId, messageId) {
+    await DatabaseQueries.markAssignmentExposed(assignmentId, messageId);
+  }
+
+  // An order or recovered cart by a customer in a running or finished experiment
+  async recordConversion(shopDomain, customerPhone, { source, orderId = null, value = 0 }) {
+    if (!customerPhone) return;
+    try {
+      const result = await DatabaseQueries.recordExperimentConversion(shopDomain, normalizePhone(customerPhone), { source, orderId, value });
+      if (result.changes > 0) {
+        console.log(`🧪 Experiment conversion (${source}) for ${normalizePhone(customerPhone)}`);
+      }
+    } catch (error) {
+      console.error('❌ Could not record experiment conversion:', error.message);
+    }
+  }
+
+  // Per-variant rates with confidence intervals, lift over the control, and
+  // the fixed-horizon decision on matured exposures
+  async getResults(experiment) {
+    const [variants, stats] = await Promise.all([
+      DatabaseQueries.getExperimentVariants(experiment.id),
+      DatabaseQueries.getExperimentStats(experiment.id)
+    ]);
+    const z = normalQuantile(1 - (1 - experiment.confidence_level) / 2);
+
+    const rows = variants.map(variant => {
+      const row = stats.find(stat => stat.variant_id === variant.id) || {};
+      return {
+        variant,
+        all: { exposed: row.exposed || 0, conversions: row.conversions || 0 },
+        matured: { exposed: row.matured_exposed || 0, conversions: row.matured_conversions || 0 },
+        revenue: row.revenue || 0
+      };
+    });
+    const control = rows.find(row => row.variant.is_control) || rows[0];
+
+    const results = rows.map(row => {
+      const lift = row === control ? null : compareRates(row.all, control.all, z);
+      return {
+        id: row.variant.id,
+        name: row.variant.name,
+        flowId: row.variant.flow_id,
+        weight: row.variant.weight,
+        isControl: row === control,
+        exposed: row.all.exposed,
+        conversions: row.all.conversions,
+        conversionRate: row.all.exposed ? round(row.all.conversions / row.all.exposed) : 0,
+        interval: wilsonInterval(row.all.conversions, row.all.exposed, z).map(round),
+        revenue: round(row.revenue),
+        matured: row.matured,
+        liftVsControl: lift && {
+          difference: round(lift.difference),
+          interval: lift.interval.map(round),
+          pValue: round(lift.pValue)
+        }
+      };
+    });
+
+    return {
+      experiment: {
+        id: experiment.id,
+        name: experiment.name,
+        flowType: experiment.flow_type,
+        language: experiment.language,
+        status: experiment.status,
+        autoPromote: !!experiment.auto_promote,
+        minSampleSize: experiment.min_sample_size,
+        confidenceLevel: experiment.confidence_level,
+        attributionDays: experiment.attribution_days,
+        winnerVariantId: experiment.winner_variant_id,
+        conclusion: experiment.conclusion,
+        startedAt: experiment.started_at,
+        endedAt: experiment.ended_at
+      },
+      variants: results,
+      decision: this.decide(experiment, rows)
+    };
+  }
+
+  decide(experiment, rows) {
+    const short = rows.filter(row => row.matured.exposed < experiment.min_sample_size);
+    if (short.length > 0) {
+      return {
+        status: 'collecting',
+        winnerVariantId: null,
+        message: `Waiting for ${experiment.min_sample_size} customers per variant whose ${experiment.attribution_days}-day attribution window has closed`
+      };
+    }
+
+    const rate = row => row.matured.conversions / row.matured.exposed;
+    const best = rows.reduce((top, row) => (rate(row) > rate(top) ? row : top));
+    const others = rows.filter(row => row !== best);
+    const alpha = (1 - experiment.confidence_level) / others.length;
+    const z = normalQuantile(1 - alpha / 2);
+    const beatsAll = others.every(row => {
+      const comparison = compareRates(best.matured, row.matured, z);
+      return comparison && comparison.difference > 0 && comparison.pValue < alpha;
+    });
+
+    if (!beatsAll) {
+      return {
+        status: 'inconclusive',
+        winnerVariantId: null,
+        message: `No variant converts significantly better than the others at ${Math.round(experiment.confidence_level * 100)}% confidence`
+      };
+    }
+    return {
+      status: 'winner',
+      winnerVariantId: best.variant.id,
+      message: `${best.variant.name} converts significantly better than every other variant`
+    };
+  }
+
+  // Keep the winner's flow active and pause the other variant flows
+  async promote(shopDomain, experiment, variantId, conclusion) {
+    const variants = await DatabaseQueries.getExperimentVariants(experiment.id);
+    const winner = variants.find(variant => variant.id === Number(variantId));
+    if (!winner) {
+      throw new Error('Variant not found');
+    }
+
+    await DatabaseQueries.setWhatsAppFlowActive(winner.flow_id, shopDomain, true);
+    for (const variant of variants.filter(candidate => candidate !== winner)) {
+      await DatabaseQueries.setWhatsAppFlowActive(variant.flow_id, shopDomain, false);
+    }
+    await DatabaseQueries.endExperiment(shopDomain, experiment.id, {
+      status: 'completed',
+      winnerVariantId: winner.id,
+      conclusion
+    });
+    console.log(`🏆 Experiment "${experiment.name}": ${winner.name} promoted (${shopDomain})`);
+    return winner;
+  }
+
+  // Ends the experiment without changing any flow
+  async stop(shopDomain, experiment) {
+    return DatabaseQueries.endExperiment(shopDomain, experiment.id, { status: 'stopped', conclusion: 'Stopped manually' });
+  }
+
+  // Applies the decision of running auto-promote experiments once they reach
+  // their sample size
+  async evaluateAll() {
+    try {
+      const experiments = (await DatabaseQueries.getRunningExperiments()).filter(experiment => experiment.auto_promote);
+      for (const experiment of experiments) {
+        try {
+          const { decision } = await this.getResults(experiment);
+          if (decision.status === 'winner') {
+            await this.promote(experiment.shop_domain, experiment, decision.winnerVariantId, decision.message);
+          } else if (decision.status === 'inconclusive') {
+            await DatabaseQueries.endExperiment(experiment.shop_domain, experiment.id, {
+              status: 'completed',
+              conclusion: decision.message
+            });
+            console.log(`🧪 Experiment "${experiment.name}" ended without a winner (${experiment.shop_domain})`);
+          }
+        } catch (error) {
+          console.error(`❌ Experiment ${experiment.id} evaluation failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Could not evaluate experiments:', error);
+    }
+  }
+}
+
+module.exports = new Experiments();
@@ -0,0 +1,76 @@
+// services/fakeProvider.js
+// Offline provider for local development and tests. Sends are recorded in
+// memory instead of going to WhatsApp; webhooks use the same form fields as
+// Twilio so fixtures can be POSTed to the normal routes.
+// Enable with MESSAGING_PROVIDER=fake.
+const { MessagingProvider } = require('./messagingProvider');
+const { TwilioProvider } = require('./twilio');
+
+class FakeProvider extends MessagingProvider {
+  constructor() {
+    super('fake');
+    this.sent = [];
+    this.failNext = null;
+    // Not reset with sent: message IDs stay unique like real provider SIDs
+    this.sendCount = 0;
+  }
+
+  record(kind, message) {
+    if (this.failNext) {
+      const error = this.failNext;
+      this.failNext = null;
+      throw error;
+    }
+
+    this.sendCount += 1;
+    const messageId = `FAKE${String(this.sendCount).padStart(8, '0')}`;
+    this.sent.push({ kind, messageId, sentAt: new Date().toISOString(), ...message });
+    console.log(`🧪 Fake ${kind} send to ${message.to}: ${messageId}`);
+    return { messageId, status: 'sent' };
+  }
+
+  async sendText(message) {
+    return this.record('text', message);
+  }
+
+  async sendTemplate(message) {
+    return this.record('template', message);
+  }
+
+  async sendMedia(message) {
+    return this.record('media', message);
+  }
+
+  async sendInteractive(message) {
+    return this.record('interactive', message);
+  }
+
+  async getTemplateApproval() {
+    return { status: 'approved', reason: null };
+  }
+
+  parseInbound(req) {
+    return TwilioProvider.prototype.parseInbound.call(this, req);
+  }
+
+  parseStatus(req) {
+    return TwilioProvider.prototype.parseStatus.call(this, req);
+  }
+
+  // Fixtures are not signed
+  isValidRequest() {
+    return true;
+  }
+
+  // Make the next send throw, e.g. simulateFailure(Object.assign(new Error('rate limited'), { status: 429 }))
+  simulateFailure(error) {
+    this.failNext = error;
+  }
+
+  reset() {
+    this.sent = [];
+    this.failNext = null;
+  }
+}
+
+module.exports = new FakeProvider();
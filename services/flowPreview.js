@@ -0,0 +1,332 @@
+// services/flowPreview.js
+// Render-only previews for the flow editor. A flow (saved or unsaved) or a
+// default notification template is rendered exactly as a send would render
+// it, against sample data or a real order / abandoned checkout, without
+// queueing anything. Alongside the text the preview reports placeholders the
+// flow type cannot fill and messages WhatsApp would reject or truncate.
+const DatabaseQueries = require('../database/queries');
+const NotificationManager = require('./notificationManager');
+const NotificationData = require('./notificationData');
+const TemplateEngine = require('./templateEngine');
+const InteractiveButtons = require('./interactiveButtons');
+const MediaResolver = require('./mediaResolver');
+const ShopifyAdmin = require('./shopifyAdmin');
+const LanguageResolver = require('./languageResolver');
+const DiscountCodes = require('./discountCodes');
+
+// WhatsApp limits
+const MAX_TEXT_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_INTERACTIVE_BODY_LENGTH = 1024;
+const MAX_QUICK_REPLIES = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+
+const FLOW_TYPES = [
+  'abandoned_cart', 'welcome', 'order_confirmation', 'shipping_update', 'review_request',
+  'birthday', 'back_in_stock', 'promotional', 'order_delivered'
+];
+
+// Real data a flow type can be previewed against
+const SOURCE_TYPES = {
+  abandoned_cart: 'checkout',
+  order_confirmation: 'order',
+  shipping_update: 'order',
+  order_delivered: 'order',
+  review_request: 'order'
+};
+
+// Sample amounts carry no currency so they are shown in the shop's money format
+function sampleOrder(shopDomain) {
+  return {
+    id: 1001,
+    name: '#1001',
+    created_at: new Date().toISOString(),
+    total_price: '59.98',
+    customer: { first_name: 'John', last_name: 'Doe' },
+    line_items: [
+      { name: 'Classic T-Shirt', quantity: 2, price: '19.99' },
+      { name: 'Canvas Tote', quantity: 1, price: '20.00' }
+    ],
+    shipping_address: {
+      name: 'John Doe', address1: '123 Main St', city: 'Springfield', province_code: 'IL', zip: '62701',
+      country: 'United States', country_code: 'US'
+    },
+    order_status_url: `https://${shopDomain}/orders/1001/status`,
+    fulfillments: [{
+      tracking_company: 'UPS',
+      tracking_number: '1Z999AA10123456784',
+      tracking_urls: ['https://www.ups.com/track?tracknum=1Z999AA10123456784']
+    }]
+  };
+}
+
+function sampleCheckout(shopDomain) {
+  return {
+    customer_name: 'John',
+    cart_value: 59.98,
+    line_items: [
+      { title: 'Classic T-Shirt', variant_id: 40000000001, quantity: 2, price: '19.99' },
+      { title: 'Canvas Tote', variant_id: 40000000002, quantity: 1, price: '20.00' }
+    ],
+    checkout_url: `https://${shopDomain}/checkouts/sample`
+  };
+}
+
+function sampleProduct(shopDomain) {
+  return {
+    customer_name: 'John',
+    product_name: 'Classic T-Shirt',
+    product_description: 'Soft cotton tee in five colours',
+    price: '19.99',
+    product_url: `https://${shopDomain}/products/classic-t-shirt`
+  };
+}
+
+// Notification data for a flow type from a REST order / abandoned_carts row.
+// settings: DatabaseQueries.getAutomationSettings()
+function buildData(shopDomain, flowType, { order, checkout }, settings = {}) {
+  switch (flowType) {
+    case 'abandoned_cart':
+      return NotificationData.abandonedCart(shopDomain, checkout);
+    case 'order_confirmation':
+      return NotificationData.order(shopDomain, order, settings);
+    case 'shipping_update':
+      return NotificationData.fulfillment(order, settings);
+    case 'order_delivered':
+    case 'review_request':
+      return NotificationData.reviewRequest(shopDomain, order);
+    case 'back_in_stock':
+      return sampleProduct(shopDomain);
+    default:
+      return NotificationData.customer(shopDomain, order.customer, settings);
+  }
+}
+
+function sampleData(shopDomain, flowType, settings = {}) {
+  return buildData(shopDomain, flowType, { order: sampleOrder(shopDomain), checkout: sampleCheckout(shopDomain) }, settings);
+}
+
+class FlowPreview {
+  getFlowTypes() {
+    return FLOW_TYPES;
+  }
+
+  getSourceType(flowType) {
+    return SOURCE_TYPES[flowType] || null;
+  }
+
+  // Placeholders a flow type can fill. Custom flows also get the alternative
+  // names added by NotificationManager.buildFlowData; any message can carry
+  // a discount code.
+  getSupportedPlaceholders(flowType, isFlow = true) {
+    const data = {
+      ...sampleData('example.myshopify.com', flowType),
+      discount_code: null,
+      discount_expires_at: null
+    };
+    return Object.keys(isFlow ? NotificationManager.buildFlowData(data) : data);
+  }
+
+  // Sample code for the flow's unique-code settings or offer of the default
+  // template, else the flow's shared code
+  sampleDiscount(flow, notificationType) {
+    const settings = flow ? flow.discount_settings : DiscountCodes.getDefaultOffer(notificationType);
+    if (settings) {
+      const { code, expiresAt } = DiscountCodes.sampleCode(settings);
+      return { discount_code: code, discount_expires_at: expiresAt };
+    }
+    return { discount_code: flow?.discount_code || null };
+  }
+
+  // Notification data for a flow type built from the sample order / checkout,
+  // also used by the test notification endpoints
+  async getSampleData(shopDomain, flowType) {
+    return sampleData(shopDomain, flowType, await DatabaseQueries.getAutomationSettings(shopDomain));
+  }
+
+  // Orders and abandoned checkouts to preview against
+  async getSources(shopDomain) {
+    const [orders, checkouts] = await Promise.all([
+      DatabaseQueries.getRecentOrders(shopDomain),
+      DatabaseQueries.getRecentAbandonedCarts(shopDomain)
+    ]);
+    return { orders, checkouts };
+  }
+
+  async loadData(shopDomain, flowType, source) {
+    if (!source || !source.type || source.type === 'sample') {
+      return this.getSampleData(shopDomain, flowType);
+    }
+
+    const expected = this.getSourceType(flowType);
+    if (source.type !== expected) {
+      throw new Error(expected
+        ? `${flowType} flows are previewed against ${expected === 'order' ? 'an order' : 'a checkout'}`
+        : `${flowType} flows can only be previewed with sample data`);
+    }
+
+    if (source.type === 'checkout') {
+      const checkout = await DatabaseQueries.getAbandonedCartByCheckoutId(shopDomain, String(source.id));
+      if (!checkout) {
+        throw new Error('Checkout not found');
+      }
+      return buildData(shopDomain, flowType, { checkout });
+    }
+
+    const [{ order }, settings] = await Promise.all([
+      ShopifyAdmin.rest(shopDomain, `orders/${encodeURIComponent(source.id)}.json`),
+      DatabaseQueries.getAutomationSettings(shopDomain)
+    ]);
+    return buildData(shopDomain, flowType, { order }, settings);
+  }
+
+  // flow: whatsapp_flows row shape (saved or from the editor), or null to
+  // preview the default template for notificationType.
+  // -> { flowType, text, media, interactive, placeholders, violations }
+  async preview(shopDomain, { flow = null, notificationType = null, language = 'en', source = null }) {
+    const flowType = flow ? flow.flow_type : NotificationManager.getFlowType(notificationType);
+    if (!FLOW_TYPES.includes(flowType)) {
+      throw new Error(`Unknown flow type: ${flowType || notificationType}`);
+    }
+
+    const templates = NotificationManager.templates;
+    const renderLanguage = flow
+      ? flow.language || language
+      : LanguageResolver.getFallbacks(language).find(candidate => templates[candidate]?.[notificationType]);
+    const content = flow ? flow.message_content || '' : templates[renderLanguage]?.[notificationType];
+    if (content === undefined) {
+      throw new Error(`No default template for ${notificationType}`);
+    }
+
+    const violations = [];
+    const data = NotificationManager.applyDiscount(await this.loadData(shopDomain, flowType, source), this.sampleDiscount(flow, notificationType));
+    const formatOptions = await NotificationManager.getFormatOptions(shopDomain, null, renderLanguage);
+    const renderData = flow ? NotificationManager.buildFlowData(data, formatOptions) : data;
+
+    const used = [];
+    const unknown = [];
+    let text = null;
+    try {
+      const parts = [content, flow?.footer_text].filter(Boolean);
+      parts.forEach(part => TemplateEngine.getPlaceholders(part).forEach(name => {
+        if (!used.includes(name)) used.push(name);
+      }));
+
+      const rendered = parts.map(part => TemplateEngine.render(part, renderData, formatOptions));
+      rendered.forEach(result => result.unknown.forEach(name => {
+        if (!unknown.includes(name)) unknown.push(name);
+      }));
+      text = rendered.map(result => result.text).join('\n\n');
+    } catch (error) {
+      violations.push({ level: 'error', field: 'messageContent', message: error.message });
+    }
+
+    const supported = this.getSupportedPlaceholders(flowType, !!flow);
+    const known = new Set(FLOW_TYPES.flatMap(type => this.getSupportedPlaceholders(type, !!flow)));
+    const unsupported = used.filter(name => known.has(name) && !supported.includes(name));
+    const placeholders = {
+      used,
+      supported,
+      // Not filled by any flow type, plus {{#each}} item fields the items do not have
+      unknown: [...new Set([
+        ...used.filter(name => !known.has(name)),
+        ...unknown.filter(name => !unsupported.includes(name))
+      ])],
+      unsupported
+    };
+
+    placeholders.unknown.forEach(name => violations.push({
+      level: 'error', field: 'messageContent', message: `Unknown placeholder {{${name}}}`
+    }));
+    placeholders.unsupported.forEach(name => violations.push({
+      level: 'warning', field: 'messageContent', message: `{{${name}}} is not available in ${flowType} messages and will be empty`
+    }));
+
+    let interactive = null;
+    let media = null;
+    if (text !== null) {
+      if (flow) {
+        this.checkButtons(flow, violations);
+        ({ body: text, interactive } = InteractiveButtons.buildForFlow(flow, renderData, text));
+        if (flow.button_text && !InteractiveButtons.getLinkUrl(renderData)) {
+          violations.push({ level: 'warning', field: 'buttonText', message: `${flowType} messages have no link, so the link button is not shown` });
+        }
+        media = await this.previewMedia(shopDomain, flow, data, text, violations);
+      }
+      this.checkText(text, !!interactive, violations);
+    }
+
+    return { flowType, language: renderLanguage, text, media, interactive, placeholders, violations };
+  }
+
+  checkText(text, hasButtons, violations) {
+    if (!text.trim()) {
+      violations.push({ level: 'error', field: 'messageContent', message: 'Message is empty' });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      violations.push({ level: 'error', field: 'messageContent', message: `Message is ${text.length} characters; WhatsApp allows ${MAX_TEXT_LENGTH}` });
+    }
+    if (hasButtons && text.length > MAX_INTERACTIVE_BODY_LENGTH) {
+      violations.push({ level: 'warning', field: 'messageContent', message: `Messages with buttons can be ${MAX_INTERACTIVE_BODY_LENGTH} characters; buttons will be dropped` });
+    }
+    if (/{{|}}/.test(text)) {
+      violations.push({ level: 'error', field: 'messageContent', message: 'Message contains unmatched {{ or }}' });
+    }
+  }
+
+  checkButtons(flow, violations) {
+    const quickReplies = Array.isArray(flow.quick_replies) ? flow.quick_replies : [];
+    const titles = quickReplies.map(reply => String(typeof reply === 'string' ? reply : reply?.title || '').trim());
+
+    if (quickReplies.length > MAX_QUICK_REPLIES) {
+      violations.push({ level: 'error', field: 'quickReplies', message: `WhatsApp allows ${MAX_QUICK_REPLIES} quick reply buttons; only the first ${MAX_QUICK_REPLIES} are sent` });
+    }
+    titles.filter(title => title.length > MAX_BUTTON_TITLE_LENGTH).forEach(title => violations.push({
+      level: 'error', field: 'quickReplies', message: `"${title}" is longer than ${MAX_BUTTON_TITLE_LENGTH} characters`
+    }));
+    if (new Set(titles.map(title => title.toLowerCase())).size !== titles.length) {
+      violations.push({ level: 'error', field: 'quickReplies', message: 'Quick reply buttons must have different titles' });
+    }
+    if (flow.button_text && flow.button_text.trim().length > MAX_BUTTON_TITLE_LENGTH) {
+      violations.push({ level: 'error', field: 'buttonText', message: `Button text is longer than ${MAX_BUTTON_TITLE_LENGTH} characters` });
+    }
+  }
+
+  // { url, contentType, size, source } for the flow image, or a description
+  // when the product image is only known once a real order is chosen
+  async previewMedia(shopDomain, flow, data, caption, violations) {
+    const imageType = flow.image_type || 'dynamic';
+    if (imageType === 'none') {
+      return null;
+    }
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      violations.push({ level: 'warning', field: 'imageType', message: `Image captions can be ${MAX_CAPTION_LENGTH} characters; the image will be dropped` });
+      return null;
+    }
+
+    try {
+      if (imageType === 'custom') {
+        if (!flow.image_url) {
+          throw new Error('Custom image URL is required');
+        }
+        return { ...(await MediaResolver.validate(flow.image_url)), source: 'custom' };
+      }
+
+      const item = Array.isArray(data.items) ? data.items.find(lineItem => lineItem.product_id) : null;
+      if (!item) {
+        return { url: null, source: 'product', description: 'Image of the first product in the cart or order' };
+      }
+      const url = await MediaResolver.getProductImageUrl(shopDomain, { productId: item.product_id, variantId: item.variant_id });
+      if (!url) {
+        violations.push({ level: 'warning', field: 'imageType', message: 'The product has no image; the message is sent as text' });
+        return null;
+      }
+      return { ...(await MediaResolver.validate(url)), source: 'product' };
+    } catch (error) {
+      violations.push({ level: imageType === 'custom' ? 'error' : 'warning', field: 'imageUrl', message: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new FlowPreview();
@@ -0,0 +1,109 @@
+// services/flowRevisions.js
+// Version history for WhatsApp flows. DatabaseQueries writes an immutable
+// flow_revisions row on every create, update and restore, and each flow
+// message records the revision it was rendered from. This service compares
+// two revisions and restores an old one (as a new revision, so the history
+// itself is never rewritten).
+const DatabaseQueries = require('../database/queries');
+
+// flow_revisions column -> flowData key used by create/updateWhatsAppFlow
+const FLOW_FIELDS = {
+  flow_name: 'flowName',
+  flow_type: 'flowType',
+  flow_example: 'flowExample',
+  language: 'language',
+  trigger_delay_minutes: 'triggerDelayMinutes',
+  message_content: 'messageContent',
+  footer_text: 'footerText',
+  discount_code: 'discountCode',
+  image_type: 'imageType',
+  image_url: 'imageUrl',
+  button_text: 'buttonText',
+  quick_replies: 'quickReplies',
+  discount_settings: 'discountSettings'
+};
+
+// Fields shown as a line diff rather than before / after values
+const TEXT_FIELDS = ['message_content', 'footer_text'];
+
+// Line diff from the longest common subsequence:
+// [{ type: 'same' | 'removed' | 'added', text }]
+function diffLines(before, after) {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+function summarize(revision) {
+  return {
+    id: revision.id,
+    revisionNumber: revision.revision_number,
+    changeType: revision.change_type,
+    restoredFromRevisionId: revision.restored_from_revision_id,
+    createdAt: revision.created_at
+  };
+}
+
+class FlowRevisions {
+  // Changes from one flow_revisions row to another
+  // -> { from, to, changes: [{ field, before, after, lines? }] }
+  diff(from, to) {
+    const changes = Object.keys(FLOW_FIELDS)
+      .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+      .map(field => {
+        const change = { field, before: from[field] ?? null, after: to[field] ?? null };
+        if (TEXT_FIELDS.includes(field)) {
+          change.lines = diffLines(from[field], to[field]);
+        }
+        return change;
+      });
+
+    return { from: summarize(from), to: summarize(to), changes };
+  }
+
+  // Make an old revision's content current again. The flow keeps its
+  // active / paused state; the restore is recorded as a new revision.
+  async restore(shopDomain, revision) {
+    const flowData = {};
+    Object.entries(FLOW_FIELDS).forEach(([field, key]) => {
+      flowData[key] = revision[field];
+    });
+
+    const result = await DatabaseQueries.updateWhatsAppFlow(revision.flow_id, shopDomain, flowData, {
+      changeType: 'restore',
+      restoredFromRevisionId: revision.id
+    });
+
+    if (result.changes > 0) {
+      console.log(`⏪ Flow ${revision.flow_id} restored to revision ${revision.revision_number} (${shopDomain})`);
+    }
+    return result;
+  }
+}
+
+module.exports = new FlowRevisions();
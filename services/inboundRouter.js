@@ -0,0 +1,84 @@
+// services/inboundRouter.js
+// Decides which shop an inbound WhatsApp message belongs to. A number owned
+// by one shop (whatsapp_senders) routes straight to it; on a shared number
+// the customer's shops are narrowed down by recent conversation, and if that
+// is still ambiguous the customer is asked to pick one.
+const DatabaseQueries = require('../database/queries');
+
+// How long a customer's shop choice and recent outbound messages count as context
+const ROUTE_CONTEXT_HOURS = 24;
+
+function shopLabel(shop) {
+  return shop.shop_name || shop.shop_domain.replace('.myshopify.com', '');
+}
+
+function isWithinHours(timestamp, hours) {
+  if (!timestamp) return false;
+  const updatedAt = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  return Date.now() - updatedAt.getTime() < hours * 60 * 60 * 1000;
+}
+
+class InboundRouter {
+  // Resolves { shopDomain } when the shop is known; ownedNumber is set when the
+  // To number belongs to that shop. When the customer just answered a prompt,
+  // pendingMessage holds the message that triggered it. When a prompt is
+  // needed, shopDomain is null and prompt holds its text.
+  async resolve(customerPhone, senderNumber, messageBody) {
+    const owner = await DatabaseQueries.getShopBySenderNumber(senderNumber);
+    if (owner) {
+      return { shopDomain: owner.shop_domain, ownedNumber: true };
+    }
+
+    const candidates = await DatabaseQueries.getAllShopsForCustomerPhone(customerPhone);
+    const candidateDomains = candidates.map(shop => shop.shop_domain);
+    const route = await DatabaseQueries.getInboundRoute(customerPhone, senderNumber);
+
+    if (route?.status === 'pending') {
+      const choice = parseInt(messageBody.trim(), 10);
+      const chosenShop = route.options[choice - 1];
+      if (chosenShop && candidateDomains.includes(chosenShop)) {
+        await DatabaseQueries.selectInboundRoute(customerPhone, senderNumber, chosenShop);
+        console.log(`🏪 Customer ${customerPhone} selected shop ${chosenShop}`);
+        return { shopDomain: chosenShop, pendingMessage: route.pending_message };
+      }
+    }
+
+    if (route?.status === 'selected' &&
+        candidateDomains.includes(route.shop_domain) &&
+        isWithinHours(route.updated_at, ROUTE_CONTEXT_HOURS)) {
+      return { shopDomain: route.shop_domain };
+    }
+
+    if (candidates.length === 0) {
+      return { shopDomain: null };
+    }
+
+    if (candidates.length === 1) {
+      return { shopDomain: candidateDomains[0] };
+    }
+
+    // A reply to a recent message from exactly one of the shops belongs to that shop
+    const recentShops = (await DatabaseQueries.getShopsRecentlyMessagingCustomer(customerPhone, ROUTE_CONTEXT_HOURS))
+      .filter(shopDomain => candidateDomains.includes(shopDomain));
+    if (recentShops.length === 1) {
+      return { shopDomain: recentShops[0] };
+    }
+
+    // Keep the original message unless this is a repeat of an unanswered prompt
+    const pendingMessage = route?.status === 'pending' && route.pending_message
+      ? route.pending_message
+      : messageBody;
+    await DatabaseQueries.saveInboundRoutePrompt(customerPhone, senderNumber, candidateDomains, pendingMessage);
+
+    return { shopDomain: null, prompt: this.buildPrompt(candidates) };
+  }
+
+  buildPrompt(shops) {
+    const options = shops.map((shop, index) => `${index + 1}. ${shopLabel(shop)}`).join('\n');
+    return `Hi! 👋 You're a customer of several stores using this number.\n\n` +
+           `Which store is your message about?\n\n${options}\n\n` +
+           `Reply with the number of the store.`;
+  }
+}
+
+module.exports = new InboundRouter();
@@ -0,0 +1,173 @@
+// services/interactiveButtons.js
+// Quick-reply and call-to-action buttons for flow messages. A flow's
+// quick_replies become reply buttons whose payload names an action, and its
+// button_text becomes a URL button for the message's main link (checkout,
+// order status, tracking, ...). When the customer taps a reply button the
+// webhook gets the payload back and the action runs instead of the generic
+// auto-reply.
+const DatabaseQueries = require('../database/queries');
+const ReminderSuppression = require('./reminderSuppression');
+
+const BUTTON_ACTIONS = {
+  talk_to_agent: 'Talk to agent',
+  stop_reminders: 'Stop reminders',
+  resend_link: 'Resend link'
+};
+
+// WhatsApp limits for session (non-template) interactive messages
+const MAX_QUICK_REPLIES = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_INTERACTIVE_BODY_LENGTH = 1024;
+
+// Notification data keys holding the link a flow's button points to, most specific first
+const LINK_KEYS = ['checkout_url', 'order_status_url', 'tracking_url', 'product_url', 'review_url', 'shop_url'];
+
+// Flows saved before actions were configurable store plain button titles
+function guessAction(title) {
+  const text = title.toLowerCase();
+  if (/stop|unsubscribe|no more|parar|توقف/.test(text)) return 'stop_reminders';
+  if (/link|resend|enlace|رابط/.test(text)) return 'resend_link';
+  return 'talk_to_agent';
+}
+
+class InteractiveButtons {
+  getActions() {
+    return Object.entries(BUTTON_ACTIONS).map(([action, label]) => ({ action, label }));
+  }
+
+  isValidAction(action) {
+    return Object.prototype.hasOwnProperty.call(BUTTON_ACTIONS, action);
+  }
+
+  // Flow quick_replies (strings or { title, action }) -> [{ title, action }]
+  normalizeQuickReplies(quickReplies) {
+    return (Array.isArray(quickReplies) ? quickReplies : [])
+      .map(reply => (typeof reply === 'string' ? { title: reply } : reply || {}))
+      .map(reply => {
+        const title = String(reply.title || '').trim().slice(0, MAX_BUTTON_TITLE_LENGTH);
+        const action = this.isValidAction(reply.action) ? reply.action : guessAction(title);
+        return { title, action };
+      })
+      .filter(reply => reply.title)
+      .slice(0, MAX_QUICK_REPLIES);
+  }
+
+  // Button ids must be unique within a message, so the position is kept too
+  buildPayload(action, flowId, index) {
+    return `${action}:${flowId || 0}:${index}`;
+  }
+
+  // Button payload -> { action, flowId }, or null when it is not one of ours
+  parsePayload(payload) {
+    const [action, flowId] = String(payload || '').split(':');
+    if (!this.isValidAction(action)) {
+      return null;
+    }
+    return { action, flowId: parseInt(flowId, 10) || null };
+  }
+
+  getLinkUrl(data) {
+    for (const key of LINK_KEYS) {
+      if (typeof data[key] === 'string' && data[key].startsWith('https://')) {
+        return data[key];
+      }
+    }
+    return null;
+  }
+
+  // { body, interactive } for a flow message. interactive is
+  // { buttons: [{ id, title }], cta: { text, url } } or null when the flow has
+  // no buttons. WhatsApp does not combine reply and URL buttons outside
+  // templates, so with both the reply buttons are shown and the link is kept
+  // in the text.
+  buildForFlow(flow, data, body) {
+    const buttons = this.normalizeQuickReplies(flow.quick_replies)
+      .map((reply, index) => ({ id: this.buildPayload(reply.action, flow.id, index), title: reply.title }));
+
+    const url = this.getLinkUrl(data || {});
+    const cta = url && flow.button_text
+      ? { text: String(flow.button_text).trim().slice(0, MAX_BUTTON_TITLE_LENGTH), url }
+      : null;
+
+    if (buttons.length === 0 && !cta) {
+      return { body, interactive: null };
+    }
+
+    let text = body;
+    if (buttons.length > 0 && cta && !text.includes(cta.url)) {
+      text += `\n\n${cta.text}: ${cta.url}`;
+    }
+
+    if (text.length > MAX_INTERACTIVE_BODY_LENGTH) {
+      console.warn(`⚠️ Message is longer than ${MAX_INTERACTIVE_BODY_LENGTH} characters; sending "${flow.flow_name}" without buttons`);
+      return { body, interactive: null };
+    }
+
+    return { body: text, interactive: { buttons, cta } };
+  }
+
+  // Action for a tapped button. Providers that do not echo the payload back
+  // are matched on the button title.
+  resolveAction(inbound) {
+    const parsed = this.parsePayload(inbound.buttonPayload);
+    if (parsed) {
+      return parsed.action;
+    }
+
+    const title = String(inbound.buttonText || '').trim().toLowerCase();
+    const match = Object.entries(BUTTON_ACTIONS).find(([, label]) => label.toLowerCase() === title);
+    return match ? match[0] : null;
+  }
+
+  // Runs a button action and resolves the reply to send as
+  // { body, interactive }, or null when nothing should be sent
+  async runAction(action, { shopDomain, customerPhone }) {
+    console.log(`🔘 Button action ${action} from ${customerPhone} (${shopDomain})`);
+
+    switch (action) {
+      case 'talk_to_agent': {
+        const conversation = await DatabaseQueries.getConversation(shopDomain, customerPhone);
+        if (conversation) {
+          await DatabaseQueries.updateConversation(shopDomain, conversation.id, { status: 'open' });
+          await DatabaseQueries.addConversationNote(shopDomain, conversation.id, {
+            body: 'Customer asked to talk to an agent'
+          });
+        }
+        await ReminderSuppression.suppressCustomer(shopDomain, customerPhone, 'customer_replied', {
+          detail: 'Asked to talk to an agent'
+        });
+        return {
+          body: `Connecting you with our team. Someone will reply here shortly.`,
+          interactive: null
+        };
+      }
+
+      case 'stop_reminders': {
+        await ReminderSuppression.suppressCustomer(shopDomain, customerPhone, 'stop_requested', { includeReviews: false });
+        return {
+          body: `Got it, we won't send you any more reminders about your cart. Reply here anytime if you need help.`,
+          interactive: null
+        };
+      }
+
+      case 'resend_link': {
+        const cta = await DatabaseQueries.getLastCallToAction(shopDomain, customerPhone);
+        if (!cta) {
+          return {
+            body: `Sorry, we couldn't find a link to resend. Reply here and our team will help you.`,
+            interactive: null
+          };
+        }
+        return {
+          body: `Here's your link again 👇\n\n${cta.url}`,
+          interactive: { buttons: [], cta }
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new InteractiveButtons();
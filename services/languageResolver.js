@@ -0,0 +1,71 @@
+// services/languageResolver.js
+// Picks the language a customer is messaged in. Candidates are tried in a
+// fixed order and the first one with a notification catalog wins:
+//
+//   1. the order / checkout customer_locale, i.e. the storefront language
+//      the customer just shopped in
+//   2. the Shopify customer locale
+//   3. customers.language (the language last resolved for this customer)
+//   4. English
+//
+// Locales are reduced to their language ('es-MX' -> 'es') and unsupported
+// ones are skipped. When a Shopify locale wins it is saved on the customer so
+// later messages without one (reminders, campaigns, replies) use it too.
+const DatabaseQueries = require('../database/queries');
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'ar'];
+const DEFAULT_LANGUAGE = 'en';
+const RTL_LANGUAGES = ['ar'];
+
+class LanguageResolver {
+  getSupportedLanguages() {
+    return SUPPORTED_LANGUAGES;
+  }
+
+  // 'es-MX', 'es_mx', 'ES' -> 'es'; null when not supported
+  normalize(locale) {
+    const language = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+  }
+
+  isRtl(language) {
+    return RTL_LANGUAGES.includes(language);
+  }
+
+  // Languages to try for a catalog entry, most specific first
+  getFallbacks(language) {
+    const normalized = this.normalize(language);
+    return normalized && normalized !== DEFAULT_LANGUAGE
+      ? [normalized, DEFAULT_LANGUAGE]
+      : [DEFAULT_LANGUAGE];
+  }
+
+  // First supported language among the candidates, in the order given
+  pick(...candidates) {
+    for (const candidate of candidates.flat()) {
+      const language = this.normalize(candidate);
+      if (language) {
+        return language;
+      }
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  // locale: the event's customer_locale, else the Shopify customer locale
+  // (NotificationData puts whichever is known in data.customer_locale)
+  async resolve(shopDomain, customerPhone, locale = null) {
+    const eventLanguage = this.normalize(locale);
+    const customer = await DatabaseQueries.getCustomerByPhone(shopDomain, customerPhone);
+    if (!eventLanguage) {
+      return this.pick(customer?.language);
+    }
+
+    if (customer && customer.language !== eventLanguage) {
+      await DatabaseQueries.updateCustomerLanguage(shopDomain, customerPhone, eventLanguage);
+      console.log(`🌐 Customer ${customerPhone} language set to ${eventLanguage}`);
+    }
+    return eventLanguage;
+  }
+}
+
+module.exports = new LanguageResolver();
@@ -0,0 +1,152 @@
+// services/linkTracker.js
+// Click tracking for outbound messages. MessageQueue.enqueue swaps every URL
+// in the message text, approved template variables and link button for a
+// short link on the app (SHOPIFY_APP_URL/l/<token>). Each link records the
+// message, customer, flow and campaign it went out with, and its destination
+// carries UTM tags so the storefront analytics see WhatsApp traffic too.
+// Without SHOPIFY_APP_URL there is nowhere to redirect from, so URLs are
+// sent unchanged.
+const crypto = require('crypto');
+const DatabaseQueries = require('../database/queries');
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/g;
+// Sentence punctuation right after a URL is not part of it
+const TRAILING_PUNCTUATION = /[.,!?;:)\]}»]+$/;
+
+const TOKEN_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const TOKEN_LENGTH = 10;
+
+// Link preview fetchers (WhatsApp fetches every link it shows a card for)
+// and other crawlers; their requests are not clicks
+const BOT_USER_AGENTS = /bot\b|crawler|spider|preview|facebookexternalhit|WhatsApp\/|Twitterbot|Slackbot|TelegramBot|Discordbot|curl\/|wget/i;
+
+class LinkTracker {
+  getBaseUrl() {
+    const appUrl = process.env.SHOPIFY_APP_URL;
+    return appUrl ? `${appUrl.replace(/\/+$/, '')}/l/` : null;
+  }
+
+  isBot(userAgent) {
+    return !userAgent || BOT_USER_AGENTS.test(userAgent);
+  }
+
+  generateToken() {
+    const bytes = crypto.randomBytes(TOKEN_LENGTH);
+    return Array.from(bytes, byte => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]).join('');
+  }
+
+  // UTM tags the message does not already set on the URL
+  addUtmParameters(url, { messageType, flowId, campaignId }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    const tags = {
+      utm_source: 'whatsapp',
+      utm_medium: campaignId ? 'campaign' : 'automation',
+      utm_campaign: campaignId ? `campaign_${campaignId}` : messageType,
+      utm_content: flowId ? `flow_${flowId}` : null
+    };
+    Object.entries(tags).forEach(([name, value]) => {
+      if (value && !parsed.searchParams.has(name)) {
+        parsed.searchParams.set(name, value);
+      }
+    });
+    return parsed.toString();
+  }
+
+  // Replace the URLs in a message with short links.
+  // context: { shopDomain, customerPhone, messageType, flowId, campaignId }
+  // -> { body, template, interactive, links } where links are saved with
+  // save() once the message row exists. The same URL gets the same link
+  // everywhere in one message.
+  rewrite({ body, template = null, interactive = null }, context) {
+    const baseUrl = this.getBaseUrl();
+    if (!baseUrl) {
+      return { body, template, interactive, links: [] };
+    }
+
+    const links = new Map();
+    const shorten = url => {
+      if (url.startsWith(baseUrl)) return url;
+      if (!links.has(url)) {
+        links.set(url, { token: this.generateToken(), destinationUrl: this.addUtmParameters(url, context) });
+      }
+      return baseUrl + links.get(url).token;
+    };
+    const rewriteText = text => (typeof text === 'string'
+      ? text.replace(URL_PATTERN, match => {
+        const trailing = (match.match(TRAILING_PUNCTUATION) || [''])[0];
+        const url = trailing ? match.slice(0, -trailing.length) : match;
+        return shorten(url) + trailing;
+      })
+      : text);
+
+    return {
+      body: rewriteText(body),
+      template: template
+        ? { ...template, variables: (template.variables || []).map(rewriteText) }
+        : null,
+      interactive: interactive?.cta?.url
+        ? { ...interactive, cta: { ...interactive.cta, url: rewriteText(interactive.cta.url) } }
+        : interactive,
+      links: [...links.values()]
+    };
+  }
+
+  async save(links, messageId, context) {
+    for (const link of links) {
+      try {
+        await DatabaseQueries.createTrackedLink({
+          shop_domain: context.shopDomain,
+          token: link.token,
+          message_id: messageId,
+          customer_phone: context.customerPhone,
+          flow_id: context.flowId,
+          campaign_id: context.campaignId,
+          message_type: context.messageType,
+          destination_url: link.destinationUrl
+        });
+      } catch (error) {
+        console.error(`❌ Could not save tracked link for message ${messageId}:`, error.message);
+      }
+    }
+  }
+
+  // Destination for a short link, recording the click; null for unknown tokens
+  async click(token, userAgent) {
+    const link = await DatabaseQueries.getTrackedLink(token);
+    if (!link) {
+      return null;
+    }
+
+    const isBot = this.isBot(userAgent);
+    await DatabaseQueries.recordLinkClick(link.id, userAgent, isBot);
+    if (!isBot) {
+      console.log(`🔗 Link clicked by ${link.customer_phone || 'unknown'} (message ${link.message_id})`);
+    }
+    return link.destination_url;
+  }
+
+  // Click-through rates by message type, flow or campaign
+  // -> { [key]: { messagesWithLinks, clickedMessages, clicks, clickRate } }
+  async getStats(shopDomain, groupBy = 'message_type', days = null) {
+    const rows = await DatabaseQueries.getLinkClickStats(shopDomain, groupBy, days);
+    const stats = {};
+    rows.forEach(row => {
+      stats[row.group_key] = {
+        messagesWithLinks: row.messages_with_links,
+        clickedMessages: row.clicked_messages,
+        clicks: row.clicks,
+        clickRate: row.messages_with_links > 0
+          ? ((row.clicked_messages / row.messages_with_links) * 100).toFixed(1)
+          : '0'
+      };
+    });
+    return stats;
+  }
+}
+
+module.exports = new LinkTracker();
@@ -0,0 +1,216 @@
+// services/localeFormat.js
+// Money, date and address formatting for notifications. Every function takes
+// the format options NotificationManager.getFormatOptions builds for a send:
+//
+//   { locale, timeZone, shopCurrency, moneyFormat, shopCountry }
+//
+// Amounts in the shop's own currency use the shop's Shopify money format
+// ("${{amount}}", "{{amount_with_comma_separator}} €", ...); amounts in another
+// (presentment) currency use Intl in the customer's locale. Dates are shown in
+// the customer's timezone and addresses in the destination country's order.
+
+// Shopify money format placeholders -> [decimals, thousands separator, decimal separator]
+const MONEY_PLACEHOLDERS = {
+  amount: [2, ',', '.'],
+  amount_no_decimals: [0, ',', '.'],
+  amount_with_comma_separator: [2, '.', ','],
+  amount_no_decimals_with_comma_separator: [0, '.', ','],
+  amount_with_apostrophe_separator: [2, "'", '.'],
+  amount_no_decimals_with_space_separator: [0, ' ', ','],
+  amount_with_space_separator: [2, ' ', ','],
+  amount_with_period_and_space_separator: [2, ' ', '.']
+};
+
+// Address lines per country; a line whose fields are all empty is dropped
+const DEFAULT_ADDRESS_FORMAT = ['{name}', '{company}', '{address1}', '{address2}', '{city}, {province} {zip}', '{country}'];
+const POSTCODE_FIRST_FORMAT = ['{name}', '{company}', '{address1}', '{address2}', '{zip} {city}', '{country}'];
+const GULF_ADDRESS_FORMAT = ['{name}', '{company}', '{address1}', '{address2}', '{city} {zip}', '{province}', '{country}'];
+
+const ADDRESS_FORMATS = {
+  US: ['{name}', '{company}', '{address1}', '{address2}', '{city}, {province_code} {zip}', '{country}'],
+  CA: ['{name}', '{company}', '{address1}', '{address2}', '{city} {province_code} {zip}', '{country}'],
+  AU: ['{name}', '{company}', '{address1}', '{address2}', '{city} {province_code} {zip}', '{country}'],
+  GB: ['{name}', '{company}', '{address1}', '{address2}', '{city}', '{zip}', '{country}'],
+  IE: ['{name}', '{company}', '{address1}', '{address2}', '{city}', '{province}', '{zip}', '{country}'],
+  IT: ['{name}', '{company}', '{address1}', '{address2}', '{zip} {city} {province_code}', '{country}'],
+  ES: ['{name}', '{company}', '{address1}', '{address2}', '{zip} {city}', '{province}', '{country}'],
+  MX: ['{name}', '{company}', '{address1}', '{address2}', '{zip} {city}, {province}', '{country}'],
+  BR: ['{name}', '{company}', '{address1}', '{address2}', '{city} - {province_code}', '{zip}', '{country}'],
+  IN: ['{name}', '{company}', '{address1}', '{address2}', '{city} {zip}', '{province}', '{country}'],
+  JP: ['{country}', '〒{zip}', '{province}{city}', '{address1}', '{address2}', '{company}', '{name}']
+};
+['DE', 'AT', 'CH', 'FR', 'BE', 'NL', 'LU', 'DK', 'SE', 'NO', 'FI', 'PT', 'PL', 'CZ', 'TR']
+  .forEach(country => { ADDRESS_FORMATS[country] = POSTCODE_FIRST_FORMAT; });
+['SA', 'AE', 'KW', 'QA', 'BH', 'OM', 'EG', 'JO', 'MA']
+  .forEach(country => { ADDRESS_FORMATS[country] = GULF_ADDRESS_FORMAT; });
+
+// Estimated delivery and similar spans of calendar days (UTC midnights),
+// formatted as one localized range
+class DateRange {
+  constructor(start, end) {
+    this.start = start;
+    this.end = end;
+  }
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function delimit(amount, decimals, thousands, decimal) {
+  const [whole, fraction] = Math.abs(amount).toFixed(decimals).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+  return `${amount < 0 ? '-' : ''}${grouped}${fraction ? decimal + fraction : ''}`;
+}
+
+// Shop money formats may carry storefront HTML (<span class=money>)
+function applyMoneyFormat(amount, moneyFormat) {
+  return moneyFormat
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+      const placeholder = MONEY_PLACEHOLDERS[name] || MONEY_PLACEHOLDERS.amount;
+      return delimit(amount, ...placeholder);
+    })
+    .trim();
+}
+
+class LocaleFormat {
+  // 'es' + shop country 'MX' -> 'es-MX-u-nu-latn'. Digits stay Latin so
+  // amounts match the order numbers and codes around them.
+  resolveLocale(language, country = null) {
+    const candidates = [country ? `${language}-${country}` : null, language, 'en'].filter(Boolean);
+    for (const candidate of candidates) {
+      try {
+        const [locale] = Intl.getCanonicalLocales(`${candidate}-u-nu-latn`);
+        if (Intl.NumberFormat.supportedLocalesOf([locale]).length > 0) {
+          return locale;
+        }
+      } catch (error) {
+        // Invalid tag: try the next candidate
+      }
+    }
+    return 'en';
+  }
+
+  isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+      new Intl.DateTimeFormat('en', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  formatMoney(value, currency, options = {}) {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount)) return String(value ?? '');
+
+    const code = currency || options.shopCurrency;
+    if (options.moneyFormat && (!code || code === options.shopCurrency)) {
+      return applyMoneyFormat(amount, options.moneyFormat);
+    }
+    if (!code) {
+      return amount.toFixed(2);
+    }
+    try {
+      return new Intl.NumberFormat(options.locale, { style: 'currency', currency: code }).format(amount);
+    } catch (error) {
+      return `${code} ${amount.toFixed(2)}`;
+    }
+  }
+
+  formatDate(value, options = {}, style = 'medium') {
+    const date = toDate(value);
+    if (!date) return String(value ?? '');
+    return new Intl.DateTimeFormat(options.locale, {
+      dateStyle: style || 'medium',
+      timeZone: this.isValidTimeZone(options.timeZone) ? options.timeZone : 'UTC'
+    }).format(date);
+  }
+
+  // Date and time of day, e.g. when an offer ends
+  formatDateTime(value, options = {}, style = 'medium') {
+    const date = toDate(value);
+    if (!date) return String(value ?? '');
+    return new Intl.DateTimeFormat(options.locale, {
+      dateStyle: style || 'medium',
+      timeStyle: 'short',
+      timeZone: this.isValidTimeZone(options.timeZone) ? options.timeZone : 'UTC'
+    }).format(date);
+  }
+
+  // "Tue, Oct 20 – Fri, Oct 23". Ranges hold calendar days, so they are not
+  // shifted into the customer's timezone.
+  formatDateRange(range, options = {}) {
+    const start = toDate(range.start);
+    const end = toDate(range.end) || start;
+    if (!start) return '';
+    const format = new Intl.DateTimeFormat(options.locale, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+    return end.getTime() === start.getTime() ? format.format(start) : format.formatRange(start, end);
+  }
+
+  // Calendar day (UTC midnight) `days` business days after value, skipping
+  // Saturdays and Sundays
+  addBusinessDays(value, days) {
+    const date = new Date(toDate(value) || Date.now());
+    date.setUTCHours(0, 0, 0, 0);
+    let remaining = days;
+    while (remaining > 0) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      const day = date.getUTCDay();
+      if (day !== 0 && day !== 6) remaining--;
+    }
+    return date;
+  }
+
+  // Shopify address -> lines in the destination country's order. The
+  // country is left out for domestic addresses and named in the customer's
+  // language otherwise.
+  formatAddress(address, options = {}) {
+    if (!address || typeof address !== 'object') return [];
+
+    const countryCode = String(address.country_code || '').toUpperCase();
+    let country = address.country || '';
+    if (countryCode && countryCode === options.shopCountry) {
+      country = '';
+    } else if (countryCode) {
+      try {
+        country = new Intl.DisplayNames([options.locale || 'en'], { type: 'region' }).of(countryCode) || country;
+      } catch (error) {
+        // Keep Shopify's English country name
+      }
+    }
+
+    const fields = {
+      ...address,
+      name: address.name || [address.first_name, address.last_name].filter(Boolean).join(' '),
+      province: address.province || address.province_code,
+      province_code: address.province_code || address.province,
+      country
+    };
+
+    return (ADDRESS_FORMATS[countryCode] || DEFAULT_ADDRESS_FORMAT)
+      .map(line => {
+        const names = [...line.matchAll(/{(\w+)}/g)].map(match => match[1]);
+        if (names.every(name => !fields[name])) return null;
+        return line
+          .replace(/{(\w+)}/g, (match, name) => fields[name] || '')
+          .replace(/\s{2,}/g, ' ')
+          .replace(/^[\s,-]+|[\s,-]+$/g, '')
+          .replace(/\s+,/g, ',');
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = new LocaleFormat();
+module.exports.DateRange = DateRange;
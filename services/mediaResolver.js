@@ -0,0 +1,136 @@
+// services/mediaResolver.js
+// Images attached to flow messages. A flow's image_type is 'custom' (the
+// static image_url), 'dynamic' (the first cart/order line item's product
+// image, looked up through the Admin API) or 'none'. Sends only record which
+// image they want; the queue worker looks it up and checks the URL when it
+// delivers the message, so webhooks and the scheduler never wait on it.
+// WhatsApp rejects the whole message when the media cannot be fetched, is
+// not a supported type or is too large.
+const ShopifyAdmin = require('./shopifyAdmin');
+
+// WhatsApp image limits (Twilio and Meta Cloud API)
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// Media captions longer than this are rejected by the Cloud API
+const MAX_CAPTION_LENGTH = 1024;
+
+const PRODUCT_IMAGE_QUERY = `
+  query productImage($productId: ID!, $variantId: ID!, $hasVariant: Boolean!) {
+    productVariant(id: $variantId) @include(if: $hasVariant) {
+      image { url }
+    }
+    product(id: $productId) {
+      featuredImage { url }
+    }
+  }
+`;
+
+class MediaValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaValidationError';
+  }
+}
+
+class MediaResolver {
+  // Resolves { url, contentType, size } or throws MediaValidationError
+  async validate(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new MediaValidationError('Image URL is not a valid URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new MediaValidationError('Image URL must use https');
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(5000) });
+      // Some hosts do not answer HEAD; ask for the first byte instead
+      if (response.status === 405 || response.status === 403) {
+        response = await fetch(url, { headers: { Range: 'bytes=0-0' }, redirect: 'follow', signal: AbortSignal.timeout(5000) });
+        response.body?.cancel();
+      }
+    } catch (error) {
+      throw new MediaValidationError(`Image could not be fetched: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new MediaValidationError(`Image could not be fetched (HTTP ${response.status})`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!SUPPORTED_IMAGE_TYPES.includes(contentType)) {
+      throw new MediaValidationError(`Unsupported image type "${contentType || 'unknown'}" (use JPEG or PNG)`);
+    }
+
+    const contentRange = response.headers.get('content-range');
+    const size = contentRange
+      ? parseInt(contentRange.split('/')[1], 10)
+      : parseInt(response.headers.get('content-length'), 10);
+    if (size > MAX_IMAGE_BYTES) {
+      throw new MediaValidationError(`Image is ${(size / 1024 / 1024).toFixed(1)} MB; WhatsApp allows up to 5 MB`);
+    }
+
+    return { url: response.url || url, contentType, size: Number.isFinite(size) ? size : null };
+  }
+
+  // Variant image when it has one, otherwise the product's featured image
+  async getProductImageUrl(shopDomain, { productId, variantId }) {
+    const data = await ShopifyAdmin.graphql(shopDomain, PRODUCT_IMAGE_QUERY, {
+      productId: ShopifyAdmin.toGid('Product', productId),
+      variantId: variantId ? ShopifyAdmin.toGid('ProductVariant', variantId) : '',
+      hasVariant: !!variantId
+    });
+
+    return data?.productVariant?.image?.url || data?.product?.featuredImage?.url || null;
+  }
+
+  // What image a flow message carries, worked out without any network call
+  // so it can be queued with the message: { source: 'custom', url },
+  // { source: 'product', productId, variantId } or null
+  getFlowMediaRequest(flow, data, caption = '') {
+    const imageType = flow.image_type || 'dynamic';
+    if (imageType === 'none') {
+      return null;
+    }
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      console.warn(`⚠️ Message is longer than ${MAX_CAPTION_LENGTH} characters; sending "${flow.flow_name}" without its image`);
+      return null;
+    }
+
+    if (imageType === 'custom') {
+      return flow.image_url ? { source: 'custom', url: flow.image_url } : null;
+    }
+    const item = Array.isArray(data.items) ? data.items.find(lineItem => lineItem.product_id) : null;
+    return item ? { source: 'product', productId: item.product_id, variantId: item.variant_id || null } : null;
+  }
+
+  // The queued media request as { url, contentType, size, source } or null;
+  // called by the queue worker right before delivery. Failures are logged
+  // and the message goes out as text only.
+  async resolveRequest(shopDomain, request) {
+    if (!request) {
+      return null;
+    }
+
+    try {
+      const url = request.source === 'custom'
+        ? request.url
+        : await this.getProductImageUrl(shopDomain, { productId: request.productId, variantId: request.variantId });
+      if (!url) {
+        return null;
+      }
+
+      const media = await this.validate(url);
+      return { ...media, source: request.source };
+    } catch (error) {
+      console.warn(`⚠️ Skipping ${request.source} image (${shopDomain}): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new MediaResolver();
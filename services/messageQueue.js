@@ -0,0 +1,306 @@
+// services/messageQueue.js
+// SQLite-backed outbound queue. Send paths enqueue and return immediately;
+// the worker loop leases jobs, sends them through the shop's messaging
+// provider and retries with exponential backoff until a job is sent or
+// dead-lettered.
+const DatabaseQueries = require('../database/queries');
+const ClientFactory = require('./clientFactory');
+const LinkTracker = require('./linkTracker');
+const MediaResolver = require('./mediaResolver');
+const DiscountCodes = require('./discountCodes');
+
+const POLL_INTERVAL_MS = 5000;
+const LEASE_SECONDS = 60;
+const SEND_INTERVAL_MS = 250;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+// Shops without a usable account keep their messages queued and are checked again later
+const UNCONFIGURED_RETRY_SECONDS = 5 * 60;
+
+// Lower number is leased first, so order updates are not stuck behind campaigns
+const PRIORITY = {
+  transactional: 0,
+  manual: 0,
+  marketing: 10
+};
+
+// 4xx responses (other than rate limiting) will fail the same way on every retry
+function isPermanentError(error) {
+  return error.status >= 400 && error.status < 500 && error.status !== 429;
+}
+
+class MessageQueue {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    // Provider results of jobs that were sent but could not be marked sent;
+    // when such a job is leased again it is only recorded, not sent again
+    this.unrecorded = new Map();
+  }
+
+  // Record the message as 'queued' and add a delivery job for it.
+  // template ({ name, contentSid, language, variables }), media ({ url, contentType })
+  // and interactive ({ buttons, cta }) are passed through to the provider; body is
+  // still stored as the message text. mediaRequest (MediaResolver.getFlowMediaRequest)
+  // is an image the worker looks up when it delivers the job, for sends that
+  // cannot wait on the Admin API and the image host. flowRevisionId records the flow revision
+  // the body was rendered from. discountId is a code reserved for the body
+  // (DiscountCodes.issue) that the worker creates in Shopify before sending;
+  // withoutOffer ({ body, template, interactive }) is the same message rendered
+  // without the code, sent instead when Shopify will not create it.
+  // trigger ({ type, id }) is the cart or order an
+  // automated message was scheduled for, so suppressing it cancels the job
+  // (services/reminderSuppression.js).
+  async enqueue({
+    shopDomain,
+    customerPhone,
+    customerName = null,
+    body,
+    messageType = 'whatsapp',
+    cost = 0,
+    campaignId = null,
+    priority = 'transactional',
+    availableAt = null,
+    fromNumber = null,
+    template = null,
+    media = null,
+    mediaRequest = null,
+    interactive = null,
+    flowRevisionId = null,
+    flowId = null,
+    trackLinks = true,
+    discountId = null,
+    withoutOffer = null,
+    trigger = null
+  }) {
+    const phone = customerPhone.replace('whatsapp:', '');
+
+    // URLs go out as tracked short links (staff-typed messages are sent as written)
+    const linkContext = { shopDomain, customerPhone: phone, messageType, flowId, campaignId };
+    let links = [];
+    if (trackLinks) {
+      ({ body, template, interactive, links } = LinkTracker.rewrite({ body, template, interactive }, linkContext));
+      if (withoutOffer) {
+        const { links: fallbackLinks, ...rewritten } = LinkTracker.rewrite(withoutOffer, linkContext);
+        withoutOffer = rewritten;
+        links = links.concat(fallbackLinks);
+      }
+    }
+
+    const messageId = await DatabaseQueries.saveMessage({
+      shop_domain: shopDomain,
+      customer_phone: phone,
+      customer_name: customerName,
+      message_type: messageType,
+      message_body: body,
+      twilio_status: 'queued',
+      cost,
+      campaign_id: campaignId,
+      // A template send carries no media or buttons, so only record what is actually attached
+      media_url: template ? null : media?.url,
+      media_type: template ? null : media?.contentType,
+      buttons: template ? null : interactive,
+      flow_revision_id: flowRevisionId
+    });
+    await LinkTracker.save(links, messageId, linkContext);
+
+    await DatabaseQueries.touchConversation(shopDomain, phone, 'outbound', customerName);
+
+    const jobId = await DatabaseQueries.enqueueMessageJob({
+      shop_domain: shopDomain,
+      message_id: messageId,
+      customer_phone: phone,
+      payload: { body, from: fromNumber, template, media, mediaRequest, interactive, discountId, withoutOffer },
+      priority: PRIORITY[priority] ?? PRIORITY.transactional,
+      available_at: availableAt,
+      trigger_type: trigger?.type,
+      trigger_id: trigger?.id
+    });
+
+    // Deliver right away when the job is due now instead of waiting for the next poll
+    if (!availableAt && this.timer) {
+      setImmediate(() => this.processQueue());
+    }
+
+    return { jobId, messageId, status: 'queued', body };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!ClientFactory.getDefaultClient()) {
+      console.warn('⚠️ Twilio not configured in .env. Only shops with their own credentials can send.');
+    }
+
+    this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+    console.log('✅ Message queue worker started');
+    this.processQueue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let job;
+      while ((job = await DatabaseQueries.leaseMessageJob(LEASE_SECONDS))) {
+        await this.deliver(job);
+        await new Promise(resolve => setTimeout(resolve, SEND_INTERVAL_MS));
+      }
+    } catch (error) {
+      console.error('❌ Message queue worker error:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  send(provider, fromNumber, job) {
+    const { body, template, media, interactive } = job.payload;
+    const message = { from: fromNumber, to: job.customer_phone };
+
+    if (template) {
+      return provider.sendTemplate({ ...message, template });
+    }
+    if (interactive) {
+      return provider.sendInteractive({ ...message, body, interactive, mediaUrl: media?.url, contentType: media?.contentType });
+    }
+    if (media) {
+      return provider.sendMedia({ ...message, mediaUrl: media.url, contentType: media.contentType, caption: body });
+    }
+    return provider.sendText({ ...message, body });
+  }
+
+  // Look up a queued media request once; the result is kept on the job so
+  // a retry sends the same image without asking again
+  async resolveMedia(job) {
+    const media = await MediaResolver.resolveRequest(job.shop_domain, job.payload.mediaRequest);
+    job.payload = { ...job.payload, media, mediaRequest: null };
+    await DatabaseQueries.updateMessageJobPayload(job.id, job.payload);
+    if (media && job.message_id) {
+      await DatabaseQueries.updateMessageMedia(job.message_id, media.url, media.contentType);
+    }
+  }
+
+  // Create the job's discount code in Shopify. When it cannot be created
+  // (Shopify refused it, or it kept failing until this is the last attempt)
+  // the job is switched to its text without the offer, so the message still
+  // goes out; other failures are thrown so the job is retried.
+  async activateDiscount(job) {
+    const { discountId, withoutOffer } = job.payload;
+    try {
+      await DiscountCodes.activate(discountId);
+      return;
+    } catch (error) {
+      if (!withoutOffer || (!isPermanentError(error) && job.attempts + 1 < job.max_attempts)) {
+        throw error;
+      }
+      console.warn(`⚠️ Discount code ${discountId} not created, sending message ${job.id} without it:`, error.message);
+      await DatabaseQueries.markDiscountCodeFailed(discountId, error.message);
+    }
+
+    job.payload = { ...job.payload, ...withoutOffer, discountId: null, withoutOffer: null };
+    await DatabaseQueries.updateMessageJobPayload(job.id, job.payload);
+    if (job.message_id) {
+      await DatabaseQueries.updateMessageBody(job.message_id, job.payload.body);
+    }
+  }
+
+  async deliver(job) {
+    // Sent on an earlier lease, but the result could not be saved then
+    if (this.unrecorded.has(job.id)) {
+      await this.markSent(job, this.unrecorded.get(job.id));
+      return;
+    }
+
+    let shopClient = null;
+    let reason = 'WhatsApp provider not configured';
+    try {
+      shopClient = await ClientFactory.getShopClient(job.shop_domain);
+    } catch (error) {
+      reason = `Could not load WhatsApp credentials: ${error.message}`;
+    }
+
+    // Replies go out on the number the customer wrote to, everything else on the shop's default sender
+    const fromNumber = job.payload.from || shopClient?.fromNumber;
+
+    if (!shopClient || !fromNumber) {
+      if (shopClient) reason = 'No WhatsApp sender number configured';
+      await DatabaseQueries.deferMessageJob(job.id, UNCONFIGURED_RETRY_SECONDS, reason);
+      console.warn(`⚠️ Queued message ${job.id} for ${job.shop_domain} deferred: ${reason}`);
+      return;
+    }
+
+    // Everything up to the send counts as an attempt, so a job that keeps
+    // failing here is dead-lettered like one the provider keeps rejecting
+    let result;
+    try {
+      if (job.payload.mediaRequest) {
+        await this.resolveMedia(job);
+      }
+      if (job.message_id) {
+        await DatabaseQueries.updateQueuedMessage(job.message_id, { twilio_status: 'sending' });
+      }
+      if (job.payload.discountId) {
+        await this.activateDiscount(job);
+      }
+      result = await this.send(shopClient.provider, fromNumber, job);
+    } catch (error) {
+      await this.markFailed(job, error);
+      return;
+    }
+
+    await this.markSent(job, result);
+  }
+
+  // The provider has accepted the message, so a failed write here must not
+  // lead to a retry; the result is kept and saved once the lease runs out
+  async markSent(job, result) {
+    try {
+      await DatabaseQueries.completeMessageJob(job.id);
+      if (job.message_id) {
+        await DatabaseQueries.updateQueuedMessage(job.message_id, {
+          twilio_status: result.status,
+          twilio_sid: result.messageId
+        });
+      }
+      this.unrecorded.delete(job.id);
+      console.log(`✅ Queued message ${job.id} sent to ${job.customer_phone}`);
+    } catch (error) {
+      this.unrecorded.set(job.id, result);
+      console.error(`❌ Queued message ${job.id} was sent but could not be marked sent:`, error.message);
+    }
+  }
+
+  async markFailed(job, error) {
+    const attempts = job.attempts + 1;
+
+    if (isPermanentError(error) || attempts >= job.max_attempts) {
+      await DatabaseQueries.deadLetterMessageJob(job.id, error.message);
+      if (job.message_id) {
+        await DatabaseQueries.updateQueuedMessage(job.message_id, {
+          twilio_status: 'failed',
+          error_message: error.message
+        });
+      }
+      console.error(`❌ Queued message ${job.id} dead-lettered after ${attempts} attempt(s):`, error.message);
+      return;
+    }
+
+    const delaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+    await DatabaseQueries.retryMessageJob(job.id, delaySeconds, error.message);
+    if (job.message_id) {
+      await DatabaseQueries.updateQueuedMessage(job.message_id, {
+        twilio_status: 'queued',
+        error_message: error.message
+      });
+    }
+    console.warn(`⚠️ Queued message ${job.id} failed (attempt ${attempts}), retrying in ${delaySeconds}s:`, error.message);
+  }
+}
+
+module.exports = new MessageQueue();
@@ -0,0 +1,74 @@
+// services/messagingProvider.js
+// Interface every WhatsApp provider implements (Twilio, Meta Cloud API, fake).
+// Send methods resolve { messageId, status } where messageId is stored in
+// messages.twilio_sid regardless of provider. Parsers turn a provider webhook
+// request into the normalized shapes below so routes stay provider-agnostic.
+//
+// Inbound message:
+//   { from, to, body, profileName, messageId, accountId,
+//     media: [{ url, contentType }], buttonPayload, buttonText }
+// Status update:
+//   { messageId, status, errorCode, errorMessage }
+// Phone numbers are E.164 without the 'whatsapp:' prefix.
+
+class MessagingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // { from, to, body }
+  async sendText() {
+    throw new Error(`${this.name} provider does not implement sendText`);
+  }
+
+  // { from, to, template: { name, contentSid, language, variables } }
+  // variables is an ordered array for the template's {{1}}, {{2}}, ... slots
+  async sendTemplate() {
+    throw new Error(`${this.name} provider does not implement sendTemplate`);
+  }
+
+  // { from, to, mediaUrl, contentType, caption }
+  async sendMedia() {
+    throw new Error(`${this.name} provider does not implement sendMedia`);
+  }
+
+  // { from, to, body, interactive: { buttons: [{ id, title }], cta: { text, url } },
+  //   mediaUrl, contentType }
+  // Reply buttons are sent when there are any, otherwise the URL button.
+  // mediaUrl is optional and shown as an image header.
+  async sendInteractive() {
+    throw new Error(`${this.name} provider does not implement sendInteractive`);
+  }
+
+  // Approval state of a registered template (templates table row)
+  // -> { status: 'approved' | 'pending' | 'rejected' | ..., reason }
+  async getTemplateApproval() {
+    throw new Error(`${this.name} provider does not implement getTemplateApproval`);
+  }
+
+  // Express request -> array of inbound messages
+  parseInbound() {
+    throw new Error(`${this.name} provider does not implement parseInbound`);
+  }
+
+  // Express request -> array of status updates
+  parseStatus() {
+    throw new Error(`${this.name} provider does not implement parseStatus`);
+  }
+}
+
+function stripWhatsAppPrefix(phone) {
+  return phone ? phone.replace('whatsapp:', '') : phone;
+}
+
+// Meta sends numbers without '+'; everything stored here is E.164 with it
+function toE164(phone) {
+  const digits = stripWhatsAppPrefix(String(phone || '')).replace(/[^\d+]/g, '');
+  return digits.startsWith('+') ? digits : `+${digits}`;
+}
+
+module.exports = {
+  MessagingProvider,
+  stripWhatsAppPrefix,
+  toE164
+};
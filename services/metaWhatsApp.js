@@ -0,0 +1,219 @@
+// services/metaWhatsApp.js
+// Meta WhatsApp Cloud API implementation of the messaging provider interface.
+// Messages are sent from a phone number ID (not the number itself), webhooks
+// are signed with the Meta app secret (X-Hub-Signature-256) and subscribing
+// the webhook requires answering Meta's hub.challenge verification handshake.
+const crypto = require('crypto');
+const { MessagingProvider, toE164 } = require('./messagingProvider');
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v20.0';
+
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+  const received = Buffer.from(signatureHeader);
+  return received.length === expected.length && crypto.timingSafeEqual(received, Buffer.from(expected));
+}
+
+// GET handshake when the webhook is subscribed in the Meta app dashboard.
+// Resolves the challenge to echo back, or null when the token does not match.
+function verifyWebhookSubscription(query, verifyToken = process.env.META_VERIFY_TOKEN) {
+  if (verifyToken &&
+      query['hub.mode'] === 'subscribe' &&
+      query['hub.verify_token'] === verifyToken) {
+    return query['hub.challenge'];
+  }
+  return null;
+}
+
+function getChangeValues(payload) {
+  return (payload?.entry || [])
+    .flatMap(entry => entry.changes || [])
+    .filter(change => change.field === 'messages')
+    .map(change => change.value || {});
+}
+
+class MetaWhatsAppProvider extends MessagingProvider {
+  // senderIds maps sender phone numbers (E.164) to their Meta phone number IDs.
+  // businessAccountId (WABA ID) is only needed to look up template approvals.
+  constructor({ accessToken, phoneNumberId, appSecret, businessAccountId = null, senderIds = {} }) {
+    super('meta');
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.appSecret = appSecret;
+    this.businessAccountId = businessAccountId;
+    this.senderIds = senderIds;
+  }
+
+  getPhoneNumberId(from) {
+    return (from && this.senderIds[from]) || this.phoneNumberId;
+  }
+
+  async request(from, message) {
+    const response = await fetch(`${GRAPH_API_URL}/${this.getPhoneNumberId(from)}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ messaging_product: 'whatsapp', recipient_type: 'individual', ...message })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error?.message || `Meta API error ${response.status}`);
+      error.status = response.status;
+      error.code = data.error?.code;
+      throw error;
+    }
+
+    return { messageId: data.messages?.[0]?.id, status: 'sent' };
+  }
+
+  async sendText({ from, to, body }) {
+    return this.request(from, {
+      to: toE164(to).replace('+', ''),
+      type: 'text',
+      text: { body, preview_url: true }
+    });
+  }
+
+  async sendTemplate({ from, to, template }) {
+    const parameters = (template.variables || []).map(value => ({ type: 'text', text: String(value ?? '') }));
+
+    return this.request(from, {
+      to: toE164(to).replace('+', ''),
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language || 'en' },
+        components: parameters.length > 0 ? [{ type: 'body', parameters }] : []
+      }
+    });
+  }
+
+  async sendMedia({ from, to, mediaUrl, contentType, caption }) {
+    let type = 'document';
+    if (contentType?.startsWith('image/')) type = 'image';
+    else if (contentType?.startsWith('video/')) type = 'video';
+    else if (contentType?.startsWith('audio/')) type = 'audio';
+
+    const media = { link: mediaUrl };
+    if (caption && type !== 'audio') media.caption = caption;
+
+    return this.request(from, {
+      to: toE164(to).replace('+', ''),
+      type,
+      [type]: media
+    });
+  }
+
+  async sendInteractive({ from, to, body, interactive, mediaUrl }) {
+    const buttons = interactive.buttons || [];
+    const message = buttons.length > 0
+      ? {
+          type: 'button',
+          body: { text: body },
+          action: {
+            buttons: buttons.map(button => ({ type: 'reply', reply: { id: button.id, title: button.title } }))
+          }
+        }
+      : {
+          type: 'cta_url',
+          body: { text: body },
+          action: {
+            name: 'cta_url',
+            parameters: { display_text: interactive.cta.text, url: interactive.cta.url }
+          }
+        };
+
+    if (mediaUrl) {
+      message.header = { type: 'image', image: { link: mediaUrl } };
+    }
+
+    return this.request(from, {
+      to: toE164(to).replace('+', ''),
+      type: 'interactive',
+      interactive: message
+    });
+  }
+
+  // Meta templates are addressed by name + language within the business account
+  async getTemplateApproval(template) {
+    if (!this.businessAccountId) {
+      throw new Error('Meta business account ID is required to sync templates');
+    }
+
+    const params = new URLSearchParams({ name: template.template_name, fields: 'name,language,status,rejected_reason' });
+    const response = await fetch(`${GRAPH_API_URL}/${this.businessAccountId}/message_templates?${params}`, {
+      headers: { 'Authorization': `Bearer ${this.accessToken}` }
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Meta API error ${response.status}`);
+    }
+
+    const match = (data.data || []).find(t => t.language === template.language) || null;
+    if (!match) {
+      return { status: 'unsubmitted', reason: null };
+    }
+
+    const reason = match.rejected_reason && match.rejected_reason !== 'NONE' ? match.rejected_reason : null;
+    return { status: match.status.toLowerCase(), reason };
+  }
+
+  parseInbound(req) {
+    return getChangeValues(req.body).flatMap(value => {
+      const contacts = value.contacts || [];
+      const to = toE164(value.metadata?.display_phone_number);
+
+      return (value.messages || []).map(message => {
+        const contact = contacts.find(c => c.wa_id === message.from);
+        const mediaPart = message[message.type];
+
+        return {
+          from: toE164(message.from),
+          to,
+          body: message.text?.body ||
+                message.button?.text ||
+                message.interactive?.button_reply?.title ||
+                mediaPart?.caption ||
+                '',
+          profileName: contact?.profile?.name || null,
+          messageId: message.id,
+          accountId: value.metadata?.phone_number_id || null,
+          // Cloud API media is fetched by ID; the URL needs a separate authenticated lookup
+          media: mediaPart?.id ? [{ id: mediaPart.id, contentType: mediaPart.mime_type }] : [],
+          buttonPayload: message.button?.payload || message.interactive?.button_reply?.id || null,
+          buttonText: message.button?.text || message.interactive?.button_reply?.title || null
+        };
+      });
+    });
+  }
+
+  parseStatus(req) {
+    return getChangeValues(req.body).flatMap(value =>
+      (value.statuses || []).map(status => ({
+        messageId: status.id,
+        status: status.status,
+        errorCode: status.errors?.[0]?.code || null,
+        errorMessage: status.errors?.[0]?.title || null
+      }))
+    );
+  }
+
+  isValidRequest(req) {
+    return verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), this.appSecret);
+  }
+}
+
+module.exports = {
+  MetaWhatsAppProvider,
+  verifySignature,
+  verifyWebhookSubscription,
+  getChangeValues
+};
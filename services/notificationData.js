@@ -0,0 +1,138 @@
+// services/notificationData.js
+// Data each notification is rendered with, built from Shopify payloads
+// (webhook / REST shape) and local rows. Webhooks, the scheduler and the
+// flow preview share these builders so a preview shows exactly what a real
+// event would send.
+//
+// Amounts are raw numbers in the currency the customer paid in (Shopify's
+// presentment money) and dates are Date / DateRange values; NotificationManager
+// formats them for the customer's locale and timezone. settings are the
+// shop's automation settings (DatabaseQueries.getAutomationSettings).
+const LanguageResolver = require('./languageResolver');
+const LocaleFormat = require('./localeFormat');
+const CartPermalinks = require('./cartPermalinks');
+const CustomerTimezone = require('./customerTimezone');
+
+const { DateRange } = LocaleFormat;
+
+const DEFAULT_DELIVERY_DAYS = { min: 3, max: 5 };
+
+function shopName(shopDomain) {
+  return shopDomain.replace('.myshopify.com', '');
+}
+
+// customer_locale for LanguageResolver: the first supported one of the
+// order / checkout locale and the Shopify customer locale
+function customerLocale(...locales) {
+  return locales.find(locale => LanguageResolver.normalize(locale)) || null;
+}
+
+// customer_timezone for quiet hours, from the shipping address (else billing)
+function customerTimezone(order) {
+  return CustomerTimezone.fromAddress(order.shipping_address || order.billing_address || order.customer?.default_address);
+}
+
+// Amount in the customer's currency from a Shopify *_set money bag
+function presentmentAmount(moneySet, shopAmount) {
+  return moneySet?.presentment_money?.amount ?? shopAmount;
+}
+
+// Business days after `from` the shop quotes for delivery
+function deliveryEstimate(from, settings = {}) {
+  const min = settings.deliveryMinDays ?? DEFAULT_DELIVERY_DAYS.min;
+  const max = settings.deliveryMaxDays ?? DEFAULT_DELIVERY_DAYS.max;
+  return new DateRange(LocaleFormat.addBusinessDays(from, min), LocaleFormat.addBusinessDays(from, max));
+}
+
+function toItem(lineItem) {
+  return {
+    name: lineItem.name || lineItem.title,
+    quantity: lineItem.quantity,
+    price: presentmentAmount(lineItem.price_set, lineItem.price),
+    product_id: lineItem.product_id,
+    variant_id: lineItem.variant_id
+  };
+}
+
+class NotificationData {
+  // order_placed
+  order(shopDomain, order, settings = {}) {
+    return {
+      customer_name: order.customer?.first_name || 'Customer',
+      order_number: order.name,
+      currency: order.presentment_currency || order.currency || null,
+      total_price: presentmentAmount(
+        order.current_total_price_set || order.total_price_set,
+        order.current_total_price || order.total_price || '0.00'
+      ),
+      items: (order.line_items || []).map(toItem),
+      shipping_address: order.shipping_address || null,
+      delivery_estimate: deliveryEstimate(order.created_at, settings),
+      order_status_url: order.order_status_url || `https://${shopDomain}/orders/${order.id}`,
+      customer_locale: customerLocale(order.customer_locale, order.customer?.locale),
+      customer_timezone: customerTimezone(order)
+    };
+  }
+
+  // order_fulfilled
+  fulfillment(order, settings = {}) {
+    const fulfillment = order.fulfillments?.[0];
+    return {
+      customer_name: order.customer?.first_name,
+      order_number: order.name,
+      carrier: fulfillment?.tracking_company || 'Our shipping partner',
+      tracking_number: fulfillment?.tracking_number || '',
+      tracking_url: fulfillment?.tracking_urls?.[0] || '',
+      delivery_date: deliveryEstimate(fulfillment?.created_at, settings),
+      customer_locale: customerLocale(order.customer_locale, order.customer?.locale),
+      customer_timezone: customerTimezone(order)
+    };
+  }
+
+  // review_request / order_delivered
+  reviewRequest(shopDomain, order) {
+    return {
+      customer_name: order.customer?.first_name || 'there',
+      product_name: order.line_items?.[0]?.name || order.line_items?.[0]?.title || 'your order',
+      order_number: order.name,
+      review_url: `https://${shopDomain}/reviews/new?order=${order.id}`,
+      customer_locale: customerLocale(order.customer_locale, order.customer?.locale),
+      customer_timezone: customerTimezone(order)
+    };
+  }
+
+  // welcome_customer
+  // free_shipping_threshold is in the shop's currency; null when the shop
+  // has no free shipping offer
+  customer(shopDomain, customer, settings = {}) {
+    return {
+      customer_name: customer.first_name,
+      shop_name: shopName(shopDomain),
+      free_shipping_threshold: settings.freeShippingThreshold ?? null,
+      shop_url: `https://${shopDomain}`,
+      customer_locale: customerLocale(customer.locale),
+      customer_timezone: CustomerTimezone.fromAddress(customer.default_address)
+    };
+  }
+
+  // abandoned_cart_* from an abandoned_carts row; checkout_url is a cart
+  // permalink rebuilt from the stored items when they allow one
+  abandonedCart(shopDomain, cart) {
+    const lineItems = typeof cart.line_items === 'string'
+      ? JSON.parse(cart.line_items || '[]')
+      : cart.line_items || [];
+
+    return {
+      customer_name: cart.customer_name || 'there',
+      items: lineItems.map(toItem),
+      currency: cart.currency,
+      total_price: cart.cart_value,
+      checkout_url: CartPermalinks.build(shopDomain, { ...cart, line_items: lineItems }) || cart.checkout_url,
+      shop_name: shopName(shopDomain),
+      customer_locale: customerLocale(cart.customer_locale),
+      customer_timezone: cart.customer_timezone || null
+    };
+  }
+}
+
+module.exports = new NotificationData();
@@ -1,30 +1,48 @@
 // services/notificationManager.js
 const DatabaseQueries = require('../database/queries');
 const { db } = require('../database');
-
-// Initialize Twilio client only if credentials are valid
-let twilioClient = null;
-if (process.env.TWILIO_ACCOUNT_SID && 
-    process.env.TWILIO_AUTH_TOKEN && 
-    process.env.TWILIO_ACCOUNT_SID.startsWith('AC') &&
-    process.env.TWILIO_ACCOUNT_SID !== 'your_twilio_account_sid_here') {
-  try {
-    twilioClient = require('twilio')(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
-    console.log('✅ Twilio client initialized successfully');
-  } catch (error) {
-    console.error('❌ Failed to initialize Twilio client:', error.message);
-  }
-} else {
-  console.warn('⚠️ Twilio credentials not configured. Update TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN in .env file');
-}
+const MessageQueue = require('./messageQueue');
+const TemplateRegistry = require('./templateRegistry');
+const SessionWindow = require('./sessionWindow');
+const MediaResolver = require('./mediaResolver');
+const InteractiveButtons = require('./interactiveButtons');
+const TemplateEngine = require('./templateEngine');
+const LanguageResolver = require('./languageResolver');
+const LocaleFormat = require('./localeFormat');
+const Experiments = require('./experiments');
+const ShopifyAdmin = require('./shopifyAdmin');
+const DiscountCodes = require('./discountCodes');
+const CartPermalinks = require('./cartPermalinks');
+const CustomerTimezone = require('./customerTimezone');
+const QuietHours = require('./quietHours');
+
+// Shop money format / timezone / country are re-read from Shopify this often
+const SHOP_LOCALE_TTL_MS = 24 * 60 * 60 * 1000;
+// and not retried sooner than this after a failed read
+const SHOP_LOCALE_RETRY_MS = 60 * 60 * 1000;
+
+// Custom flow type used for each notification type
+const FLOW_TYPES = {
+  'order_placed': 'order_confirmation',
+  'order_paid': 'order_confirmation',
+  'order_fulfilled': 'shipping_update',
+  'order_out_for_delivery': 'shipping_update',
+  'order_delivered': 'order_delivered',
+  'abandoned_cart_1h': 'abandoned_cart',
+  'abandoned_cart_24h': 'abandoned_cart',
+  'abandoned_cart_48h': 'abandoned_cart',
+  'abandoned_cart_final': 'abandoned_cart',
+  'welcome_customer': 'welcome',
+  'review_request': 'review_request',
+  'birthday': 'birthday',
+  'back_in_stock': 'back_in_stock'
+};
 
 class NotificationManager {
   constructor() {
     this.templates = this.loadTemplates();
     this.enabled = true;
+    this.shopLocaleRetryAt = new Map();
   }
 
   // Load message templates with multi-language support
@@ -32,9 +50,9 @@ class NotificationManager {
     return {
       en: {
         // ORDER NOTIFICATIONS
-        order_placed: `🎉 Order Confirmed!\n\nThank you {{customer_name}}!\n\nOrder #{{order_number}}\nTotal: {{currency}} {{total_price}}\n\n📦 Items:\n{{items}}\n\n📍 Delivery to:\n{{shipping_address}}\n\nEstimated delivery: {{delivery_estimate}}\n\nTrack your order: {{order_status_url}}\n\nQuestions? Reply to this message!`,
+        order_placed: `🎉 Order Confirmed!\n\nThank you {{customer_name}}!\n\nOrder #{{order_number}}\nTotal: {{total_price:currency}}\n\n📦 Items:\n{{items}}\n\n📍 Delivery to:\n{{shipping_address}}\n\nEstimated delivery: {{delivery_estimate}}\n\nTrack your order: {{order_status_url}}\n\nQuestions? Reply to this message!`,
         
-        order_paid: `💳 Payment Confirmed!\n\nHi {{customer_name}}, we've received your payment for Order #{{order_number}}.\n\nAmount: {{currency}} {{total_price}}\n\nYour order is now being prepared for shipping! 📦`,
+        order_paid: `💳 Payment Confirmed!\n\nHi {{customer_name}}, we've received your payment for Order #{{order_number}}.\n\nAmount: {{total_price:currency}}\n\nYour order is now being prepared for shipping! 📦`,
         
         order_processing: `⚙️ Order Update\n\nHi {{customer_name}}! Your order #{{order_number}} is being processed.\n\nWe're preparing your items for shipping. You'll receive tracking info soon!`,
         
@@ -44,23 +62,23 @@ class NotificationManager {
         
         order_delivered: `✅ Delivered!\n\nHi {{customer_name}}, your order #{{order_number}} has been delivered!\n\nWe hope you love your purchase! 💙\n\nRate your experience: {{review_url}}\n\nHave issues? Reply to this message.`,
         
-        order_cancelled: `❌ Order Cancelled\n\n{{customer_name}}, your order #{{order_number}} has been cancelled.\n\nRefund amount: {{currency}} {{refund_amount}}\nRefund will be processed in 3-5 business days.\n\nQuestions? Reply here or call {{support_phone}}`,
+        order_cancelled: `❌ Order Cancelled\n\n{{customer_name}}, your order #{{order_number}} has been cancelled.\n\nRefund amount: {{refund_amount:currency}}\nRefund will be processed in 3-5 business days.\n\nQuestions? Reply here or call {{support_phone}}`,
         
-        order_refunded: `💰 Refund Processed\n\nHi {{customer_name}}, your refund has been processed.\n\nOrder: #{{order_number}}\nAmount: {{currency}} {{refund_amount}}\n\nPlease allow 3-5 business days for the refund to appear in your account.`,
+        order_refunded: `💰 Refund Processed\n\nHi {{customer_name}}, your refund has been processed.\n\nOrder: #{{order_number}}\nAmount: {{refund_amount:currency}}\n\nPlease allow 3-5 business days for the refund to appear in your account.`,
         
         // CHECKOUT NOTIFICATIONS
-        checkout_started: `🛒 Complete Your Purchase!\n\nHi {{customer_name}}! You started a checkout but didn't complete it.\n\n📦 Your items:\n{{items}}\n\nTotal: {{currency}} {{total_price}}\n\n🎁 Complete now and get FREE shipping!\n{{checkout_url}}\n\nNeed help? Reply to this message!`,
+        checkout_started: `🛒 Complete Your Purchase!\n\nHi {{customer_name}}! You started a checkout but didn't complete it.\n\n📦 Your items:\n{{items}}\n\nTotal: {{total_price:currency}}\n\n🎁 Complete now and get FREE shipping!\n{{checkout_url}}\n\nNeed help? Reply to this message!`,
         
-        abandoned_cart_1h: `🛒 You left something behind!\n\nHi {{customer_name}}, you have items in your cart:\n\n{{items}}\n\nTotal: {{currency}} {{total_price}}\n\nComplete your purchase: {{checkout_url}}\n\nYour cart will be saved for 24 hours.`,
+        abandoned_cart_1h: `🛒 You left something behind!\n\nHi {{customer_name}}, you have items in your cart:\n\n{{items}}\n\nTotal: {{total_price:currency}}\n\nComplete your purchase: {{checkout_url}}\n\nYour cart will be saved for 24 hours.`,
         
-        abandoned_cart_24h: `⏰ Last Chance!\n\n{{customer_name}}, your cart is about to expire!\n\n{{items}}\n\n💰 Get 10% OFF with code: SAVE10\n\nComplete purchase: {{checkout_url}}\n\nThis offer expires in 2 hours!`,
+        abandoned_cart_24h: `⏰ Last Chance!\n\n{{customer_name}}, your cart is about to expire!\n\n{{items}}\n\n{{#if discount_code}}💰 Get 10% OFF with code: {{discount_code}}\n\n{{/if}}Complete purchase: {{checkout_url}}{{#if discount_code}}\n\nThis offer expires {{discount_expires_at:datetime}}!{{/if}}`,
         
-        abandoned_cart_final: `😢 We're holding your items!\n\n{{customer_name}}, don't miss out!\n\n{{items}}\n\n🎁 Special offer: 15% OFF with code: COMEBACK15\n\n{{checkout_url}}\n\nThis is our final reminder.`,
+        abandoned_cart_final: `😢 We're holding your items!\n\n{{customer_name}}, don't miss out!\n\n{{items}}\n\n{{#if discount_code}}🎁 Special offer: 15% OFF with code: {{discount_code}}\n\n{{/if}}{{checkout_url}}\n\nThis is our final reminder.`,
         
         // CUSTOMER ACCOUNT NOTIFICATIONS
-        welcome_customer: `🎉 Welcome to {{shop_name}}!\n\nHi {{customer_name}}, thanks for joining our family!\n\n🎁 Here's your welcome gift:\n• 15% off your first order with code: WELCOME15\n• Free shipping on orders over {{free_shipping_threshold}}\n• Early access to sales\n\n📱 Save this number for:\n• Order updates\n• Exclusive deals\n• Quick support\n\nShop now: {{shop_url}}\n\nReply STOP to unsubscribe.`,
+        welcome_customer: `🎉 Welcome to {{shop_name}}!\n\nHi {{customer_name}}, thanks for joining our family!\n\n🎁 Here's your welcome gift:\n{{#if discount_code}}• 15% off your first order with code: {{discount_code}}\n{{/if}}{{#if free_shipping_threshold}}• Free shipping on orders over {{free_shipping_threshold:currency}}\n{{/if}}• Early access to sales\n\n📱 Save this number for:\n• Order updates\n• Exclusive deals\n• Quick support\n\nShop now: {{shop_url}}\n\nReply STOP to unsubscribe.`,
         
-        customer_birthday: `🎂 Happy Birthday {{customer_name}}!\n\n{{shop_name}} wishes you a wonderful day!\n\n🎁 Here's your birthday gift:\n30% OFF everything with code: BDAY30\n\nValid for 7 days. Treat yourself!\n\n{{shop_url}}`,
+        customer_birthday: `🎂 Happy Birthday {{customer_name}}!\n\n{{shop_name}} wishes you a wonderful day!\n\n{{#if discount_code}}🎁 Here's your birthday gift:\n30% OFF everything with code: {{discount_code}}\n\nValid for 7 days. Treat yourself!\n\n{{/if}}{{shop_url}}`,
         
         vip_status_achieved: `⭐ VIP Status Unlocked!\n\nCongratulations {{customer_name}}!\n\nYou're now a VIP member! Enjoy:\n• 20% off all orders\n• Free shipping always\n• Early access to new products\n• Priority support\n\nThank you for being amazing! 💙`,
         
@@ -72,9 +90,9 @@ class NotificationManager {
         shipping_exception: `⚠️ Delivery Issue\n\n{{customer_name}}, there's an issue delivering your order #{{order_number}}.\n\nIssue: {{exception_reason}}\n\nPlease contact us to resolve: {{support_phone}}`,
         
         // PRODUCT NOTIFICATIONS
-        back_in_stock: `🎉 Back in Stock!\n\nHi {{customer_name}}, great news!\n\n"{{product_name}}" is back in stock!\n\n{{product_description}}\nPrice: {{currency}} {{price}}\n\n🛒 Buy now: {{product_url}}\n\nLimited quantity available!`,
+        back_in_stock: `🎉 Back in Stock!\n\nHi {{customer_name}}, great news!\n\n"{{product_name}}" is back in stock!\n\n{{product_description}}\nPrice: {{price:currency}}\n\n🛒 Buy now: {{product_url}}\n\nLimited quantity available!`,
         
-        price_drop: `💰 Price Drop Alert!\n\n{{customer_name}}, an item you viewed is now on sale!\n\n"{{product_name}}"\nWas: {{currency}} {{original_price}}\nNow: {{currency}} {{sale_price}}\nYou save: {{savings}}%\n\n🛒 Get it now: {{product_url}}`,
+        price_drop: `💰 Price Drop Alert!\n\n{{customer_name}}, an item you viewed is now on sale!\n\n"{{product_name}}"\nWas: {{original_price:currency}}\nNow: {{sale_price:currency}}\nYou save: {{savings}}%\n\n🛒 Get it now: {{product_url}}`,
         
         // REVIEW & FEEDBACK
         review_request: `⭐ How was your purchase?\n\nHi {{customer_name}}, how do you like your {{product_name}}?\n\nShare your experience and get 10% off your next order!\n\n✍️ Leave a review: {{review_url}}\n\nYour feedback helps us improve!`,
@@ -89,25 +107,163 @@ class NotificationManager {
         // SUPPORT
         support_ticket_created: `🎫 Support Ticket #{{ticket_number}}\n\nHi {{customer_name}}, we've received your inquiry.\n\nSubject: {{subject}}\n\nOur team will respond within {{response_time}}.\n\nNeed urgent help? Call {{support_phone}}`,
         
-        support_ticket_resolved: `✅ Ticket Resolved\n\n{{customer_name}}, your support ticket #{{ticket_number}} has been resolved.\n\nIf you need further assistance, just reply to this message.\n\nRate our support: {{feedback_url}}`
+        support_ticket_resolved: `✅ Ticket Resolved\n\n{{customer_name}}, your support ticket #{{ticket_number}} has been resolved.\n\nIf you need further assistance, just reply to this message.\n\nRate our support: {{feedback_url}}`,
+        
+        // MANUAL (dashboard replies; an approved template for this type lets
+        // them reach customers outside the 24-hour service window)
+        manual_message: `Hi {{customer_name}}, {{message}}`,
+
+        // CAMPAIGN (the campaign text as an approved template, for customers
+        // outside the 24-hour service window)
+        campaign_message: `{{message}}\n\nReply STOP to unsubscribe.`
       },
       
-      // Arabic templates
+      // Arabic templates (right-to-left; values are bidi-isolated when rendered)
       ar: {
-        order_placed: `🎉 تم تأكيد الطلب!\n\nشكراً لك {{customer_name}}!\n\nرقم الطلب #{{order_number}}\nالإجمالي: {{currency}} {{total_price}}\n\nالتوصيل إلى:\n{{shipping_address}}\n\nتتبع طلبك: {{order_status_url}}`,
-        // ... add more Arabic translations
+        // ORDER NOTIFICATIONS
+        order_placed: `🎉 تم تأكيد الطلب!\n\nشكراً لك {{customer_name}}!\n\nرقم الطلب #{{order_number}}\nالإجمالي: {{total_price:currency}}\n\n📦 المنتجات:\n{{items}}\n\n📍 التوصيل إلى:\n{{shipping_address}}\n\nموعد التوصيل المتوقع: {{delivery_estimate}}\n\nتتبع طلبك: {{order_status_url}}\n\nلديك أسئلة؟ رد على هذه الرسالة!`,
+        
+        order_paid: `💳 تم تأكيد الدفع!\n\nمرحباً {{customer_name}}، لقد استلمنا دفعتك للطلب #{{order_number}}.\n\nالمبلغ: {{total_price:currency}}\n\nيتم الآن تجهيز طلبك للشحن! 📦`,
+        
+        order_processing: `⚙️ تحديث الطلب\n\nمرحباً {{customer_name}}! طلبك #{{order_number}} قيد المعالجة.\n\nنقوم بتجهيز منتجاتك للشحن. ستصلك معلومات التتبع قريباً!`,
+        
+        order_fulfilled: `📦 تم الشحن!\n\nأخبار رائعة {{customer_name}}! تم شحن طلبك #{{order_number}}!\n\n🚚 شركة الشحن: {{carrier}}\n📍 رقم التتبع: {{tracking_number}}\n🔗 تتبع الشحنة: {{tracking_url}}\n\nموعد التوصيل المتوقع: {{delivery_date}}`,
+        
+        order_out_for_delivery: `🚚 في الطريق إليك!\n\n{{customer_name}}، طلبك #{{order_number}} خرج للتوصيل اليوم!\n\nيرجى التأكد من وجود شخص لاستلام الطرد.\n\nالتتبع: {{tracking_url}}`,
+        
+        order_delivered: `✅ تم التوصيل!\n\nمرحباً {{customer_name}}، تم توصيل طلبك #{{order_number}}!\n\nنتمنى أن تنال مشترياتك إعجابك! 💙\n\nقيّم تجربتك: {{review_url}}\n\nهل واجهت مشكلة؟ رد على هذه الرسالة.`,
+        
+        order_cancelled: `❌ تم إلغاء الطلب\n\n{{customer_name}}، تم إلغاء طلبك #{{order_number}}.\n\nمبلغ الاسترداد: {{refund_amount:currency}}\nستتم معالجة الاسترداد خلال 3-5 أيام عمل.\n\nلديك أسئلة؟ رد هنا أو اتصل على {{support_phone}}`,
+        
+        order_refunded: `💰 تمت معالجة الاسترداد\n\nمرحباً {{customer_name}}، تمت معالجة استرداد المبلغ.\n\nالطلب: #{{order_number}}\nالمبلغ: {{refund_amount:currency}}\n\nقد يستغرق ظهور المبلغ في حسابك من 3 إلى 5 أيام عمل.`,
+        
+        // CHECKOUT NOTIFICATIONS
+        checkout_started: `🛒 أكمل عملية الشراء!\n\nمرحباً {{customer_name}}! لقد بدأت عملية الدفع ولم تكملها.\n\n📦 منتجاتك:\n{{items}}\n\nالإجمالي: {{total_price:currency}}\n\n🎁 أكمل طلبك الآن واحصل على شحن مجاني!\n{{checkout_url}}\n\nتحتاج مساعدة؟ رد على هذه الرسالة!`,
+        
+        abandoned_cart_1h: `🛒 نسيت شيئاً!\n\nمرحباً {{customer_name}}، لديك منتجات في سلة التسوق:\n\n{{items}}\n\nالإجمالي: {{total_price:currency}}\n\nأكمل عملية الشراء: {{checkout_url}}\n\nسنحتفظ بسلتك لمدة 24 ساعة.`,
+        
+        abandoned_cart_24h: `⏰ الفرصة الأخيرة!\n\n{{customer_name}}، سلة التسوق الخاصة بك على وشك الانتهاء!\n\n{{items}}\n\n{{#if discount_code}}💰 احصل على خصم 10% باستخدام الكود: {{discount_code}}\n\n{{/if}}أكمل الشراء: {{checkout_url}}{{#if discount_code}}\n\nينتهي هذا العرض في {{discount_expires_at:datetime}}!{{/if}}`,
+        
+        abandoned_cart_final: `😢 ما زلنا نحتفظ بمنتجاتك!\n\n{{customer_name}}، لا تفوّت الفرصة!\n\n{{items}}\n\n{{#if discount_code}}🎁 عرض خاص: خصم 15% باستخدام الكود: {{discount_code}}\n\n{{/if}}{{checkout_url}}\n\nهذا تذكيرنا الأخير.`,
+        
+        // CUSTOMER ACCOUNT NOTIFICATIONS
+        welcome_customer: `🎉 أهلاً بك في {{shop_name}}!\n\nمرحباً {{customer_name}}، شكراً لانضمامك إلى عائلتنا!\n\n🎁 إليك هدية الترحيب:\n{{#if discount_code}}• خصم 15% على طلبك الأول باستخدام الكود: {{discount_code}}\n{{/if}}{{#if free_shipping_threshold}}• شحن مجاني للطلبات التي تزيد عن {{free_shipping_threshold:currency}}\n{{/if}}• وصول مبكر إلى التخفيضات\n\n📱 احفظ هذا الرقم من أجل:\n• تحديثات الطلبات\n• العروض الحصرية\n• الدعم السريع\n\nتسوق الآن: {{shop_url}}\n\nأرسل STOP لإلغاء الاشتراك.`,
+        
+        customer_birthday: `🎂 عيد ميلاد سعيد {{customer_name}}!\n\n{{shop_name}} يتمنى لك يوماً رائعاً!\n\n{{#if discount_code}}🎁 إليك هدية عيد ميلادك:\nخصم 30% على كل شيء باستخدام الكود: {{discount_code}}\n\nصالح لمدة 7 أيام. دلّل نفسك!\n\n{{/if}}{{shop_url}}`,
+        
+        vip_status_achieved: `⭐ تم تفعيل عضوية VIP!\n\nتهانينا {{customer_name}}!\n\nأنت الآن عضو VIP. استمتع بـ:\n• خصم 20% على جميع الطلبات\n• شحن مجاني دائماً\n• وصول مبكر إلى المنتجات الجديدة\n• دعم ذو أولوية\n\nشكراً لكونك رائعاً! 💙`,
+        
+        // SHIPPING NOTIFICATIONS
+        shipping_label_created: `📋 تم إنشاء ملصق الشحن\n\n{{customer_name}}، نقوم بتجهيز طلبك #{{order_number}} للشحن!\n\nستصلك معلومات التتبع بمجرد استلام شركة الشحن للطرد.`,
+        
+        shipping_delayed: `⚠️ تأخير في الشحن\n\nمرحباً {{customer_name}}، تأخر طلبك #{{order_number}}.\n\nموعد التوصيل المتوقع الجديد: {{new_delivery_date}}\n\nنعتذر عن الإزعاج. تابع التحديثات: {{tracking_url}}`,
+        
+        shipping_exception: `⚠️ مشكلة في التوصيل\n\n{{customer_name}}، هناك مشكلة في توصيل طلبك #{{order_number}}.\n\nالمشكلة: {{exception_reason}}\n\nيرجى التواصل معنا لحلها: {{support_phone}}`,
+        
+        // PRODUCT NOTIFICATIONS
+        back_in_stock: `🎉 عاد إلى المخزون!\n\nمرحباً {{customer_name}}، أخبار رائعة!\n\n"{{product_name}}" متوفر الآن من جديد!\n\n{{product_description}}\nالسعر: {{price:currency}}\n\n🛒 اشترِ الآن: {{product_url}}\n\nالكمية محدودة!`,
+        
+        price_drop: `💰 تنبيه انخفاض السعر!\n\n{{customer_name}}، منتج شاهدته أصبح الآن بسعر مخفّض!\n\n"{{product_name}}"\nالسعر السابق: {{original_price:currency}}\nالسعر الآن: {{sale_price:currency}}\nتوفّر: {{savings}}%\n\n🛒 احصل عليه الآن: {{product_url}}`,
+        
+        // REVIEW & FEEDBACK
+        review_request: `⭐ كيف كانت تجربتك؟\n\nمرحباً {{customer_name}}، ما رأيك في {{product_name}}؟\n\nشاركنا تجربتك واحصل على خصم 10% على طلبك القادم!\n\n✍️ اكتب تقييمك: {{review_url}}\n\nرأيك يساعدنا على التحسن!`,
+        
+        review_reminder: `🌟 يهمنا رأيك!\n\n{{customer_name}}، لا تنسَ تقييم مشترياتك الأخيرة!\n\nاكتب تقييمك واحصل على خصم 15% على طلبك القادم.\n\n{{review_url}}`,
+        
+        // PROMOTIONAL
+        flash_sale: `⚡ تخفيضات سريعة - لمدة {{hours}} ساعات فقط!\n\nمرحباً {{customer_name}}، عرض حصري لك!\n\nخصم {{discount}}% على كل شيء!\nالكود: {{promo_code}}\n\nتسوق الآن: {{shop_url}}\n\nينتهي العرض في {{end_time}}!`,
+        
+        exclusive_offer: `🎁 عرض حصري لك!\n\n{{customer_name}}، بصفتك عميلاً مميزاً، استمتع بـ:\n\n{{offer_details}}\n\nاستخدم الكود: {{promo_code}}\nصالح حتى: {{expiry_date}}\n\n{{shop_url}}`,
+        
+        // SUPPORT
+        support_ticket_created: `🎫 تذكرة دعم #{{ticket_number}}\n\nمرحباً {{customer_name}}، لقد استلمنا استفسارك.\n\nالموضوع: {{subject}}\n\nسيرد فريقنا خلال {{response_time}}.\n\nتحتاج مساعدة عاجلة؟ اتصل على {{support_phone}}`,
+        
+        support_ticket_resolved: `✅ تم حل التذكرة\n\n{{customer_name}}، تم حل تذكرة الدعم #{{ticket_number}}.\n\nإذا احتجت إلى مزيد من المساعدة، فقط رد على هذه الرسالة.\n\nقيّم خدمة الدعم: {{feedback_url}}`,
+        
+        // MANUAL
+        manual_message: `مرحباً {{customer_name}}، {{message}}`,
+
+        // CAMPAIGN
+        campaign_message: `{{message}}\n\nأرسل STOP لإلغاء الاشتراك.`
       },
       
-      // Spanish templates  
+      // Spanish templates
       es: {
-        order_placed: `🎉 ¡Pedido Confirmado!\n\n¡Gracias {{customer_name}}!\n\nPedido #{{order_number}}\nTotal: {{currency}} {{total_price}}\n\nEntrega a:\n{{shipping_address}}\n\nRastrear pedido: {{order_status_url}}`,
-        // ... add more Spanish translations
+        // ORDER NOTIFICATIONS
+        order_placed: `🎉 ¡Pedido Confirmado!\n\n¡Gracias {{customer_name}}!\n\nPedido #{{order_number}}\nTotal: {{total_price:currency}}\n\n📦 Artículos:\n{{items}}\n\n📍 Entrega a:\n{{shipping_address}}\n\nEntrega estimada: {{delivery_estimate}}\n\nRastrea tu pedido: {{order_status_url}}\n\n¿Preguntas? ¡Responde a este mensaje!`,
+        
+        order_paid: `💳 ¡Pago Confirmado!\n\nHola {{customer_name}}, hemos recibido tu pago del pedido #{{order_number}}.\n\nImporte: {{total_price:currency}}\n\n¡Ya estamos preparando tu pedido para el envío! 📦`,
+        
+        order_processing: `⚙️ Actualización del Pedido\n\n¡Hola {{customer_name}}! Tu pedido #{{order_number}} se está procesando.\n\nEstamos preparando tus artículos para el envío. ¡Pronto recibirás la información de seguimiento!`,
+        
+        order_fulfilled: `📦 ¡Enviado!\n\n¡Buenas noticias {{customer_name}}! Tu pedido #{{order_number}} ha sido enviado.\n\n🚚 Transportista: {{carrier}}\n📍 Seguimiento: {{tracking_number}}\n🔗 Rastrea aquí: {{tracking_url}}\n\nEntrega estimada: {{delivery_date}}`,
+        
+        order_out_for_delivery: `🚚 ¡En Reparto!\n\n{{customer_name}}, ¡tu pedido #{{order_number}} sale hoy a reparto!\n\nAsegúrate de que haya alguien disponible para recibir el paquete.\n\nSeguimiento: {{tracking_url}}`,
+        
+        order_delivered: `✅ ¡Entregado!\n\nHola {{customer_name}}, ¡tu pedido #{{order_number}} ha sido entregado!\n\n¡Esperamos que te encante tu compra! 💙\n\nCalifica tu experiencia: {{review_url}}\n\n¿Algún problema? Responde a este mensaje.`,
+        
+        order_cancelled: `❌ Pedido Cancelado\n\n{{customer_name}}, tu pedido #{{order_number}} ha sido cancelado.\n\nImporte del reembolso: {{refund_amount:currency}}\nEl reembolso se procesará en 3-5 días hábiles.\n\n¿Preguntas? Responde aquí o llama al {{support_phone}}`,
+        
+        order_refunded: `💰 Reembolso Procesado\n\nHola {{customer_name}}, tu reembolso ha sido procesado.\n\nPedido: #{{order_number}}\nImporte: {{refund_amount:currency}}\n\nEl reembolso puede tardar de 3 a 5 días hábiles en aparecer en tu cuenta.`,
+        
+        // CHECKOUT NOTIFICATIONS
+        checkout_started: `🛒 ¡Completa tu Compra!\n\n¡Hola {{customer_name}}! Iniciaste una compra pero no la completaste.\n\n📦 Tus artículos:\n{{items}}\n\nTotal: {{total_price:currency}}\n\n🎁 ¡Complétala ahora y obtén envío GRATIS!\n{{checkout_url}}\n\n¿Necesitas ayuda? ¡Responde a este mensaje!`,
+        
+        abandoned_cart_1h: `🛒 ¡Olvidaste algo!\n\nHola {{customer_name}}, tienes artículos en tu carrito:\n\n{{items}}\n\nTotal: {{total_price:currency}}\n\nCompleta tu compra: {{checkout_url}}\n\nTu carrito se guardará durante 24 horas.`,
+        
+        abandoned_cart_24h: `⏰ ¡Última Oportunidad!\n\n{{customer_name}}, ¡tu carrito está a punto de expirar!\n\n{{items}}\n\n{{#if discount_code}}💰 Obtén un 10% de DESCUENTO con el código: {{discount_code}}\n\n{{/if}}Completa tu compra: {{checkout_url}}{{#if discount_code}}\n\n¡Esta oferta vence el {{discount_expires_at:datetime}}!{{/if}}`,
+        
+        abandoned_cart_final: `😢 ¡Te guardamos tus artículos!\n\n{{customer_name}}, ¡no te lo pierdas!\n\n{{items}}\n\n{{#if discount_code}}🎁 Oferta especial: 15% de DESCUENTO con el código: {{discount_code}}\n\n{{/if}}{{checkout_url}}\n\nEste es nuestro último recordatorio.`,
+        
+        // CUSTOMER ACCOUNT NOTIFICATIONS
+        welcome_customer: `🎉 ¡Bienvenido a {{shop_name}}!\n\nHola {{customer_name}}, ¡gracias por unirte a nuestra familia!\n\n🎁 Tu regalo de bienvenida:\n{{#if discount_code}}• 15% de descuento en tu primer pedido con el código: {{discount_code}}\n{{/if}}{{#if free_shipping_threshold}}• Envío gratis en pedidos superiores a {{free_shipping_threshold:currency}}\n{{/if}}• Acceso anticipado a las ofertas\n\n📱 Guarda este número para:\n• Actualizaciones de pedidos\n• Ofertas exclusivas\n• Soporte rápido\n\nCompra ahora: {{shop_url}}\n\nResponde STOP para darte de baja.`,
+        
+        customer_birthday: `🎂 ¡Feliz Cumpleaños {{customer_name}}!\n\n¡{{shop_name}} te desea un día maravilloso!\n\n{{#if discount_code}}🎁 Tu regalo de cumpleaños:\n30% de DESCUENTO en todo con el código: {{discount_code}}\n\nVálido por 7 días. ¡Date un gusto!\n\n{{/if}}{{shop_url}}`,
+        
+        vip_status_achieved: `⭐ ¡Estatus VIP Desbloqueado!\n\n¡Felicidades {{customer_name}}!\n\nAhora eres miembro VIP. Disfruta de:\n• 20% de descuento en todos los pedidos\n• Envío gratis siempre\n• Acceso anticipado a nuevos productos\n• Soporte prioritario\n\n¡Gracias por ser increíble! 💙`,
+        
+        // SHIPPING NOTIFICATIONS
+        shipping_label_created: `📋 Etiqueta de Envío Creada\n\n{{customer_name}}, ¡estamos preparando tu pedido #{{order_number}} para el envío!\n\nRecibirás la información de seguimiento cuando el transportista lo recoja.`,
+        
+        shipping_delayed: `⚠️ Retraso en el Envío\n\nHola {{customer_name}}, tu pedido #{{order_number}} se ha retrasado.\n\nNueva fecha estimada de entrega: {{new_delivery_date}}\n\nDisculpa las molestias. Sigue las actualizaciones: {{tracking_url}}`,
+        
+        shipping_exception: `⚠️ Problema con la Entrega\n\n{{customer_name}}, hay un problema con la entrega de tu pedido #{{order_number}}.\n\nProblema: {{exception_reason}}\n\nContáctanos para resolverlo: {{support_phone}}`,
+        
+        // PRODUCT NOTIFICATIONS
+        back_in_stock: `🎉 ¡De Vuelta en Stock!\n\nHola {{customer_name}}, ¡buenas noticias!\n\n¡"{{product_name}}" vuelve a estar disponible!\n\n{{product_description}}\nPrecio: {{price:currency}}\n\n🛒 Cómpralo ahora: {{product_url}}\n\n¡Cantidades limitadas!`,
+        
+        price_drop: `💰 ¡Alerta de Bajada de Precio!\n\n{{customer_name}}, ¡un artículo que viste está en oferta!\n\n"{{product_name}}"\nAntes: {{original_price:currency}}\nAhora: {{sale_price:currency}}\nAhorras: {{savings}}%\n\n🛒 Consíguelo ahora: {{product_url}}`,
+        
+        // REVIEW & FEEDBACK
+        review_request: `⭐ ¿Qué tal tu compra?\n\nHola {{customer_name}}, ¿qué te parece tu {{product_name}}?\n\n¡Comparte tu experiencia y obtén un 10% de descuento en tu próximo pedido!\n\n✍️ Deja una reseña: {{review_url}}\n\n¡Tu opinión nos ayuda a mejorar!`,
+        
+        review_reminder: `🌟 ¡Nos encantaría conocer tu opinión!\n\n{{customer_name}}, ¡no olvides reseñar tu compra reciente!\n\nDeja una reseña y obtén un 15% de DESCUENTO en tu próximo pedido.\n\n{{review_url}}`,
+        
+        // PROMOTIONAL
+        flash_sale: `⚡ VENTA FLASH - ¡Solo {{hours}} Horas!\n\nHola {{customer_name}}, ¡oferta exclusiva para ti!\n\n¡{{discount}}% de DESCUENTO en todo!\nCódigo: {{promo_code}}\n\nCompra ahora: {{shop_url}}\n\n¡Termina a las {{end_time}}!`,
+        
+        exclusive_offer: `🎁 ¡Oferta Exclusiva para Ti!\n\n{{customer_name}}, como cliente especial, disfruta de:\n\n{{offer_details}}\n\nUsa el código: {{promo_code}}\nVálido hasta: {{expiry_date}}\n\n{{shop_url}}`,
+        
+        // SUPPORT
+        support_ticket_created: `🎫 Ticket de Soporte #{{ticket_number}}\n\nHola {{customer_name}}, hemos recibido tu consulta.\n\nAsunto: {{subject}}\n\nNuestro equipo responderá en {{response_time}}.\n\n¿Necesitas ayuda urgente? Llama al {{support_phone}}`,
+        
+        support_ticket_resolved: `✅ Ticket Resuelto\n\n{{customer_name}}, tu ticket de soporte #{{ticket_number}} ha sido resuelto.\n\nSi necesitas más ayuda, solo responde a este mensaje.\n\nCalifica nuestro soporte: {{feedback_url}}`,
+        
+        // MANUAL
+        manual_message: `Hola {{customer_name}}, {{message}}`,
+
+        // CAMPAIGN
+        campaign_message: `{{message}}\n\nResponde STOP para darte de baja.`
       }
     };
   }
 
-  // Main notification sender
-  async sendNotification(shopDomain, customerPhone, notificationType, data, language = 'en') {
+  // Main notification sender. Without a language the customer's language is
+  // resolved from data.customer_locale and the customer record. options.flowId
+  // sends that flow (while it is active) instead of looking one up;
+  // options.trigger ({ type, id }) is passed to the queue for suppression and
+  // holds the message back during the shop's quiet hours.
+  async sendNotification(shopDomain, customerPhone, notificationType, data, language = null, options = {}) {
     try {
       // Validate shop domain exists
       if (!shopDomain) {
@@ -132,35 +288,41 @@ class NotificationManager {
         console.warn('⚠️ Could not check automation settings, using default behavior:', settingsError.message);
       }
 
-      // Try to get custom flow from database first
+      // Opted-out customers get nothing, whichever template would be used
+      const existingCustomer = await this.getCustomer(shopDomain, customerPhone);
+      if (existingCustomer && !existingCustomer.opted_in) {
+        console.log(`⚠️ Customer ${customerPhone} has opted out`);
+        return null;
+      }
+
+      language = language
+        ? LanguageResolver.pick(language)
+        : await LanguageResolver.resolve(shopDomain, customerPhone, data.customer_locale);
+      const languages = LanguageResolver.getFallbacks(language);
+
+      // Try to get custom flow from database first: customer language, then English.
+      // A running experiment for the flow type picks the customer's variant instead.
       console.log(`🔍 Searching for custom template with language: ${language}`);
-      let customTemplate = await this.getCustomFlowTemplate(shopDomain, notificationType, language);
-      
-      // If no template found for requested language, try to find any active template for this type
-      if (!customTemplate && language !== 'en') {
-        console.log(`📝 No ${language} template found, trying English fallback`);
-        customTemplate = await this.getCustomFlowTemplate(shopDomain, notificationType, 'en');
+      const flowType = this.getFlowType(notificationType);
+      let customTemplate = null;
+      if (options.flowId) {
+        const pinnedFlow = await DatabaseQueries.getWhatsAppFlow(options.flowId, shopDomain);
+        customTemplate = pinnedFlow && pinnedFlow.is_active ? pinnedFlow : null;
+        if (!customTemplate) {
+          console.log(`📝 Flow ${options.flowId} is paused or deleted; looking up a flow instead`);
+        }
+      }
+      for (const flowLanguage of customTemplate ? [] : languages) {
+        customTemplate = (flowType && await Experiments.pickFlow(shopDomain, flowType, flowLanguage, customerPhone))
+          || await this.getCustomFlowTemplate(shopDomain, notificationType, flowLanguage);
+        if (customTemplate) break;
+        console.log(`📝 No ${flowLanguage} template found`);
       }
       
-      // If still no English template, try any language
+      // If still no template, try any language
       if (!customTemplate) {
-        console.log(`📝 No English template found, trying any language`);
+        console.log(`📝 Trying custom flows in any language`);
         const flows = await DatabaseQueries.getWhatsAppFlows(shopDomain);
-        const typeMapping = {
-          'order_placed': 'order_confirmation',
-          'order_paid': 'order_confirmation',
-          'order_fulfilled': 'shipping_update', 
-          'order_out_for_delivery': 'shipping_update',
-          'order_delivered': 'order_delivered',
-          'abandoned_cart_1h': 'abandoned_cart',
-          'abandoned_cart_24h': 'abandoned_cart',
-          'abandoned_cart_48h': 'abandoned_cart',
-          'welcome_customer': 'welcome',
-          'review_request': 'review_request',
-          'birthday': 'birthday',
-          'back_in_stock': 'back_in_stock'
-        };
-        const flowType = typeMapping[notificationType];
         customTemplate = flows.find(flow => 
           flow.flow_type === flowType && 
           flow.is_active
@@ -172,81 +334,76 @@ class NotificationManager {
 
       if (customTemplate) {
         console.log(`🎯 Using custom flow template "${customTemplate.flow_name || 'Unnamed Flow'}" for ${notificationType}`);
-        return await this.sendCustomTemplate(shopDomain, customerPhone, customTemplate, data);
+        const result = await this.sendCustomTemplate(shopDomain, customerPhone, customTemplate, data, notificationType, options.trigger);
+        if (result && customTemplate.experiment_assignment_id) {
+          await Experiments.markExposed(customTemplate.experiment_assignment_id, result.messageId);
+        }
+        return result;
       }
 
       // Fall back to default templates
       console.log(`📝 No custom flow found for ${notificationType}, using default template`);
 
       // Check if customer exists, create if not
-      let customer = await this.getCustomer(shopDomain, customerPhone);
-      if (!customer) {
+      if (!existingCustomer) {
         console.log(`📝 Creating new customer: ${customerPhone}`);
-        await this.createCustomer(shopDomain, customerPhone, data.customer_name);
-        customer = await this.getCustomer(shopDomain, customerPhone);
+        await this.createCustomer(shopDomain, customerPhone, data.customer_name, language);
       }
 
-      // Check if customer has opted in
-      if (customer && !customer.opted_in) {
-        console.log(`⚠️ Customer ${customerPhone} has opted out`);
-        return null;
-      }
-
-      // Get template
-      const template = this.templates[language]?.[notificationType];
-      if (!template) {
+      // Get template in the customer's language, else English
+      const templateLanguage = languages.find(candidate => this.templates[candidate]?.[notificationType]);
+      if (!templateLanguage) {
         console.error(`❌ Template not found: ${notificationType} in ${language}`);
         return null;
       }
+      const template = this.templates[templateLanguage][notificationType];
+      const availableAt = await this.getAvailableAt(shopDomain, customerPhone, data, options.trigger);
+
+      // Templates with an offer get a single-use code for this customer, valid
+      // from when the message is released; the queue worker creates it in Shopify
+      const discount = await DiscountCodes.issueDefault(shopDomain, customerPhone, notificationType, availableAt);
+      const offerData = discount
+        ? this.applyDiscount(data, { discount_code: discount.code, discount_expires_at: discount.expiresAt })
+        : data;
+
+      // Outside the session window only an approved template is delivered
+      const formatOptions = await this.getFormatOptions(shopDomain, customerPhone, templateLanguage);
+      const approvedTemplate = await TemplateRegistry.resolveForSend(
+        shopDomain, customerPhone, notificationType, offerData, templateLanguage, formatOptions
+      );
 
       // Replace variables in template
-      let message = this.replaceVariables(template, data);
-
-      // Check if Twilio is configured
-      if (!twilioClient) {
-        console.warn(`⚠️ Twilio not configured. Would send message to ${customerPhone}: ${message.substring(0, 100)}...`);
-        return {
-          sid: 'mock_' + Date.now(),
-          status: 'mock',
-          to: `whatsapp:${customerPhone}`,
-          body: message
-        };
-      }
+      const message = this.replaceVariables(template, offerData, notificationType, formatOptions);
 
-      // Ensure proper WhatsApp format for both numbers
-      const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER.startsWith('whatsapp:') 
-        ? process.env.TWILIO_WHATSAPP_NUMBER 
-        : `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`;
-        
-      const toNumber = customerPhone.startsWith('whatsapp:') 
-        ? customerPhone 
-        : `whatsapp:${customerPhone}`;
-
-      console.log('📱 NotificationManager sending from:', fromNumber, 'to:', toNumber);
-
-      // Send WhatsApp message
-      const result = await twilioClient.messages.create({
-        from: fromNumber,
-        to: toNumber,
-        body: message
-      });
+      // Sent instead if Shopify will not create the code
+      const withoutOffer = discount
+        ? {
+          body: this.replaceVariables(template, data, notificationType, formatOptions),
+          template: TemplateRegistry.withData(approvedTemplate, data, formatOptions)
+        }
+        : null;
 
-      // Track in database
-      await DatabaseQueries.saveMessage({
-        shop_domain: shopDomain,
-        customer_phone: customerPhone,
-        customer_name: data.customer_name || null,
-        message_type: notificationType,
-        message_body: message,
-        twilio_sid: result.sid,
-        twilio_status: result.status,
-        cost: this.calculateCost(notificationType)
+      // Queue WhatsApp message; the queue worker delivers it
+      const result = await MessageQueue.enqueue({
+        shopDomain,
+        customerPhone,
+        customerName: data.customer_name || null,
+        body: message,
+        messageType: notificationType,
+        cost: this.calculateCost(notificationType),
+        priority: this.getQueuePriority(notificationType),
+        template: approvedTemplate,
+        availableAt,
+        discountId: discount?.id || null,
+        withoutOffer,
+        trigger: options.trigger || null
       });
+      await DiscountCodes.attachMessage(discount, result.messageId);
 
       // Update customer interaction
       await this.updateCustomerInteraction(shopDomain, customerPhone);
 
-      console.log(`✅ ${notificationType} notification sent to ${customerPhone}`);
+      console.log(`✅ ${notificationType} notification queued for ${customerPhone}`);
       return result;
 
     } catch (error) {
@@ -255,37 +412,132 @@ class NotificationManager {
     }
   }
 
-  // Replace template variables
-  replaceVariables(template, data) {
-    let message = template;
-    
-    // Handle special variables
-    if (data.items && Array.isArray(data.items)) {
-      data.items = data.items.map(item => `• ${item.name} (${item.quantity}x) - ${data.currency} ${item.price}`).join('\n');
+  getFlowType(notificationType) {
+    return FLOW_TYPES[notificationType] || null;
+  }
+
+  // Add the discount fields; a cart permalink in checkout_url also gets the
+  // code so it is applied when the cart opens
+  applyDiscount(data, discountData) {
+    const merged = { ...data, ...discountData };
+    if (data.checkout_url && discountData.discount_code) {
+      merged.checkout_url = CartPermalinks.withDiscount(data.checkout_url, discountData.discount_code);
     }
-    
-    if (data.shipping_address && typeof data.shipping_address === 'object') {
-      data.shipping_address = `${data.shipping_address.name}\n${data.shipping_address.address1}\n${data.shipping_address.city}, ${data.shipping_address.country}`;
+    return merged;
+  }
+
+  // Notification data plus the alternative placeholder names custom flows use
+  buildFlowData(data, formatOptions = {}) {
+    const total = LocaleFormat.formatMoney(data.total_price || data.cart_value || 0, data.currency, formatOptions);
+    return {
+      ...data,
+      // Map common variations
+      customer_first_name: data.customer_name || data.customer_first_name || 'Customer',
+      cart_value: total,
+      order_total: total,
+      product_name: data.product_name || (data.items && data.items[0] ? data.items[0].name : 'Product'),
+      tracking_number: data.tracking_number || 'TBD',
+      discount_code: data.discount_code || null,
+      discount_expires_at: data.discount_expires_at || null
+    };
+  }
+
+  // Replace template variables using the shared engine (services/templateEngine.js).
+  // Placeholders missing from data render empty and are logged.
+  replaceVariables(template, data, templateName = 'message', formatOptions = {}) {
+    const { text, unknown } = TemplateEngine.render(template, data, formatOptions);
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Unknown placeholders in ${templateName}: ${unknown.join(', ')}`);
     }
+    return text;
+  }
 
-    // Replace all variables
-    Object.keys(data).forEach(key => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      message = message.replace(regex, data[key] || '');
-    });
+  // Shop currency, money format, timezone and country, cached on the shops
+  // row. Sends go ahead with whatever is stored when Shopify cannot be read.
+  async getShopLocale(shopDomain) {
+    const shop = await DatabaseQueries.getShop(shopDomain);
+    if (!shop) {
+      return {};
+    }
+
+    const syncedAt = shop.locale_synced_at ? Date.parse(`${shop.locale_synced_at.replace(' ', 'T')}Z`) : 0;
+    const retryAt = this.shopLocaleRetryAt.get(shopDomain) || 0;
+    if (Date.now() - syncedAt > SHOP_LOCALE_TTL_MS && Date.now() >= retryAt) {
+      try {
+        const { shop: details } = await ShopifyAdmin.rest(shopDomain, 'shop.json');
+        await DatabaseQueries.updateShopLocale(shopDomain, details);
+        Object.assign(shop, {
+          currency: details.currency,
+          money_format: details.money_format,
+          iana_timezone: details.iana_timezone,
+          country_code: details.country_code
+        });
+      } catch (error) {
+        this.shopLocaleRetryAt.set(shopDomain, Date.now() + SHOP_LOCALE_RETRY_MS);
+        console.warn(`⚠️ Could not load shop currency and timezone for ${shopDomain}: ${error.message}`);
+      }
+    }
+
+    return {
+      currency: shop.currency || null,
+      moneyFormat: shop.money_format || null,
+      timeZone: shop.iana_timezone || null,
+      country: shop.country_code || null
+    };
+  }
 
-    return message;
+  // Resolves (and saves) the customer's timezone. Automated follow-ups
+  // (a trigger is set) are held until the shop's quiet hours end in that
+  // timezone: -> the queue's availableAt, or null to send now
+  async getAvailableAt(shopDomain, customerPhone, data, trigger = null) {
+    const timeZone = await CustomerTimezone.resolve(shopDomain, customerPhone, data.customer_timezone);
+    const availableAt = trigger ? await QuietHours.getAvailableAt(shopDomain, timeZone) : null;
+    if (availableAt) {
+      console.log(`🌙 Quiet hours for ${customerPhone} (${timeZone}); ${trigger.type} message held until ${availableAt} UTC`);
+    }
+    return availableAt;
+  }
+
+  // TemplateEngine render options for one send: the customer's language,
+  // the shop's money format and country, and the customer's timezone
+  // (customers.timezone defaults to 'UTC' when it was never captured, so that
+  // value falls back to the shop's timezone). Right-to-left messages are
+  // bidi-isolated so order numbers, prices and links keep their order.
+  async getFormatOptions(shopDomain, customerPhone, language = 'en') {
+    const [shopLocale, customer] = await Promise.all([
+      this.getShopLocale(shopDomain),
+      customerPhone ? this.getCustomer(shopDomain, customerPhone) : null
+    ]);
+    const customerTimeZone = customer?.timezone !== 'UTC' ? customer?.timezone : null;
+
+    return {
+      locale: LocaleFormat.resolveLocale(language, shopLocale.country),
+      isolate: LanguageResolver.isRtl(language),
+      timeZone: [customerTimeZone, shopLocale.timeZone].find(zone => LocaleFormat.isValidTimeZone(zone)) || 'UTC',
+      shopCurrency: shopLocale.currency,
+      moneyFormat: shopLocale.moneyFormat,
+      shopCountry: shopLocale.country
+    };
+  }
+
+  isMarketingType(notificationType) {
+    const marketingTypes = ['flash_sale', 'exclusive_offer', 'price_drop', 'campaign'];
+    return marketingTypes.includes(notificationType);
   }
 
   // Calculate message cost
   calculateCost(notificationType) {
-    const marketingTypes = ['flash_sale', 'exclusive_offer', 'price_drop'];
-    if (marketingTypes.includes(notificationType)) {
+    if (this.isMarketingType(notificationType)) {
       return 0.05; // Marketing message cost
     }
     return 0.02; // Utility message cost
   }
 
+  // Queue priority: utility messages are delivered ahead of marketing sends
+  getQueuePriority(notificationType) {
+    return this.isMarketingType(notificationType) ? 'marketing' : 'transactional';
+  }
+
   // Get customer from database
   async getCustomer(shopDomain, customerPhone) {
     return new Promise((resolve, reject) => {
@@ -315,7 +567,7 @@ class NotificationManager {
   }
 
   // Create customer in database
-  async createCustomer(shopDomain, customerPhone, customerName) {
+  async createCustomer(shopDomain, customerPhone, customerName, language = 'en') {
     return new Promise((resolve, reject) => {
       // Split customer name into first_name and last_name to match database schema
       const names = (customerName || '').split(' ');
@@ -324,9 +576,9 @@ class NotificationManager {
       
       db.run(
         `INSERT OR IGNORE INTO customers (
-          shop_domain, customer_phone, first_name, last_name, opted_in, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-        [shopDomain, customerPhone, firstName, lastName],
+          shop_domain, customer_phone, first_name, last_name, language, opted_in, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [shopDomain, customerPhone, firstName, lastName, language],
         function(err) {
           if (err) reject(err);
           else resolve(this.lastID);
@@ -349,50 +601,50 @@ class NotificationManager {
     });
   }
 
-  // Send custom message (for manual messages from dashboard)
-  async sendCustomMessage(shopDomain, customerPhone, messageBody, orderNumber = null) {
+  // Send custom message (for manual messages from dashboard).
+  // Free-form text is only allowed inside the 24-hour session window; outside
+  // it the message goes out as the approved manual_message template, or is
+  // rejected with sessionClosed when the shop has none.
+  async sendCustomMessage(shopDomain, customerPhone, messageBody, orderNumber = null, customerName = null) {
     try {
-      // Check if Twilio is configured
-      if (!twilioClient) {
-        console.warn(`⚠️ Twilio not configured. Would send custom message to ${customerPhone}`);
-        return {
-          success: false,
-          error: 'Twilio not configured'
-        };
-      }
+      const sessionWindow = await SessionWindow.getWindow(shopDomain, customerPhone);
+      let template = null;
 
-      // Ensure proper WhatsApp format for both numbers
-      const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER.startsWith('whatsapp:') 
-        ? process.env.TWILIO_WHATSAPP_NUMBER 
-        : `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`;
-        
-      const toNumber = customerPhone.startsWith('whatsapp:') 
-        ? customerPhone 
-        : `whatsapp:${customerPhone}`;
-
-      console.log('📱 Sending custom message from:', fromNumber, 'to:', toNumber);
+      if (!sessionWindow.isOpen) {
+        template = await TemplateRegistry.findApprovedTemplate(shopDomain, 'manual_message', {
+          customer_name: customerName || 'there',
+          message: messageBody
+        });
 
-      // Send WhatsApp message
-      const result = await twilioClient.messages.create({
-        from: fromNumber,
-        to: toNumber,
-        body: messageBody
-      });
+        if (!template) {
+          console.log(`⏱️ Session window closed for ${customerPhone}; free-form message blocked`);
+          return {
+            success: false,
+            sessionClosed: true,
+            sessionWindow,
+            error: 'The 24-hour WhatsApp session window is closed. The customer has to message you first, or add an approved manual_message template.'
+          };
+        }
+      }
 
-      // Save to database
-      await DatabaseQueries.createMessage(
+      const result = await MessageQueue.enqueue({
         shopDomain,
-        customerPhone.replace('whatsapp:', ''),
-        messageBody,
-        'outbound',
-        orderNumber,
-        result.sid
-      );
+        customerPhone,
+        customerName,
+        body: messageBody,
+        messageType: 'manual_message',
+        priority: 'manual',
+        template,
+        trackLinks: false
+      });
 
       return {
         success: true,
-        messageSid: result.sid,
-        phone: customerPhone
+        messageId: result.messageId,
+        status: result.status,
+        phone: customerPhone,
+        sentAsTemplate: !!template,
+        sessionWindow
       };
 
     } catch (error) {
@@ -419,13 +671,10 @@ class NotificationManager {
           notification.customerPhone,
           notification.type,
           notification.data,
-          notification.language || 'en'
+          notification.language || null
         );
         results.sent++;
         
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
       } catch (error) {
         results.failed++;
         results.errors.push({
@@ -438,6 +687,49 @@ class NotificationManager {
     return results;
   }
 
+  // Send one campaign message to a customer from the campaigns table.
+  // Free-form text only reaches customers inside the 24-hour session window;
+  // outside it the message goes out as the approved campaign_message template,
+  // or the customer is skipped ({ skipped: true }) when the shop has none.
+  async sendCampaignMessage(campaign, customer) {
+    const shopDomain = campaign.shop_domain;
+    const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+
+    const language = LanguageResolver.pick(customer.language);
+    const formatOptions = await this.getFormatOptions(shopDomain, customer.customer_phone, language);
+    const data = {
+      customer_name: customer.first_name || 'there',
+      first_name: customer.first_name || '',
+      last_name: customer.last_name || '',
+      shop_name: shopDomain.replace('.myshopify.com', ''),
+      shop_url: `https://${shopDomain}`
+    };
+    const message = this.replaceVariables(campaign.message_template || '', data, `campaign "${campaign.campaign_name}"`, formatOptions);
+
+    let template = null;
+    if (!(await SessionWindow.isOpen(shopDomain, customer.customer_phone))) {
+      template = await TemplateRegistry.findApprovedTemplate(
+        shopDomain, 'campaign_message', { ...data, message }, language, formatOptions
+      );
+      if (!template) {
+        console.log(`⏱️ Session window closed for ${customer.customer_phone}; campaign ${campaign.id} message skipped`);
+        return { skipped: true, reason: 'session_closed' };
+      }
+    }
+
+    return MessageQueue.enqueue({
+      shopDomain,
+      customerPhone: customer.customer_phone,
+      customerName: customerName || null,
+      body: message,
+      messageType: 'campaign',
+      cost: this.calculateCost('campaign'),
+      campaignId: campaign.id,
+      priority: 'marketing',
+      template
+    });
+  }
+
   // Check if notification type is enabled in automation settings
   isNotificationEnabled(notificationType, automationSettings) {
     const typeMapping = {
@@ -449,6 +741,7 @@ class NotificationManager {
       'abandoned_cart_1h': 'abandonedCart',
       'abandoned_cart_24h': 'abandonedCart',
       'abandoned_cart_48h': 'abandonedCart',
+      'abandoned_cart_final': 'abandonedCart',
       'welcome_customer': 'welcomeMessage',
       'review_request': 'reviewRequest',
       'birthday': 'birthdayMessages',
@@ -466,23 +759,7 @@ class NotificationManager {
   // Get custom flow template from database
   async getCustomFlowTemplate(shopDomain, notificationType, language) {
     try {
-      // Map notification types to flow types
-      const typeMapping = {
-        'order_placed': 'order_confirmation',
-        'order_paid': 'order_confirmation',
-        'order_fulfilled': 'shipping_update', 
-        'order_out_for_delivery': 'shipping_update',
-        'order_delivered': 'order_delivered',
-        'abandoned_cart_1h': 'abandoned_cart',
-        'abandoned_cart_24h': 'abandoned_cart',
-        'abandoned_cart_48h': 'abandoned_cart',
-        'welcome_customer': 'welcome',
-        'review_request': 'review_request',
-        'birthday': 'birthday',
-        'back_in_stock': 'back_in_stock'
-      };
-
-      const flowType = typeMapping[notificationType];
+      const flowType = this.getFlowType(notificationType);
       console.log(`🔍 Looking for custom flow: ${notificationType} → ${flowType} (${language})`);
       
       if (!flowType) {
@@ -513,103 +790,93 @@ class NotificationManager {
   }
 
   // Send message using custom template
-  async sendCustomTemplate(shopDomain, customerPhone, customTemplate, data) {
+  async sendCustomTemplate(shopDomain, customerPhone, customTemplate, data, notificationType = 'whatsapp', trigger = null) {
     try {
-      // Replace placeholders in the custom template
-      let message = customTemplate.message_content;
-      
+      const language = customTemplate.language || 'en';
+      const availableAt = await this.getAvailableAt(shopDomain, customerPhone, data, trigger);
+      const formatOptions = await this.getFormatOptions(shopDomain, customerPhone, language);
+
+      // A unique code when the flow has discount settings, else its shared code
+      const discount = customTemplate.discount_settings
+        ? await DiscountCodes.issue(shopDomain, {
+          customerPhone,
+          settings: customTemplate.discount_settings,
+          flowId: customTemplate.id,
+          notificationType,
+          startsAt: availableAt
+        })
+        : null;
+      const discountData = discount
+        ? { discount_code: discount.code, discount_expires_at: discount.expiresAt }
+        : { discount_code: customTemplate.discount_code || null };
+
       // Create a comprehensive data mapping to handle different placeholder names
-      const mappedData = {
-        ...data,
-        // Map common variations
-        customer_first_name: data.customer_name || data.customer_first_name || 'Customer',
-        cart_value: (data.currency || '') + ' ' + parseFloat(data.total_price || data.cart_value || '0.00').toFixed(2),
-        order_total: (data.currency || '') + ' ' + parseFloat(data.total_price || data.cart_value || '0.00').toFixed(2),
-        product_name: data.product_name || (data.items && data.items[0] ? data.items[0].name : 'Product'),
-        tracking_number: data.tracking_number || 'TBD'
-      };
+      const mappedData = this.buildFlowData(this.applyDiscount(data, discountData), formatOptions);
 
       console.log('🔄 Available data for template:', Object.keys(mappedData));
-      
-      // Replace all placeholders with mapped data
-      Object.keys(mappedData).forEach(key => {
-        const placeholder = `{{${key}}}`;
-        let value = mappedData[key] || '';
-        
-        // Handle special formatting for items array
-        if (key === 'items' && Array.isArray(value)) {
-          value = value.map(item => `• ${item.name} x${item.quantity}`).join('\n');
+
+      const approvedTemplate = await TemplateRegistry.resolveForSend(
+        shopDomain, customerPhone, notificationType, mappedData, language, formatOptions
+      );
+
+      const flowName = customTemplate.flow_name || 'Unnamed Flow';
+      const render = flowData => {
+        let text = this.replaceVariables(customTemplate.message_content, flowData, `flow "${flowName}"`, formatOptions);
+
+        // Add footer if exists
+        if (customTemplate.footer_text) {
+          text += '\n\n' + this.replaceVariables(customTemplate.footer_text, flowData, `flow "${flowName}" footer`, formatOptions);
         }
-        
-        message = message.replace(new RegExp(placeholder, 'g'), String(value));
-      });
 
-      // Add footer if exists
-      if (customTemplate.footer_text) {
-        message += '\n\n' + customTemplate.footer_text;
-      }
+        // Templates cannot carry the flow image or buttons, so they are only added to free-form sends
+        return approvedTemplate
+          ? { body: text, interactive: null }
+          : InteractiveButtons.buildForFlow(customTemplate, flowData, text);
+      };
 
-      console.log(`📧 Sending custom template "${customTemplate.flow_name}" to ${customerPhone}`);
+      console.log(`📧 Queueing custom template "${customTemplate.flow_name}" for ${customerPhone}`);
 
-      // Send the message via Twilio
-      if (!twilioClient) {
-        console.error('❌ Twilio client not initialized');
-        return null;
+      const { body: message, interactive } = render(mappedData);
+
+      // Sent instead if Shopify will not create the code
+      let withoutOffer = null;
+      if (discount) {
+        const plainData = this.buildFlowData(data, formatOptions);
+        withoutOffer = { ...render(plainData), template: TemplateRegistry.withData(approvedTemplate, plainData, formatOptions) };
       }
 
-      const result = await twilioClient.messages.create({
+      const mediaRequest = approvedTemplate
+        ? null
+        : MediaResolver.getFlowMediaRequest(customTemplate, data, message);
+
+      const result = await MessageQueue.enqueue({
+        shopDomain,
+        customerPhone,
+        customerName: data.customer_name || null,
         body: message,
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: `whatsapp:${customerPhone}`
+        messageType: notificationType,
+        cost: this.calculateCost(notificationType),
+        priority: this.getQueuePriority(notificationType),
+        template: approvedTemplate,
+        mediaRequest,
+        interactive,
+        flowRevisionId: customTemplate.current_revision_id || null,
+        flowId: customTemplate.id || null,
+        availableAt,
+        discountId: discount?.id || null,
+        withoutOffer,
+        trigger
       });
+      await DiscountCodes.attachMessage(discount, result.messageId);
 
-      // Log the message to database
-      await this.logMessage(shopDomain, customerPhone, message, result.sid, 'outbound');
-
-      console.log(`✅ Custom template message sent successfully! SID: ${result.sid}`);
+      console.log(`✅ Custom template message queued (message ID: ${result.messageId})`);
       return result;
 
     } catch (error) {
       console.error('❌ Error sending custom template:', error);
-      try {
-        await this.logMessage(shopDomain, customerPhone, customTemplate.message_content, null, 'outbound', error.message);
-      } catch (logError) {
-        console.error('❌ Error logging failed message:', logError.message);
-      }
       return null;
     }
   }
-
-  // Log message to database
-  async logMessage(shopDomain, customerPhone, messageBody, messageSid, direction = 'outbound', errorMessage = null) {
-    try {
-      const query = `
-        INSERT INTO messages (
-          shop_domain, customer_phone, message_type, message_body,
-          twilio_sid, direction, error_message, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `;
-
-      const { db } = require('../database');
-      db.run(query, [
-        shopDomain,
-        customerPhone,
-        'whatsapp',
-        messageBody,
-        messageSid,
-        direction,
-        errorMessage
-      ], function(err) {
-        if (err) {
-          console.error('Error logging message to database:', err);
-        } else {
-          console.log(`📝 Message logged to database (ID: ${this.lastID})`);
-        }
-      });
-    } catch (error) {
-      console.error('Error in logMessage:', error);
-    }
-  }
 }
 
-module.exports = new NotificationManager();
\ No newline at end of file
+module.exports = new NotificationManager();
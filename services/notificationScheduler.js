@@ -1,5 +1,9 @@
 // services/notificationScheduler.js
 const NotificationManager = require('./notificationManager');
+const TemplateRegistry = require('./templateRegistry');
+const NotificationData = require('./notificationData');
+const Experiments = require('./experiments');
+const CartSequences = require('./cartSequences');
 const DatabaseQueries = require('../database/queries');
 const { db } = require('../database');
 
@@ -10,65 +14,73 @@ class NotificationScheduler {
   }
 
   initializeSchedulers() {
-    // Check for abandoned carts every 30 minutes
-    setInterval(() => this.checkAbandonedCarts(), 30 * 60 * 1000);
+    // Check for due abandoned cart reminders every 5 minutes
+    setInterval(() => this.checkAbandonedCarts(), 5 * 60 * 1000);
     
     // Check for review requests daily
     setInterval(() => this.checkReviewRequests(), 24 * 60 * 60 * 1000);
     
     // Check for scheduled campaigns every 5 minutes
     setInterval(() => this.checkScheduledCampaigns(), 5 * 60 * 1000);
+
+    // Refresh WhatsApp template approval status every 6 hours
+    setInterval(() => TemplateRegistry.syncAll(), 6 * 60 * 60 * 1000);
+
+    // Promote A/B test winners once experiments reach their sample size
+    setInterval(() => Experiments.evaluateAll(), 60 * 60 * 1000);
     
     console.log('✅ Notification schedulers initialized');
   }
 
-  // Abandoned Cart Reminders (3-step sequence)
+  // Abandoned Cart Reminders (each shop's sequence, see services/cartSequences.js)
   async checkAbandonedCarts() {
+    // A pass still sending from the previous interval is left alone
+    if (this.scheduledJobs.has('abandoned_carts')) {
+      return;
+    }
+    this.scheduledJobs.set('abandoned_carts', { type: 'abandoned_carts', startedAt: new Date() });
     console.log('🔍 Checking for abandoned carts...');
     
-    const shops = await this.getAllActiveShops();
-    
-    for (const shop of shops) {
-      // 1-hour reminder
-      const oneHourCarts = await this.getAbandonedCarts(shop.shop_domain, 1, 0);
-      for (const cart of oneHourCarts) {
-        await this.sendAbandonedCartReminder(shop.shop_domain, cart, 'abandoned_cart_1h', 1);
-      }
-      
-      // 24-hour reminder with discount
-      const oneDayCarts = await this.getAbandonedCarts(shop.shop_domain, 24, 1);
-      for (const cart of oneDayCarts) {
-        await this.sendAbandonedCartReminder(shop.shop_domain, cart, 'abandoned_cart_24h', 2);
-      }
+    try {
+      const shops = await this.getAllActiveShops();
       
-      // 48-hour final reminder with bigger discount
-      const twoDayCarts = await this.getAbandonedCarts(shop.shop_domain, 48, 2);
-      for (const cart of twoDayCarts) {
-        await this.sendAbandonedCartReminder(shop.shop_domain, cart, 'abandoned_cart_final', 3);
+      for (const shop of shops) {
+        const { steps } = await CartSequences.getSequence(shop.shop_domain);
+        const carts = await DatabaseQueries.getCartsAwaitingReminder(
+          shop.shop_domain, steps.length, CartSequences.getMaxCartAgeDays()
+        );
+        
+        for (const cart of carts) {
+          const step = CartSequences.getDueStep(cart, steps);
+          if (step) {
+            await this.sendAbandonedCartReminder(shop.shop_domain, cart, step);
+          }
+        }
       }
+    } catch (error) {
+      console.error('Error checking abandoned carts:', error);
+    } finally {
+      this.scheduledJobs.delete('abandoned_carts');
     }
   }
 
-  async sendAbandonedCartReminder(shopDomain, cart, templateType, reminderNumber) {
+  // The step is claimed before sending so a reminder is never sent twice
+  async sendAbandonedCartReminder(shopDomain, cart, step) {
     try {
-      const items = JSON.parse(cart.line_items || '[]');
+      const claimed = await DatabaseQueries.claimCartReminder(cart.id, step.stepNumber);
+      if (!claimed) {
+        return;
+      }
       
       await NotificationManager.sendNotification(
         shopDomain,
         cart.customer_phone,
-        templateType,
-        {
-          customer_name: cart.customer_name || 'there',
-          items: items,
-          currency: cart.currency,
-          total_price: cart.cart_value,
-          checkout_url: cart.checkout_url,
-          shop_name: shopDomain.replace('.myshopify.com', '')
-        }
+        step.notificationType,
+        NotificationData.abandonedCart(shopDomain, cart),
+        null,
+        { flowId: step.flowId, trigger: { type: 'abandoned_cart', id: cart.id } }
       );
-      
-      // Update reminder count
-      await this.updateReminderCount(cart.id, reminderNumber);
+      console.log(`🛒 Abandoned cart reminder ${step.stepNumber} sent for checkout ${cart.checkout_id}`);
       
     } catch (error) {
       console.error('Error sending abandoned cart reminder:', error);
@@ -91,7 +103,9 @@ class NotificationScheduler {
           product_name: order.main_product,
           order_number: order.order_number,
           review_url: `${order.shop_url}/reviews/new?order=${order.order_id}`
-        }
+        },
+        null,
+        { trigger: { type: 'review_request', id: order.id } }
       );
       
       // Mark review as requested
@@ -99,39 +113,79 @@ class NotificationScheduler {
     }
   }
 
-  // Database queries
-  async getAbandonedCarts(shopDomain, hoursOld, reminderCount) {
-    return new Promise((resolve, reject) => {
-      db.all(
-        `SELECT * FROM abandoned_carts 
-         WHERE shop_domain = ? 
-         AND recovered = 0 
-         AND reminder_count = ?
-         AND created_at < datetime('now', '-' || ? || ' hours')
-         AND created_at > datetime('now', '-' || ? || ' hours')
-         AND customer_phone IS NOT NULL`,
-        [shopDomain, reminderCount, hoursOld, hoursOld + 1],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
+  // Scheduled Campaigns (draft → scheduled → sending → completed)
+  async checkScheduledCampaigns() {
+    console.log('🔍 Checking for scheduled campaigns...');
+
+    try {
+      const campaigns = await DatabaseQueries.getDueCampaigns();
+
+      for (const campaign of campaigns) {
+        // A campaign still running from a previous pass is left alone
+        if (this.scheduledJobs.has(`campaign:${campaign.id}`)) {
+          continue;
         }
-      );
-    });
+        await this.runCampaign(campaign);
+      }
+    } catch (error) {
+      console.error('Error checking scheduled campaigns:', error);
+    }
   }
 
-  async updateReminderCount(cartId, count) {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'UPDATE abandoned_carts SET reminder_count = ?, last_reminder_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [count, cartId],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
+  async runCampaign(campaign) {
+    const jobKey = `campaign:${campaign.id}`;
+
+    const claimed = await DatabaseQueries.claimCampaign(campaign.id);
+    if (!claimed) {
+      return;
+    }
+
+    this.scheduledJobs.set(jobKey, { type: 'campaign', startedAt: new Date() });
+    console.log(`📣 Running campaign "${campaign.campaign_name}" for ${campaign.shop_domain}`);
+
+    let sent = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    try {
+      // Recipients already messaged by an interrupted run are excluded
+      const recipients = await DatabaseQueries.getPendingCampaignRecipients(campaign);
+      if (campaign.status === 'scheduled') {
+        await DatabaseQueries.setCampaignRecipients(campaign.id, recipients.length);
+      }
+
+      for (const customer of recipients) {
+        try {
+          // Rate limiting is handled by the message queue worker
+          const result = await NotificationManager.sendCampaignMessage(campaign, customer);
+          if (result.skipped) {
+            skipped++;
+          } else {
+            sent++;
+          }
+        } catch (error) {
+          failed++;
+          console.error(`❌ Campaign ${campaign.id} send failed for ${customer.customer_phone}:`, error.message);
         }
-      );
-    });
+      }
+
+      // Customers outside the session window are skipped, not failed
+      const status = failed > 0 && sent === 0 ? 'failed' : 'completed';
+      await DatabaseQueries.setCampaignSkipped(campaign.id, skipped);
+      await DatabaseQueries.completeCampaign(campaign.id, status);
+      await DatabaseQueries.refreshCampaignCounts(campaign.id);
+
+      console.log(`✅ Campaign "${campaign.campaign_name}" ${status}: ${sent} sent, ${skipped} skipped, ${failed} failed`);
+    } catch (error) {
+      console.error(`❌ Campaign ${campaign.id} aborted:`, error);
+      await DatabaseQueries.completeCampaign(campaign.id, 'failed').catch(() => {});
+    } finally {
+      this.scheduledJobs.delete(jobKey);
+    }
   }
 
+  // Database queries
+  // Delivered orders due a review request that was not suppressed
   async getOrdersForReview() {
     return new Promise((resolve, reject) => {
       db.all(
@@ -139,7 +193,11 @@ class NotificationScheduler {
          WHERE delivered_sent = 1 
          AND review_requested = 0
          AND updated_at < datetime('now', '-3 days')
-         AND customer_phone IS NOT NULL`,
+         AND customer_phone IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM reminder_suppressions s
+           WHERE s.trigger_type = 'review_request' AND s.trigger_id = orders.id
+         )`,
         (err, rows) => {
           if (err) reject(err);
           else resolve(rows);
@@ -0,0 +1,97 @@
+// services/quietHours.js
+// Per-shop quiet hours and sending days for automated follow-ups (cart
+// reminders and review requests, i.e. sends that carry a trigger), off until
+// the shop turns them on in its automation settings. Both are
+// read in the customer's own timezone (services/customerTimezone.js). A
+// follow-up that comes due at night or on a day the shop does not send on
+// is still queued, with available_at at the next allowed time, so it goes
+// out then instead of being dropped; suppressing its trigger before that
+// cancels it as usual. Order updates and staff messages are not held back.
+const DatabaseQueries = require('../database/queries');
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// A run of quiet time and closed days never lasts longer than a week and a day
+const MAX_STEPS = 16;
+
+// 'HH:MM' -> minutes after midnight, or null
+function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// ms -> SQLite CURRENT_TIMESTAMP format ('YYYY-MM-DD HH:MM:SS', UTC)
+function toSqlTimestamp(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+const formatters = new Map();
+
+// Weekday and wall-clock time of an instant in a timezone
+function localTime(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10)
+  };
+}
+
+class QuietHours {
+  // Minutes from `minutes` (after midnight) until sending may start again,
+  // 0 when it is allowed. settings: DatabaseQueries.getAutomationSettings()
+  getWaitMinutes(settings, weekday, minutes) {
+    if (!settings.quietHoursEnabled) {
+      return 0;
+    }
+    if (!settings.sendingDays.includes(weekday)) {
+      return MINUTES_PER_DAY - minutes;
+    }
+
+    const start = parseTime(settings.quietHoursStart);
+    const end = parseTime(settings.quietHoursEnd);
+    if (start === null || end === null || start === end) {
+      return 0;
+    }
+    // Quiet hours usually run past midnight (21:00 - 09:00)
+    const quiet = start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    return quiet ? (end - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY : 0;
+  }
+
+  // First time at or after `now` (ms) that a follow-up may be sent in timeZone
+  getNextSendTime(settings, timeZone, now = Date.now()) {
+    let time = now;
+    for (let step = 0; step < MAX_STEPS; step++) {
+      const local = localTime(time, timeZone);
+      const wait = this.getWaitMinutes(settings, local.weekday, local.minutes);
+      if (wait === 0) {
+        return time;
+      }
+      // To the start of that minute; a DST change on the way is corrected
+      // by the next pass
+      time += wait * 60 * 1000 - local.seconds * 1000 - (time % 1000);
+    }
+    return time;
+  }
+
+  // SQLite timestamp of the next allowed time for MessageQueue.enqueue's
+  // availableAt, or null when a follow-up can go out now. timeZone: the
+  // customer's (CustomerTimezone.resolve)
+  async getAvailableAt(shopDomain, timeZone, now = Date.now()) {
+    const settings = await DatabaseQueries.getAutomationSettings(shopDomain);
+    const sendAt = this.getNextSendTime(settings, timeZone, now);
+    return sendAt > now ? toSqlTimestamp(sendAt) : null;
+  }
+}
+
+module.exports = new QuietHours();
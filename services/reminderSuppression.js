@@ -0,0 +1,96 @@
+// services/reminderSuppression.js
+// Calls off automated sends that no longer make sense. Abandoned cart
+// reminders and review requests are scheduled from a trigger (the cart or
+// the order), and the messages they queue carry that trigger. When the
+// customer orders, opts out, asks for an agent or writes to a conversation
+// staff have taken, asks to stop, or staff cancel a cart's reminders, the
+// trigger is suppressed with the reason: the scheduler skips it from then on
+// and its messages still waiting in the queue are cancelled.
+const DatabaseQueries = require('../database/queries');
+
+const REASONS = {
+  order_placed: 'Order placed',
+  opted_out: 'Customer opted out',
+  customer_replied: 'Customer replied',
+  stop_requested: 'Customer asked to stop reminders',
+  manual: 'Cancelled by staff'
+};
+
+class ReminderSuppression {
+  getReasonLabel(reason) {
+    return REASONS[reason] || reason;
+  }
+
+  // Suppress one trigger ('abandoned_cart' or 'review_request'); -> true
+  // when it was not already suppressed
+  async suppress(shopDomain, triggerType, triggerId, { customerPhone = null, reason, detail = null }) {
+    const result = await DatabaseQueries.createReminderSuppression({
+      shop_domain: shopDomain,
+      trigger_type: triggerType,
+      trigger_id: triggerId,
+      customer_phone: customerPhone,
+      reason,
+      detail
+    });
+    if (result.changes === 0) {
+      return false;
+    }
+
+    const cancelled = await DatabaseQueries.cancelQueuedTriggerMessages(result.id, triggerType, triggerId, reason);
+    console.log(`🔕 ${triggerType} ${triggerId} suppressed (${reason})${cancelled ? `, ${cancelled} queued message(s) cancelled` : ''}`);
+    return true;
+  }
+
+  async suppressCart(shopDomain, cart, reason, detail = null) {
+    return this.suppress(shopDomain, 'abandoned_cart', cart.id, { customerPhone: cart.customer_phone, reason, detail });
+  }
+
+  // Stop the customer's remaining cart reminders, and their pending review
+  // requests unless includeReviews is false. -> { carts, reviews } suppressed
+  async suppressCustomer(shopDomain, customerPhone, reason, { detail = null, includeReviews = true } = {}) {
+    const summary = { carts: 0, reviews: 0 };
+    const digits = String(customerPhone || '').replace(/\D/g, '');
+    if (!shopDomain || !digits) {
+      return summary;
+    }
+
+    try {
+      const carts = await DatabaseQueries.getOpenCartsForCustomer(shopDomain, digits);
+      for (const cart of carts) {
+        if (await this.suppressCart(shopDomain, cart, reason, detail)) {
+          summary.carts++;
+        }
+      }
+
+      if (includeReviews) {
+        const orders = await DatabaseQueries.getPendingReviewOrders(shopDomain, digits);
+        for (const order of orders) {
+          if (await this.suppress(shopDomain, 'review_request', order.id, { customerPhone: order.customer_phone, reason, detail })) {
+            summary.reviews++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Could not suppress reminders for ${customerPhone}:`, error.message);
+    }
+    return summary;
+  }
+
+  // An inbound text stops reminders only once the customer is talking to
+  // people: they asked for an agent, or their conversation is assigned to a
+  // staff member. Greetings, commands and the shop-choice reply leave them
+  // running. -> { carts, reviews } suppressed
+  async suppressOnReply(shopDomain, customerPhone, text, { asksForAgent = false } = {}) {
+    if (!asksForAgent) {
+      const conversation = await DatabaseQueries.getConversation(shopDomain, customerPhone).catch(() => null);
+      if (!conversation?.assigned_to) {
+        return { carts: 0, reviews: 0 };
+      }
+    }
+    return this.suppressCustomer(shopDomain, customerPhone, 'customer_replied', {
+      detail: String(text || '').slice(0, 200)
+    });
+  }
+}
+
+module.exports = new ReminderSuppression();
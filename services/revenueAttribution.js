@@ -0,0 +1,164 @@
+// services/revenueAttribution.js
+// Credits orders to WhatsApp. When orders/create comes in, the customer's
+// marketing and automation messages and link clicks from the shop's
+// attribution window before the order are looked up, and the last one (last_touch, the default) or the
+// first one (first_touch) gets the order: its value, flow, campaign and
+// message type are stored in order_attributions and added to the shop's
+// total_revenue_generated. The order's cart permalink attribute, checkout id,
+// checkout token or cart token also closes the abandoned cart it completed.
+const DatabaseQueries = require('../database/queries');
+const CartPermalinks = require('./cartPermalinks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Per-message cost used for ROI until providers report real prices
+const MESSAGE_COST_ESTIMATE = 0.05;
+// Sends that try to win an order. Order updates, support messages, auto
+// replies and staff replies go to customers who are buying anyway, so
+// they (and clicks on their links) never get the credit; campaign
+// messages count whatever their type.
+const ATTRIBUTABLE_MESSAGE_TYPES = [
+  'abandoned_cart_1h', 'abandoned_cart_24h', 'abandoned_cart_48h', 'abandoned_cart_final', 'checkout_started',
+  'welcome_customer', 'customer_birthday', 'birthday', 'vip_status_achieved', 'back_in_stock',
+  'price_drop', 'flash_sale', 'exclusive_offer', 'campaign'
+];
+
+// ms -> SQLite CURRENT_TIMESTAMP format ('YYYY-MM-DD HH:MM:SS', UTC)
+function toSqlTimestamp(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Percentage change from the previous period; 0 when there is nothing to compare with
+function growth(current, previous) {
+  return previous > 0 ? Math.round(((current - previous) / previous) * 100) : 0;
+}
+
+class RevenueAttribution {
+  estimateCost(messageCount) {
+    return messageCount * MESSAGE_COST_ESTIMATE;
+  }
+
+  // Return on messaging spend as a whole percentage string
+  getRoi(revenue, messageCount) {
+    const cost = this.estimateCost(messageCount);
+    return cost > 0 ? (((revenue - cost) / cost) * 100).toFixed(0) : '0';
+  }
+
+  getOrderPhone(order, cart) {
+    return order.customer?.phone || order.phone || order.billing_address?.phone
+      || order.shipping_address?.phone || cart?.customer_phone || null;
+  }
+
+  // Mark the abandoned cart an order completed as recovered; -> cart row or null
+  async recoverCart(shopDomain, order, value) {
+    const cart = await DatabaseQueries.findCartForOrder(shopDomain, {
+      cartId: CartPermalinks.getCartId(order),
+      checkoutId: order.checkout_id ? String(order.checkout_id) : null,
+      checkoutToken: order.checkout_token || null,
+      cartToken: order.cart_token || null
+    });
+    if (cart && !cart.recovered) {
+      await DatabaseQueries.recoverAbandonedCart(cart.id, value);
+      console.log(`🛒 Abandoned cart ${cart.checkout_id} recovered by order ${order.name || order.id}`);
+    }
+    return cart;
+  }
+
+  // Attribute an order (orders/create webhook payload). -> the stored
+  // attribution, or null when no message or click falls in the window.
+  async attributeOrder(shopDomain, order) {
+    const value = parseFloat(order.current_total_price || order.total_price || 0) || 0;
+
+    try {
+      const cart = await this.recoverCart(shopDomain, order, value);
+      const phone = this.getOrderPhone(order, cart);
+      if (!phone) {
+        return null;
+      }
+
+      const { attributionWindowDays, attributionModel } = await DatabaseQueries.getAutomationSettings(shopDomain);
+      const orderedAt = Date.parse(order.created_at) || Date.now();
+      const digits = phone.replace(/\D/g, '');
+      const touches = await DatabaseQueries.getAttributionTouchpoints(
+        shopDomain,
+        digits,
+        toSqlTimestamp(orderedAt - attributionWindowDays * DAY_MS),
+        toSqlTimestamp(orderedAt),
+        ATTRIBUTABLE_MESSAGE_TYPES
+      );
+      if (touches.length === 0) {
+        return null;
+      }
+
+      const touch = attributionModel === 'first_touch' ? touches[0] : touches[touches.length - 1];
+      const attribution = {
+        shop_domain: shopDomain,
+        order_id: String(order.id),
+        order_number: order.name,
+        order_value: value,
+        currency: order.currency,
+        customer_phone: `+${digits}`,
+        model: attributionModel,
+        touch_type: touch.touch_type,
+        touched_at: touch.touched_at,
+        message_id: touch.message_id,
+        link_id: touch.link_id,
+        flow_id: touch.flow_id,
+        campaign_id: touch.campaign_id,
+        message_type: touch.message_type,
+        cart_id: cart?.id,
+        ordered_at: toSqlTimestamp(orderedAt)
+      };
+
+      const result = await DatabaseQueries.saveOrderAttribution(attribution);
+      if (result.changes === 0) {
+        return null;
+      }
+      await DatabaseQueries.addShopRevenue(shopDomain, value);
+      console.log(`💰 Order ${order.name || order.id} (${value.toFixed(2)}) attributed to ${touch.message_type} ${touch.touch_type} ${touch.message_id} (${attributionModel})`);
+      return { id: result.id, ...attribution };
+    } catch (error) {
+      console.error('❌ Could not attribute order:', error.message);
+      return null;
+    }
+  }
+
+  // Attributed revenue for the last `days` days against the period before
+  async getSummary(shopDomain, days = 30) {
+    const [current, previous] = await Promise.all([
+      DatabaseQueries.getAttributionTotals(shopDomain, days),
+      DatabaseQueries.getAttributionTotals(shopDomain, days, days)
+    ]);
+    return {
+      orders: current.orders,
+      revenue: current.revenue,
+      averageOrderValue: current.orders > 0 ? current.revenue / current.orders : 0,
+      revenueGrowth: growth(current.revenue, previous.revenue)
+    };
+  }
+
+  // -> { [message type, flow id or campaign id]: { orders, revenue } }
+  async getBreakdown(shopDomain, groupBy = 'message_type', days = null) {
+    const rows = await DatabaseQueries.getAttributionBreakdown(shopDomain, groupBy, days);
+    const breakdown = {};
+    rows.forEach(row => {
+      breakdown[row.group_key] = { orders: row.orders, revenue: row.revenue };
+    });
+    return breakdown;
+  }
+
+  // Reminded carts from the last `days` days that were completed
+  async getCartRecovery(shopDomain, days = 30) {
+    const [current, previous] = await Promise.all([
+      DatabaseQueries.getCartRecoveryStats(shopDomain, days),
+      DatabaseQueries.getCartRecoveryStats(shopDomain, days, days)
+    ]);
+    return {
+      cartsRecovered: current.recovered,
+      cartsRecoveredGrowth: growth(current.recovered, previous.recovered),
+      recoveryRate: current.reminded > 0 ? ((current.recovered / current.reminded) * 100).toFixed(1) : '0',
+      recoveredValue: current.recovered_value
+    };
+  }
+}
+
+module.exports = new RevenueAttribution();
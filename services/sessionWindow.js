@@ -0,0 +1,49 @@
+// services/sessionWindow.js
+// WhatsApp's 24-hour customer service window. Free-form messages are only
+// delivered within 24 hours of the customer's last inbound message; outside
+// it the business has to send an approved template. The window is tracked
+// per conversation (conversations.last_inbound_at), falling back to the
+// inbound message history for conversations recorded before that column.
+const DatabaseQueries = require('../database/queries');
+
+const SESSION_WINDOW_HOURS = 24;
+
+class SessionWindow {
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+  parseDbDate(value) {
+    if (!value) return null;
+    return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  }
+
+  // { isOpen, lastInboundAt, expiresAt, secondsRemaining } for a last inbound time
+  describe(lastInboundAt, now = Date.now()) {
+    const lastInbound = this.parseDbDate(lastInboundAt);
+    if (!lastInbound) {
+      return { isOpen: false, lastInboundAt: null, expiresAt: null, secondsRemaining: 0 };
+    }
+
+    const expiresAt = new Date(lastInbound.getTime() + SESSION_WINDOW_HOURS * 60 * 60 * 1000);
+    const secondsRemaining = Math.max(0, Math.floor((expiresAt.getTime() - now) / 1000));
+
+    return {
+      isOpen: secondsRemaining > 0,
+      lastInboundAt: lastInbound.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      secondsRemaining
+    };
+  }
+
+  async getWindow(shopDomain, customerPhone) {
+    const conversation = await DatabaseQueries.getConversation(shopDomain, customerPhone);
+    const lastInboundAt = conversation?.last_inbound_at ||
+      await DatabaseQueries.getLastInboundMessageAt(shopDomain, customerPhone);
+
+    return this.describe(lastInboundAt);
+  }
+
+  async isOpen(shopDomain, customerPhone) {
+    return (await this.getWindow(shopDomain, customerPhone)).isOpen;
+  }
+}
+
+module.exports = new SessionWindow();
@@ -0,0 +1,70 @@
+// services/shopifyAdmin.js
+// Minimal Admin GraphQL client for background services. Route handlers build
+// a Session and use shopify.api.clients.Graphql, but services run outside a
+// request (queue worker, scheduler) and must not load shopify.app.config, so
+// they call the Admin API directly with the shop's offline access token.
+const DatabaseQueries = require('../database/queries');
+
+// Keep in step with apiVersion in shopify.app.config.js (ApiVersion.October24)
+const SHOPIFY_API_VERSION = '2024-10';
+
+class ShopifyAdmin {
+  toGid(type, id) {
+    return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+  }
+
+  async getAccessToken(shopDomain) {
+    const shop = await DatabaseQueries.getShop(shopDomain);
+    if (!shop?.access_token) {
+      throw new Error(`Shop not authenticated: ${shopDomain}`);
+    }
+    return shop.access_token;
+  }
+
+  async graphql(shopDomain, query, variables = {}) {
+    const accessToken = await this.getAccessToken(shopDomain);
+
+    const response = await fetch(`https://${shopDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.errors) {
+      const message = Array.isArray(result.errors)
+        ? result.errors.map(error => error.message).join('; ')
+        : result.errors || `Admin API error ${response.status}`;
+      throw new Error(message);
+    }
+
+    return result.data;
+  }
+
+  // REST resources come back in the same shape as webhook payloads, e.g.
+  // rest(shop, `orders/${id}.json`).order
+  async rest(shopDomain, path) {
+    const accessToken = await this.getAccessToken(shopDomain);
+
+    const response = await fetch(`https://${shopDomain}/admin/api/${SHOPIFY_API_VERSION}/${path}`, {
+      headers: { 'X-Shopify-Access-Token': accessToken },
+      signal: AbortSignal.timeout(10000)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = typeof result.errors === 'string'
+        ? result.errors
+        : `Admin API error ${response.status}`;
+      throw new Error(message);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ShopifyAdmin();
@@ -0,0 +1,290 @@
+// services/templateEngine.js
+// Renders message content for default templates, custom flows and campaigns.
+//
+//   {{customer_name}}                 value from the data (dotted paths work)
+//   {{customer_name|there}}           default when the value is missing or empty
+//   {{total_price:currency}}          formatter (currency, number, date, datetime, upper, lower)
+//   {{total_price:currency:EUR}}      formatter argument
+//   {{#if discount_code}}...{{else}}...{{/if}}
+//   {{#each items}}{{@number}}. {{name}} x{{quantity}}{{/each}}
+//
+// Inside {{#each}} names are looked up on the item first, then on the outer
+// data; {{this}} is the item itself and {{@index}} / {{@number}} its 0/1-based
+// position. Placeholders that are not in the data render empty and are
+// reported in `unknown` ({{#if}} conditions excepted, since they exist to
+// test for missing values). The data passed in is never modified.
+//
+// Render options: { locale, timeZone, shopCurrency, moneyFormat, shopCountry }
+// control money, dates and addresses (see services/localeFormat.js).
+// With { isolate: true } (right-to-left messages) every substituted value is
+// wrapped in Unicode bidi isolates, line by line, so an order number, price
+// or URL keeps its own direction instead of being reordered by the
+// surrounding Arabic text.
+
+const LocaleFormat = require('./localeFormat');
+
+class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+const TAG_PATTERN = /{{\s*([#/]?)\s*([^}]*?)\s*}}/g;
+
+// FIRST STRONG ISOLATE ... POP DIRECTIONAL ISOLATE
+const FSI = '\u2068';
+const PDI = '\u2069';
+
+function isolateLines(text) {
+  return text.split('\n').map(line => (line ? `${FSI}${line}${PDI}` : line)).join('\n');
+}
+
+// Data keys holding line items and addresses get a readable default format
+function formatItems(items, scope, options) {
+  return items.map(item => {
+    if (!item || typeof item !== 'object') {
+      return `• ${item}`;
+    }
+    let line = `• ${item.name || item.title || ''} x${item.quantity || 1}`;
+    if (item.price !== undefined && item.price !== null && item.price !== '') {
+      line += ` - ${FORMATTERS.currency(item.price, null, scope, options)}`;
+    }
+    return line;
+  }).join('\n');
+}
+
+// Amounts use the item / data currency, else the shop's currency
+const FORMATTERS = {
+  currency(value, currencyCode, scope, options) {
+    return LocaleFormat.formatMoney(value, currencyCode || lookup(scope, 'currency'), options);
+  },
+
+  number(value, fractionDigits, scope, options) {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount)) return String(value ?? '');
+    const digits = fractionDigits !== null && fractionDigits !== undefined ? parseInt(fractionDigits, 10) : undefined;
+    return new Intl.NumberFormat(options.locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(amount);
+  },
+
+  date(value, style, scope, options) {
+    if (value instanceof LocaleFormat.DateRange) {
+      return LocaleFormat.formatDateRange(value, options);
+    }
+    return LocaleFormat.formatDate(value, options, style);
+  },
+
+  datetime(value, style, scope, options) {
+    return LocaleFormat.formatDateTime(value, options, style);
+  },
+
+  upper(value) {
+    return String(value ?? '').toUpperCase();
+  },
+
+  lower(value) {
+    return String(value ?? '').toLowerCase();
+  }
+};
+
+// Scopes are searched innermost first; each is { value, index }
+function lookup(scopes, path) {
+  if (!Array.isArray(scopes)) {
+    scopes = [{ value: scopes }];
+  }
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (path === 'this') return scope.value;
+    if (path === '@index') {
+      if (scope.index !== undefined) return scope.index;
+      continue;
+    }
+    if (path === '@number') {
+      if (scope.index !== undefined) return scope.index + 1;
+      continue;
+    }
+
+    let value = scope.value;
+    let found = true;
+    for (const part of path.split('.')) {
+      if (value !== null && typeof value === 'object' && part in value) {
+        value = value[part];
+      } else {
+        found = false;
+        break;
+      }
+    }
+    if (found) return value;
+  }
+  return undefined;
+}
+
+function hasValue(scopes, path) {
+  if (path === 'this' || path === '@index' || path === '@number') return true;
+  return lookup(scopes, path) !== undefined;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+// Template text -> tree of { type: 'text' | 'var' | 'if' | 'each', ... }
+function parse(template) {
+  const source = String(template ?? '');
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = text => {
+    if (text) (current().inElse ? current().elseChildren : current().children).push({ type: 'text', text });
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [tag, marker, content] = match;
+    const node = current();
+    const target = node.inElse ? node.elseChildren : node.children;
+
+    if (marker === '#') {
+      const [blockName, ...rest] = content.split(/\s+/);
+      const path = rest.join(' ').trim();
+      if (!['if', 'each'].includes(blockName) || !path) {
+        throw new TemplateSyntaxError(`Unsupported block "${tag}"`);
+      }
+      const block = { type: blockName, path, children: [], elseChildren: [], inElse: false };
+      target.push(block);
+      stack.push(block);
+    } else if (marker === '/') {
+      if (node.type !== content) {
+        throw new TemplateSyntaxError(node.type === 'root'
+          ? `"${tag}" has no matching opening block`
+          : `Expected {{/${node.type}}} but found "${tag}"`);
+      }
+      stack.pop();
+    } else if (content === 'else') {
+      if (node.type === 'root' || node.inElse) {
+        throw new TemplateSyntaxError('{{else}} is only allowed once inside {{#if}} or {{#each}}');
+      }
+      node.inElse = true;
+    } else if (!content) {
+      throw new TemplateSyntaxError('Empty placeholder "{{}}"');
+    } else {
+      const pipeIndex = content.indexOf('|');
+      const expression = pipeIndex === -1 ? content : content.slice(0, pipeIndex);
+      const [path, formatter = null, argument = null] = expression.trim().split(':').map(part => part.trim());
+      if (formatter && !FORMATTERS[formatter]) {
+        throw new TemplateSyntaxError(`Unknown formatter "${formatter}" in "${tag}"`);
+      }
+      target.push({
+        type: 'var',
+        path,
+        formatter,
+        argument,
+        defaultValue: pipeIndex === -1 ? null : content.slice(pipeIndex + 1).trim()
+      });
+    }
+  }
+
+  pushText(source.slice(lastIndex));
+
+  if (stack.length > 1) {
+    throw new TemplateSyntaxError(`{{#${current().type} ${current().path}}} is not closed`);
+  }
+  return root.children;
+}
+
+class TemplateEngine {
+  // Throws TemplateSyntaxError for malformed blocks or unknown formatters
+  parse(template) {
+    return parse(template);
+  }
+
+  // Data keys used by a template, in order of first use. Names inside
+  // {{#each}} are item fields and are not included.
+  getPlaceholders(template) {
+    const names = [];
+    const visit = (nodes, inEach) => nodes.forEach(node => {
+      if (node.type !== 'text' && !inEach) {
+        const name = node.path.split('.')[0];
+        if (!name.startsWith('@') && name !== 'this' && !names.includes(name)) names.push(name);
+      }
+      if (node.children) visit(node.children, inEach || node.type === 'each');
+      if (node.elseChildren) visit(node.elseChildren, inEach);
+    });
+    visit(parse(template), false);
+    return names;
+  }
+
+  // -> { text, unknown } where unknown lists placeholders missing from data
+  render(template, data = {}, options = {}) {
+    const formatOptions = { ...options, locale: options.locale || 'en' };
+    const isolate = !!options.isolate;
+    const unknown = [];
+    const report = path => {
+      if (!unknown.includes(path)) unknown.push(path);
+    };
+
+    const formatValue = (value, scopes) => {
+      if (value === null || value === undefined) return '';
+      if (Array.isArray(value)) return formatItems(value, scopes, formatOptions);
+      if (value instanceof Date || value instanceof LocaleFormat.DateRange) {
+        return FORMATTERS.date(value, null, scopes, formatOptions);
+      }
+      if (typeof value === 'object') return LocaleFormat.formatAddress(value, formatOptions).join('\n');
+      return String(value);
+    };
+
+    const renderNodes = (nodes, scopes) => nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.text;
+
+        case 'var': {
+          const value = lookup(scopes, node.path);
+          if (value === undefined || value === null || value === '') {
+            if (node.defaultValue !== null) return node.defaultValue;
+            if (!hasValue(scopes, node.path)) report(node.path);
+            return '';
+          }
+          const text = node.formatter
+            ? FORMATTERS[node.formatter](value, node.argument, scopes, formatOptions)
+            : formatValue(value, scopes);
+          return isolate ? isolateLines(text) : text;
+        }
+
+        // A missing value is just false here, so it is not reported
+        case 'if': {
+          return isTruthy(lookup(scopes, node.path))
+            ? renderNodes(node.children, scopes)
+            : renderNodes(node.elseChildren, scopes);
+        }
+
+        case 'each': {
+          const list = lookup(scopes, node.path);
+          if (list === undefined) report(node.path);
+          if (!Array.isArray(list) || list.length === 0) {
+            return renderNodes(node.elseChildren, scopes);
+          }
+          return list.map((item, index) => renderNodes(node.children, [...scopes, { value: item, index }])).join('');
+        }
+
+        default:
+          return '';
+      }
+    }).join('');
+
+    const text = renderNodes(parse(template), [{ value: data || {} }]);
+    return { text, unknown };
+  }
+}
+
+module.exports = new TemplateEngine();
+module.exports.TemplateSyntaxError = TemplateSyntaxError;
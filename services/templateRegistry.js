@@ -0,0 +1,167 @@
+// services/templateRegistry.js
+// Approved WhatsApp templates (HSM) for business-initiated messages. Outside
+// the 24-hour customer service window WhatsApp only delivers pre-approved
+// templates, so each notification type can be registered against a provider
+// template (Twilio content SID / Meta template name) whose {{1}}, {{2}}, ...
+// slots are filled from notification data keys. Approval state is synced from
+// the provider and only approved templates are selected for sends.
+const DatabaseQueries = require('../database/queries');
+const ClientFactory = require('./clientFactory');
+const SessionWindow = require('./sessionWindow');
+const TemplateEngine = require('./templateEngine');
+const LocaleFormat = require('./localeFormat');
+
+// Data keys holding raw amounts in data.currency; free-form templates format
+// them with {{key:currency}}, template parameters get the same text
+const MONEY_KEYS = ['total_price', 'refund_amount', 'price', 'original_price', 'sale_price', 'cart_value', 'free_shipping_threshold'];
+// Data keys holding a moment rather than a day, shown with the time
+const DATETIME_KEYS = ['discount_expires_at'];
+
+function parseVariableKeys(template) {
+  try {
+    const keys = JSON.parse(template.variables || '[]');
+    return Array.isArray(keys) ? keys : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+class TemplateRegistry {
+  // Data keys used by a free-form template, in order of first use.
+  // Used as the default positional variables when registering a template.
+  getPlaceholderKeys(text) {
+    try {
+      return TemplateEngine.getPlaceholders(text);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Template parameters must be single-line, non-empty text.
+  // formatOptions: see NotificationManager.getFormatOptions
+  formatVariable(key, data, formatOptions = {}) {
+    let value = data[key];
+
+    if (key === 'items' && Array.isArray(value)) {
+      value = value.map(item => `${item.name} x${item.quantity}`).join(', ');
+    } else if (MONEY_KEYS.includes(key) && value !== null && value !== undefined && value !== '') {
+      value = LocaleFormat.formatMoney(value, data.currency, formatOptions);
+    } else if (value instanceof LocaleFormat.DateRange) {
+      value = LocaleFormat.formatDateRange(value, formatOptions);
+    } else if (value instanceof Date && DATETIME_KEYS.includes(key)) {
+      value = LocaleFormat.formatDateTime(value, formatOptions);
+    } else if (value instanceof Date) {
+      value = LocaleFormat.formatDate(value, formatOptions);
+    } else if (value && typeof value === 'object') {
+      value = LocaleFormat.formatAddress(value, formatOptions).join(', ');
+    }
+
+    const text = String(value ?? '')
+      .replace(/\s*\n+\s*/g, ', ')
+      .replace(/\t/g, ' ')
+      .replace(/ {4,}/g, '   ')
+      .trim();
+
+    return text || '-';
+  }
+
+  buildVariables(keys, data, formatOptions = {}) {
+    return keys.map(key => this.formatVariable(key, data || {}, formatOptions));
+  }
+
+  // Template payload for MessageQueue.enqueue() built from the approved
+  // template for a notification type, or null when none is approved
+  async findApprovedTemplate(shopDomain, notificationType, data, language = 'en', formatOptions = {}) {
+    let template = await DatabaseQueries.getApprovedTemplate(shopDomain, notificationType, language);
+    if (!template && language !== 'en') {
+      template = await DatabaseQueries.getApprovedTemplate(shopDomain, notificationType, 'en');
+    }
+
+    if (!template) {
+      return null;
+    }
+
+    await DatabaseQueries.markTemplateUsed(template.id);
+    console.log(`📋 Using approved template "${template.template_name}" for ${notificationType}`);
+
+    const keys = parseVariableKeys(template);
+    return {
+      name: template.template_name,
+      contentSid: template.provider_template_id,
+      language: template.language,
+      keys,
+      variables: this.buildVariables(keys, data, formatOptions)
+    };
+  }
+
+  // The same template payload filled from other data (a message's text
+  // without its discount code)
+  withData(template, data, formatOptions = {}) {
+    return template && { ...template, variables: this.buildVariables(template.keys || [], data, formatOptions) };
+  }
+
+  // Approved template payload when the session window is closed, or null
+  // when free-form text can (or has to) be sent instead
+  async resolveForSend(shopDomain, customerPhone, notificationType, data, language = 'en', formatOptions = {}) {
+    if (await SessionWindow.isOpen(shopDomain, customerPhone)) {
+      return null;
+    }
+
+    const template = await this.findApprovedTemplate(shopDomain, notificationType, data, language, formatOptions);
+    if (!template) {
+      console.warn(`⚠️ No approved template for ${notificationType} (${language}); sending free-form to ${customerPhone} outside the session window`);
+    }
+    return template;
+  }
+
+  // Refresh approval status of every active template registered by a shop
+  async syncApprovals(shopDomain) {
+    const results = [];
+    const templates = (await DatabaseQueries.getWhatsAppTemplates(shopDomain)).filter(t => t.is_active);
+    if (templates.length === 0) {
+      return results;
+    }
+
+    const client = await ClientFactory.getShopClient(shopDomain);
+    if (!client) {
+      throw new Error('WhatsApp provider is not configured');
+    }
+
+    for (const template of templates) {
+      try {
+        if (client.provider.name === 'twilio' && !template.provider_template_id) {
+          await DatabaseQueries.updateTemplateApproval(template.id, 'unsubmitted', 'Content SID is required for Twilio templates');
+          results.push({ templateType: template.template_type, language: template.language, status: 'unsubmitted' });
+          continue;
+        }
+
+        const approval = await client.provider.getTemplateApproval(template);
+        await DatabaseQueries.updateTemplateApproval(template.id, approval.status, approval.reason);
+        results.push({ templateType: template.template_type, language: template.language, status: approval.status });
+      } catch (error) {
+        console.error(`❌ Template sync failed for ${template.template_name} (${shopDomain}):`, error.message);
+        results.push({ templateType: template.template_type, language: template.language, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async syncAll() {
+    try {
+      const shops = await DatabaseQueries.getShopsWithTemplates();
+      for (const shopDomain of shops) {
+        try {
+          const results = await this.syncApprovals(shopDomain);
+          console.log(`🔄 Synced ${results.length} WhatsApp templates for ${shopDomain}`);
+        } catch (error) {
+          console.error(`❌ Template sync failed for ${shopDomain}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Could not load shops for template sync:', error);
+    }
+  }
+}
+
+module.exports = new TemplateRegistry();
@@ -0,0 +1,193 @@
+// services/twilio.js
+// Twilio implementation of the messaging provider interface, plus request
+// signing. Twilio signs every webhook with the account auth token over the
+// full public URL plus the sorted POST parameters (X-Twilio-Signature), so
+// forged inbound messages and status callbacks can be rejected before they
+// touch the database.
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { MessagingProvider, stripWhatsAppPrefix } = require('./messagingProvider');
+
+function toWhatsAppAddress(phone) {
+  return phone.startsWith('whatsapp:') ? phone : `whatsapp:${phone}`;
+}
+
+// Twilio signs the URL configured in the console, not the one Express sees
+// behind ngrok or a proxy, so rebuild it from the public base URL
+function getWebhookUrl(req) {
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL ||
+    process.env.SHOPIFY_APP_URL ||
+    `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+function isValidSignature(signature, url, params, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  if (!signature || !authToken) {
+    return false;
+  }
+  return twilio.validateRequest(authToken, signature, url, params || {});
+}
+
+// Test helper: sign a fixture payload the way Twilio would, e.g.
+//   const headers = signTwilioRequest(`${appUrl}/whatsapp/webhook`, { From, To, Body, MessageSid });
+// then POST the payload form-encoded with those headers.
+function signTwilioRequest(url, params, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  return {
+    'X-Twilio-Signature': twilio.getExpectedTwilioSignature(authToken, url, params)
+  };
+}
+
+// Content API templates only allow a variable at the end of a URL, so the
+// origin stays static and the rest is passed as a content variable
+function splitUrl(url) {
+  const parsed = new URL(url);
+  return { origin: parsed.origin, rest: `${parsed.pathname}${parsed.search}${parsed.hash}`.replace(/^\//, '') };
+}
+
+class TwilioProvider extends MessagingProvider {
+  constructor({ accountSid, authToken }) {
+    super('twilio');
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.client = twilio(accountSid, authToken);
+    // Content SIDs of interactive layouts already created, keyed by layout
+    this.interactiveContent = new Map();
+  }
+
+  async sendText({ from, to, body }) {
+    const message = await this.client.messages.create({
+      from: toWhatsAppAddress(from),
+      to: toWhatsAppAddress(to),
+      body
+    });
+    return { messageId: message.sid, status: message.status };
+  }
+
+  // Approved templates are Content API templates addressed by contentSid
+  async sendTemplate({ from, to, template }) {
+    const contentVariables = {};
+    (template.variables || []).forEach((value, index) => {
+      contentVariables[index + 1] = String(value ?? '');
+    });
+
+    const message = await this.client.messages.create({
+      from: toWhatsAppAddress(from),
+      to: toWhatsAppAddress(to),
+      contentSid: template.contentSid,
+      contentVariables: JSON.stringify(contentVariables)
+    });
+    return { messageId: message.sid, status: message.status };
+  }
+
+  async sendMedia({ from, to, mediaUrl, caption }) {
+    const message = await this.client.messages.create({
+      from: toWhatsAppAddress(from),
+      to: toWhatsAppAddress(to),
+      body: caption || '',
+      mediaUrl: [mediaUrl]
+    });
+    return { messageId: message.sid, status: message.status };
+  }
+
+  // Interactive session messages are Content API cards. The text, link and
+  // image are content variables, so a card is created once per button layout
+  // and reused for every customer.
+  async sendInteractive({ from, to, body, interactive, mediaUrl }) {
+    const buttons = interactive.buttons || [];
+    const variables = {};
+    const addVariable = value => {
+      const key = Object.keys(variables).length + 1;
+      variables[key] = value;
+      return `{{${key}}}`;
+    };
+
+    const card = { title: addVariable(body) };
+
+    if (buttons.length > 0) {
+      card.actions = buttons.map(button => ({ type: 'QUICK_REPLY', title: button.title, id: button.id }));
+    } else {
+      const link = splitUrl(interactive.cta.url);
+      card.actions = [{ type: 'URL', title: interactive.cta.text, url: `${link.origin}/${addVariable(link.rest)}` }];
+    }
+
+    if (mediaUrl) {
+      const media = splitUrl(mediaUrl);
+      card.media = [`${media.origin}/${addVariable(media.rest)}`];
+    }
+
+    const message = await this.client.messages.create({
+      from: toWhatsAppAddress(from),
+      to: toWhatsAppAddress(to),
+      contentSid: await this.getInteractiveContentSid(card, variables),
+      contentVariables: JSON.stringify(variables)
+    });
+    return { messageId: message.sid, status: message.status };
+  }
+
+  async getInteractiveContentSid(card, variables) {
+    const layout = JSON.stringify(card);
+    if (!this.interactiveContent.has(layout)) {
+      const content = await this.client.content.v1.contents.create({
+        friendly_name: `interactive_${crypto.createHash('sha1').update(layout).digest('hex').slice(0, 12)}`,
+        language: 'en',
+        variables: Object.fromEntries(Object.keys(variables).map(key => [key, 'sample'])),
+        types: { 'twilio/card': card }
+      });
+      this.interactiveContent.set(layout, content.sid);
+    }
+    return this.interactiveContent.get(layout);
+  }
+
+  async getTemplateApproval(template) {
+    const approval = await this.client.content.v1
+      .contents(template.provider_template_id)
+      .approvalFetch()
+      .fetch();
+
+    return {
+      status: approval.whatsapp?.status || 'unsubmitted',
+      reason: approval.whatsapp?.rejection_reason || null
+    };
+  }
+
+  parseInbound(req) {
+    const params = req.body || {};
+    const media = [];
+    for (let i = 0; i < parseInt(params.NumMedia || '0', 10); i++) {
+      media.push({ url: params[`MediaUrl${i}`], contentType: params[`MediaContentType${i}`] });
+    }
+
+    return [{
+      from: stripWhatsAppPrefix(params.From),
+      to: stripWhatsAppPrefix(params.To),
+      body: params.Body || '',
+      profileName: params.ProfileName || null,
+      messageId: params.MessageSid,
+      accountId: params.AccountSid || null,
+      media,
+      buttonPayload: params.ButtonPayload || null,
+      buttonText: params.ButtonText || null
+    }];
+  }
+
+  parseStatus(req) {
+    const params = req.body || {};
+    return [{
+      messageId: params.MessageSid,
+      status: params.MessageStatus,
+      errorCode: params.ErrorCode || null,
+      errorMessage: params.ErrorMessage || null
+    }];
+  }
+
+  isValidRequest(req) {
+    return isValidSignature(req.get('X-Twilio-Signature'), getWebhookUrl(req), req.body, this.authToken);
+  }
+}
+
+module.exports = {
+  TwilioProvider,
+  getWebhookUrl,
+  isValidSignature,
+  signTwilioRequest
+};
@@ -0,0 +1,48 @@
+// services/webhookVerification.js
+// Signature checks for inbound WhatsApp provider webhooks. Twilio signs the
+// public URL plus the form parameters, Meta signs the raw JSON body with the
+// app secret, so JSON bodies on webhook paths keep their raw bytes
+// (captureRawBody) for the check. A request is verified against the account
+// it claims to come from, and the provider for that account is attached as
+// req.provider for parsing.
+const ClientFactory = require('./clientFactory');
+const { getChangeValues } = require('./metaWhatsApp');
+
+// express.json({ verify }) hook: keep the raw bytes of webhook bodies;
+// Shopify and Meta sign those, not the parsed JSON
+function captureRawBody(req, res, buf) {
+  if (req.url.startsWith('/webhooks') || req.url.startsWith('/whatsapp/meta')) {
+    req.rawBody = buf;
+  }
+}
+
+// Verify a WhatsApp provider webhook with the account it claims to come from
+// and attach that provider as req.provider for parsing
+function verifyProviderWebhook(providerName, getAccountId) {
+  return async (req, res, next) => {
+    let provider = null;
+    try {
+      provider = await ClientFactory.getProviderForAccount(providerName, getAccountId(req));
+    } catch (error) {
+      console.error(`❌ Failed to load ${providerName} credentials:`, error.message);
+    }
+
+    if (!provider || !provider.isValidRequest(req)) {
+      console.error(`❌ ${providerName} webhook rejected: invalid signature for`, req.originalUrl);
+      return res.status(403).send('Forbidden');
+    }
+
+    req.provider = provider;
+    next();
+  };
+}
+
+const verifyTwilioWebhook = verifyProviderWebhook('twilio', req => req.body?.AccountSid);
+const verifyMetaWebhook = verifyProviderWebhook('meta', req => getChangeValues(req.body)[0]?.metadata?.phone_number_id);
+
+module.exports = {
+  captureRawBody,
+  verifyProviderWebhook,
+  verifyTwilioWebhook,
+  verifyMetaWebhook
+};
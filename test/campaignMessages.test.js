@@ -0,0 +1,86 @@
+// Campaign sends and the 24-hour session window: free-form text inside it,
+// the approved campaign_message template outside it, else a skipped recipient
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGING_PROVIDER = 'fake';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, initializeDatabase } = require('../database');
+const DatabaseQueries = require('../database/queries');
+const NotificationManager = require('../services/notificationManager');
+
+const SHOP = 'campaign-test.myshopify.com';
+const CAMPAIGN = { id: 1, shop_domain: SHOP, campaign_name: 'Spring sale', message_template: 'Hi {{customer_name}}, 20% off this week' };
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function getJob(messageId) {
+  return get('SELECT * FROM message_queue WHERE message_id = ?', [messageId]);
+}
+
+let phoneNumber = 0;
+function customer() {
+  phoneNumber += 1;
+  return { customer_phone: `+1555100${String(phoneNumber).padStart(4, '0')}`, first_name: 'Ana', language: 'en' };
+}
+
+before(async () => {
+  await initializeDatabase();
+  await run('INSERT INTO shops (shop_domain, access_token) VALUES (?, ?)', [SHOP, 'test-token']);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('sends free-form text to a customer inside the session window', async () => {
+  const recipient = customer();
+  await DatabaseQueries.touchConversation(SHOP, recipient.customer_phone, 'inbound');
+
+  const result = await NotificationManager.sendCampaignMessage(CAMPAIGN, recipient);
+
+  assert.ok(result.messageId);
+  const payload = JSON.parse((await getJob(result.messageId)).payload);
+  assert.strictEqual(payload.body, 'Hi Ana, 20% off this week');
+  assert.strictEqual(payload.template, null);
+});
+
+test('skips a customer outside the session window when there is no approved template', async () => {
+  const recipient = customer();
+
+  const result = await NotificationManager.sendCampaignMessage(CAMPAIGN, recipient);
+
+  assert.deepStrictEqual(result, { skipped: true, reason: 'session_closed' });
+  const row = await get('SELECT COUNT(*) as count FROM messages WHERE customer_phone = ?', [recipient.customer_phone]);
+  assert.strictEqual(row.count, 0);
+});
+
+test('sends the approved campaign template to a customer outside the session window', async () => {
+  const recipient = customer();
+  await DatabaseQueries.saveWhatsAppTemplate(SHOP, {
+    template_type: 'campaign_message',
+    template_name: 'spring_campaign',
+    language: 'en',
+    variables: ['message'],
+    provider_template_id: 'HX00000000000000000000000000000001'
+  });
+  const template = await get('SELECT id FROM templates WHERE shop_domain = ? AND template_type = ?', [SHOP, 'campaign_message']);
+  await DatabaseQueries.updateTemplateApproval(template.id, 'approved');
+
+  const result = await NotificationManager.sendCampaignMessage(CAMPAIGN, recipient);
+
+  assert.ok(result.messageId);
+  const payload = JSON.parse((await getJob(result.messageId)).payload);
+  assert.strictEqual(payload.template.name, 'spring_campaign');
+  assert.deepStrictEqual(payload.template.variables, ['Hi Ana, 20% off this week']);
+});
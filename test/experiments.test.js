@@ -0,0 +1,72 @@
+// Flow picked for a customer in a running experiment, and what happens when
+// the flow of their variant is paused
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGING_PROVIDER = 'fake';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, initializeDatabase } = require('../database');
+const DatabaseQueries = require('../database/queries');
+const Experiments = require('../services/experiments');
+
+const SHOP = 'experiment-test.myshopify.com';
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+async function createFlow(flowName) {
+  const { id } = await DatabaseQueries.createWhatsAppFlow(SHOP, {
+    flowName,
+    flowType: 'abandoned_cart',
+    language: 'en',
+    messageContent: `${flowName}: your cart is waiting`
+  });
+  return id;
+}
+
+let controlFlowId;
+let variantFlowId;
+
+before(async () => {
+  await initializeDatabase();
+  await run('INSERT INTO shops (shop_domain, access_token) VALUES (?, ?)', [SHOP, 'test-token']);
+  controlFlowId = await createFlow('Control flow');
+  variantFlowId = await createFlow('Variant flow');
+  // Every customer is assigned the variant
+  await Experiments.create(SHOP, {
+    name: 'Cart copy',
+    flowType: 'abandoned_cart',
+    variants: [{ flowId: controlFlowId, weight: 0 }, { flowId: variantFlowId, weight: 1 }]
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('sends the assigned variant flow with its assignment', async () => {
+  const flow = await Experiments.pickFlow(SHOP, 'abandoned_cart', 'en', '+15553000001');
+
+  assert.strictEqual(flow.id, variantFlowId);
+  assert.ok(flow.experiment_assignment_id);
+});
+
+test('falls back to the control flow when the variant flow is paused', async () => {
+  await DatabaseQueries.setWhatsAppFlowActive(variantFlowId, SHOP, false);
+
+  const flow = await Experiments.pickFlow(SHOP, 'abandoned_cart', 'en', '+15553000001');
+
+  assert.strictEqual(flow.id, controlFlowId);
+  assert.strictEqual(flow.experiment_assignment_id, undefined);
+});
+
+test('leaves the choice to the regular lookup when the control flow is paused too', async () => {
+  await DatabaseQueries.setWhatsAppFlowActive(controlFlowId, SHOP, false);
+
+  const flow = await Experiments.pickFlow(SHOP, 'abandoned_cart', 'en', '+15553000001');
+
+  assert.strictEqual(flow, null);
+});
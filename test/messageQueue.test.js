@@ -0,0 +1,256 @@
+// Jobs pushed through MessageQueue to the fake provider: delivery, retries
+// with backoff and dead-lettering
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGING_PROVIDER = 'fake';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, initializeDatabase } = require('../database');
+const DatabaseQueries = require('../database/queries');
+const MessageQueue = require('../services/messageQueue');
+const FakeProvider = require('../services/fakeProvider');
+const DiscountCodes = require('../services/discountCodes');
+
+const SHOP = 'queue-test.myshopify.com';
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function getJob(jobId) {
+  return get(
+    `SELECT *, CAST(ROUND((julianday(available_at) - julianday('now')) * 86400) AS INTEGER) as due_in
+     FROM message_queue WHERE id = ?`,
+    [jobId]
+  );
+}
+
+function getMessage(messageId) {
+  return get('SELECT * FROM messages WHERE id = ?', [messageId]);
+}
+
+// Skip the backoff wait so the next processQueue() picks the job up
+function makeDue(jobId) {
+  return run("UPDATE message_queue SET available_at = datetime('now', '-1 second') WHERE id = ?", [jobId]);
+}
+
+function providerError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+let phoneNumber = 0;
+function nextPhone() {
+  phoneNumber += 1;
+  return `+1555000${String(phoneNumber).padStart(4, '0')}`;
+}
+
+function enqueue(body) {
+  return MessageQueue.enqueue({ shopDomain: SHOP, customerPhone: nextPhone(), body });
+}
+
+// Admin API response to discountCodeBasicCreate
+function discountCreateResponse(result) {
+  return Promise.resolve(new Response(JSON.stringify({ data: { discountCodeBasicCreate: result } })));
+}
+
+async function enqueueWithDiscount() {
+  const customerPhone = nextPhone();
+  const discount = await DiscountCodes.issueDefault(SHOP, customerPhone, 'abandoned_cart_24h');
+  const queued = await MessageQueue.enqueue({
+    shopDomain: SHOP,
+    customerPhone,
+    body: `Your cart is waiting. Use ${discount.code} for 10% off`,
+    discountId: discount.id,
+    withoutOffer: { body: 'Your cart is waiting' }
+  });
+  return { ...queued, discount };
+}
+
+before(async () => {
+  await initializeDatabase();
+  await run('INSERT INTO shops (shop_domain, access_token) VALUES (?, ?)', [SHOP, 'test-token']);
+});
+
+beforeEach(() => {
+  FakeProvider.reset();
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('delivers a queued message through the provider', async () => {
+  const { jobId, messageId } = await enqueue('Your order has shipped');
+  assert.strictEqual((await getMessage(messageId)).twilio_status, 'queued');
+
+  await MessageQueue.processQueue();
+
+  assert.strictEqual(FakeProvider.sent.length, 1);
+  assert.strictEqual(FakeProvider.sent[0].body, 'Your order has shipped');
+  assert.strictEqual((await getJob(jobId)).status, 'sent');
+  const message = await getMessage(messageId);
+  assert.strictEqual(message.twilio_status, 'sent');
+  assert.strictEqual(message.twilio_sid, FakeProvider.sent[0].messageId);
+});
+
+test('retries a rate-limited send with exponential backoff, then delivers it', async () => {
+  const { jobId, messageId } = await enqueue('Your cart is waiting');
+
+  FakeProvider.simulateFailure(providerError('Too many requests', 429));
+  await MessageQueue.processQueue();
+
+  let job = await getJob(jobId);
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.last_error, 'Too many requests');
+  assert.ok(job.due_in >= 29 && job.due_in <= 30, `retried in ${job.due_in}s`);
+  let message = await getMessage(messageId);
+  assert.strictEqual(message.twilio_status, 'queued');
+  assert.strictEqual(message.error_message, 'Too many requests');
+
+  // Not due yet, so nothing is sent
+  await MessageQueue.processQueue();
+  assert.strictEqual(FakeProvider.sent.length, 0);
+
+  await makeDue(jobId);
+  FakeProvider.simulateFailure(providerError('Service unavailable', 503));
+  await MessageQueue.processQueue();
+
+  job = await getJob(jobId);
+  assert.strictEqual(job.attempts, 2);
+  assert.ok(job.due_in >= 59 && job.due_in <= 60, `retried in ${job.due_in}s`);
+
+  await makeDue(jobId);
+  await MessageQueue.processQueue();
+
+  assert.strictEqual(FakeProvider.sent.length, 1);
+  assert.strictEqual((await getJob(jobId)).status, 'sent');
+  message = await getMessage(messageId);
+  assert.strictEqual(message.twilio_status, 'sent');
+});
+
+test('dead-letters a permanent provider error without retrying', async () => {
+  const { jobId, messageId } = await enqueue('Welcome to the shop');
+
+  FakeProvider.simulateFailure(providerError('Invalid recipient', 400));
+  await MessageQueue.processQueue();
+
+  const job = await getJob(jobId);
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.last_error, 'Invalid recipient');
+  const message = await getMessage(messageId);
+  assert.strictEqual(message.twilio_status, 'failed');
+  assert.strictEqual(message.error_message, 'Invalid recipient');
+  assert.strictEqual(FakeProvider.sent.length, 0);
+});
+
+test('dead-letters a job that keeps failing once it runs out of attempts', async () => {
+  const { jobId, messageId } = await enqueue('Leave us a review');
+  const { max_attempts: maxAttempts } = await getJob(jobId);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    FakeProvider.simulateFailure(providerError('Connection reset', 500));
+    await MessageQueue.processQueue();
+
+    const job = await getJob(jobId);
+    assert.strictEqual(job.attempts, attempt);
+    assert.strictEqual(job.status, attempt < maxAttempts ? 'queued' : 'dead');
+    await makeDue(jobId);
+  }
+
+  // A dead job is not picked up again
+  await MessageQueue.processQueue();
+  assert.strictEqual(FakeProvider.sent.length, 0);
+  assert.strictEqual((await getMessage(messageId)).twilio_status, 'failed');
+});
+
+test('counts a failure before the send as an attempt', async (t) => {
+  const { jobId } = await enqueue('Back in stock');
+  t.mock.method(DatabaseQueries, 'updateQueuedMessage').mock
+    .mockImplementationOnce(() => Promise.reject(new Error('SQLITE_BUSY: database is locked')));
+
+  await MessageQueue.processQueue();
+
+  const job = await getJob(jobId);
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.last_error, 'SQLITE_BUSY: database is locked');
+  assert.strictEqual(FakeProvider.sent.length, 0);
+});
+
+test('does not send a message again when it was sent but could not be marked sent', async (t) => {
+  const { jobId, messageId } = await enqueue('Your refund is on its way');
+  t.mock.method(DatabaseQueries, 'completeMessageJob').mock
+    .mockImplementationOnce(() => Promise.reject(new Error('SQLITE_BUSY: database is locked')));
+
+  await MessageQueue.processQueue();
+  assert.strictEqual(FakeProvider.sent.length, 1);
+  assert.strictEqual((await getJob(jobId)).status, 'sending');
+
+  // The lease runs out and the job is picked up again
+  await run("UPDATE message_queue SET leased_until = datetime('now', '-1 second') WHERE id = ?", [jobId]);
+  await MessageQueue.processQueue();
+
+  assert.strictEqual(FakeProvider.sent.length, 1);
+  const job = await getJob(jobId);
+  assert.strictEqual(job.status, 'sent');
+  assert.strictEqual(job.attempts, 1);
+  const message = await getMessage(messageId);
+  assert.strictEqual(message.twilio_status, 'sent');
+  assert.strictEqual(message.twilio_sid, FakeProvider.sent[0].messageId);
+});
+
+test('sends the message without its offer when Shopify refuses the discount code', async (t) => {
+  const { jobId, messageId, discount } = await enqueueWithDiscount();
+  t.mock.method(global, 'fetch', () => discountCreateResponse({
+    codeDiscountNode: null,
+    userErrors: [{ field: ['basicCodeDiscount', 'code'], message: 'Code must be unique' }]
+  }));
+
+  await MessageQueue.processQueue();
+
+  assert.strictEqual(FakeProvider.sent.length, 1);
+  assert.strictEqual(FakeProvider.sent[0].body, 'Your cart is waiting');
+  const job = await getJob(jobId);
+  assert.strictEqual(job.status, 'sent');
+  assert.strictEqual(JSON.parse(job.payload).discountId, null);
+  const message = await getMessage(messageId);
+  assert.strictEqual(message.twilio_status, 'sent');
+  assert.strictEqual(message.message_body, 'Your cart is waiting');
+  const code = await get('SELECT * FROM discount_codes WHERE id = ?', [discount.id]);
+  assert.strictEqual(code.shopify_discount_id, null);
+  assert.match(code.error_message, /Code must be unique/);
+});
+
+test('retries a discount code the Admin API could not create, keeping the offer', async (t) => {
+  const { jobId, discount } = await enqueueWithDiscount();
+  const fetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(new Response('{}', { status: 503 })));
+
+  await MessageQueue.processQueue();
+
+  let job = await getJob(jobId);
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(FakeProvider.sent.length, 0);
+
+  fetchMock.mock.mockImplementation(() => discountCreateResponse({
+    codeDiscountNode: { id: 'gid://shopify/DiscountCodeNode/1' },
+    userErrors: []
+  }));
+  await makeDue(jobId);
+  await MessageQueue.processQueue();
+
+  assert.strictEqual(FakeProvider.sent.length, 1);
+  assert.strictEqual(FakeProvider.sent[0].body, `Your cart is waiting. Use ${discount.code} for 10% off`);
+  job = await getJob(jobId);
+  assert.strictEqual(job.status, 'sent');
+});
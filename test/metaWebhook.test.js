@@ -0,0 +1,84 @@
+// Signed Meta WhatsApp Cloud API webhooks against the verify middleware,
+// through the shared env account (MESSAGING_PROVIDER=meta)
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGING_PROVIDER = 'meta';
+process.env.META_ACCESS_TOKEN = 'test-access-token';
+process.env.META_PHONE_NUMBER_ID = '106540352242922';
+process.env.META_APP_SECRET = 'test-app-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { verifyWebhookSubscription } = require('../services/metaWhatsApp');
+const { captureRawBody, verifyMetaWebhook } = require('../services/webhookVerification');
+const { db } = require('../database');
+const fixture = require('./fixtures/meta-inbound.json');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/whatsapp/meta/webhook', verifyMetaWebhook, (req, res) => {
+    res.json({ provider: req.provider.name, messages: req.provider.parseInbound(req) });
+  });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+function sign(rawBody, appSecret = process.env.META_APP_SECRET) {
+  return `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+}
+
+function post(rawBody, headers = {}) {
+  return fetch(`${baseUrl}/whatsapp/meta/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: rawBody
+  });
+}
+
+test('accepts a correctly signed inbound message and attaches the provider', async () => {
+  // Meta signs the bytes it sends, whitespace included
+  const rawBody = JSON.stringify(fixture, null, 2);
+  const response = await post(rawBody, { 'X-Hub-Signature-256': sign(rawBody) });
+
+  assert.strictEqual(response.status, 200);
+  const { provider, messages } = await response.json();
+  assert.strictEqual(provider, 'meta');
+  assert.strictEqual(messages[0].from, '+15550001111');
+  assert.strictEqual(messages[0].body, 'Is my order on the way?');
+});
+
+test('rejects a request without a signature', async () => {
+  const response = await post(JSON.stringify(fixture));
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects a body changed after signing', async () => {
+  const rawBody = JSON.stringify(fixture);
+  const tampered = rawBody.replace('Is my order on the way?', 'Cancel my order');
+  const response = await post(tampered, { 'X-Hub-Signature-256': sign(rawBody) });
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects a request signed with another app secret', async () => {
+  const rawBody = JSON.stringify(fixture);
+  const response = await post(rawBody, { 'X-Hub-Signature-256': sign(rawBody, 'some-other-secret') });
+  assert.strictEqual(response.status, 403);
+});
+
+test('answers the subscription handshake only with the verify token', () => {
+  const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'test-verify-token', 'hub.challenge': '1158201444' };
+  assert.strictEqual(verifyWebhookSubscription(query, 'test-verify-token'), '1158201444');
+  assert.strictEqual(verifyWebhookSubscription(query, 'another-token'), null);
+});
@@ -0,0 +1,86 @@
+// Which inbound replies stop a customer's cart reminders: an agent request or
+// a message into a conversation staff have taken, not greetings or commands
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGING_PROVIDER = 'fake';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, initializeDatabase } = require('../database');
+const DatabaseQueries = require('../database/queries');
+const ReminderSuppression = require('../services/reminderSuppression');
+
+const SHOP = 'suppression-test.myshopify.com';
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+let cartNumber = 0;
+async function customerWithCart() {
+  cartNumber += 1;
+  const customerPhone = `+1555200${String(cartNumber).padStart(4, '0')}`;
+  await run(
+    'INSERT INTO abandoned_carts (shop_domain, checkout_id, customer_phone) VALUES (?, ?, ?)',
+    [SHOP, `checkout-${cartNumber}`, customerPhone]
+  );
+  await DatabaseQueries.touchConversation(SHOP, customerPhone, 'inbound');
+  return customerPhone;
+}
+
+function getSuppression(customerPhone) {
+  return get(
+    `SELECT s.* FROM reminder_suppressions s
+     JOIN abandoned_carts c ON c.id = s.trigger_id AND s.trigger_type = 'abandoned_cart'
+     WHERE c.customer_phone = ?`,
+    [customerPhone]
+  );
+}
+
+before(async () => {
+  await initializeDatabase();
+  await run('INSERT INTO shops (shop_domain, access_token) VALUES (?, ?)', [SHOP, 'test-token']);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('keeps cart reminders after a greeting or a command', async () => {
+  const customerPhone = await customerWithCart();
+
+  for (const text of ['hi', '?', '2']) {
+    const summary = await ReminderSuppression.suppressOnReply(SHOP, customerPhone, text);
+    assert.deepStrictEqual(summary, { carts: 0, reviews: 0 });
+  }
+  assert.strictEqual(await getSuppression(customerPhone), undefined);
+});
+
+test('stops cart reminders when the customer asks for an agent', async () => {
+  const customerPhone = await customerWithCart();
+
+  const summary = await ReminderSuppression.suppressOnReply(SHOP, customerPhone, 'agent', { asksForAgent: true });
+
+  assert.strictEqual(summary.carts, 1);
+  const suppression = await getSuppression(customerPhone);
+  assert.strictEqual(suppression.reason, 'customer_replied');
+  assert.strictEqual(suppression.detail, 'agent');
+});
+
+test('stops cart reminders when the customer writes to a conversation staff have taken', async () => {
+  const customerPhone = await customerWithCart();
+  const conversation = await DatabaseQueries.getConversation(SHOP, customerPhone);
+  await DatabaseQueries.updateConversation(SHOP, conversation.id, { assigned_to: 'staff-1' });
+
+  const summary = await ReminderSuppression.suppressOnReply(SHOP, customerPhone, 'Is the blue one back in stock?');
+
+  assert.strictEqual(summary.carts, 1);
+  assert.strictEqual((await getSuppression(customerPhone)).detail, 'Is the blue one back in stock?');
+});
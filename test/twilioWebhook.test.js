@@ -0,0 +1,78 @@
+// Signed Twilio webhooks against the verify middleware, through the shared
+// env account (MESSAGING_PROVIDER=twilio)
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGING_PROVIDER = 'twilio';
+process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { signTwilioRequest } = require('../services/twilio');
+const { captureRawBody, verifyTwilioWebhook } = require('../services/webhookVerification');
+const { db } = require('../database');
+const fixture = require('./fixtures/twilio-inbound.json');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true }));
+  app.post('/whatsapp/webhook', verifyTwilioWebhook, (req, res) => {
+    res.json({ provider: req.provider.name, messages: req.provider.parseInbound(req) });
+  });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // The signed URL is the public one Twilio was configured with
+  process.env.TWILIO_WEBHOOK_BASE_URL = baseUrl;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+function post(params, headers = {}) {
+  return fetch(`${baseUrl}/whatsapp/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  });
+}
+
+test('accepts a correctly signed inbound message and attaches the provider', async () => {
+  const response = await post(fixture, signTwilioRequest(`${baseUrl}/whatsapp/webhook`, fixture));
+
+  assert.strictEqual(response.status, 200);
+  const { provider, messages } = await response.json();
+  assert.strictEqual(provider, 'twilio');
+  assert.strictEqual(messages[0].from, '+15550001111');
+  assert.strictEqual(messages[0].body, fixture.Body);
+});
+
+test('rejects a request without a signature', async () => {
+  const response = await post(fixture);
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects a body changed after signing', async () => {
+  const headers = signTwilioRequest(`${baseUrl}/whatsapp/webhook`, fixture);
+  const response = await post({ ...fixture, Body: 'Cancel my order' }, headers);
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects a request signed with another auth token', async () => {
+  const headers = signTwilioRequest(`${baseUrl}/whatsapp/webhook`, fixture, 'some-other-token');
+  const response = await post(fixture, headers);
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects a request signed for another URL', async () => {
+  const headers = signTwilioRequest('https://example.com/whatsapp/webhook', fixture);
+  const response = await post(fixture, headers);
+  assert.strictEqual(response.status, 403);
+});